@@ -0,0 +1,44 @@
+// Billing hook
+// Plan upgrades requested from the app go through the configured
+// billing provider (.env):
+//
+//   BILLING_PROVIDER = manual   → request is stored, an admin applies the plan (default)
+//                      instant  → plan applied immediately (development / self-hosted)
+//
+// A payment provider plugs in by adding a factory below that implements:
+//   requestUpgrade({ user, plan }) → { status, message, url? }
+//       status "approved" → plan is applied right away
+//              "pending"  → request stored on the user until an admin / webhook applies it
+//              "redirect" → frontend sends the user to `url` (checkout page)
+//   handleWebhook(req)     → { userId, plan } to apply, or null   (optional,
+//                            called by POST /api/plans/webhook)
+
+
+import "dotenv/config";
+import { createManualBilling } from "./manualBilling.js";
+import { createInstantBilling } from "./instantBilling.js";
+
+//  Billing provider factories by name
+const factories = {
+  manual: createManualBilling,
+  instant: createInstantBilling,
+};
+
+let billing = null;
+
+/**
+ *  Returns the configured billing provider (created once, then reused)
+ * @returns {object}
+ */
+export const getBilling = () => {
+  if (billing) return billing;
+
+  const name = (process.env.BILLING_PROVIDER || "manual").toLowerCase();
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown BILLING_PROVIDER "${name}" (use manual or instant)`);
+  }
+
+  billing = factory();
+  return billing;
+};
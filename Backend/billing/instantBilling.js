@@ -0,0 +1,12 @@
+// Instant billing provider
+// Approves every upgrade immediately, without payment.
+// Meant for development and self-hosted installs.
+
+
+export const createInstantBilling = () => ({
+  name: "instant",
+
+  async requestUpgrade({ plan }) {
+    return { status: "approved", message: `You're now on ${plan.name}!` };
+  },
+});
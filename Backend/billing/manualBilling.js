@@ -0,0 +1,15 @@
+// Manual billing provider (default)
+// No payment integration: the upgrade request is stored on the user
+// and an admin applies the plan (PUT /api/admin/users/:userId/plan).
+
+
+export const createManualBilling = () => ({
+  name: "manual",
+
+  async requestUpgrade({ plan }) {
+    return {
+      status: "pending",
+      message: `Your request for ${plan.name} was sent. An admin will activate it soon.`,
+    };
+  },
+});
@@ -0,0 +1,83 @@
+
+// Server-side model registry
+// The only chat models users may pick, with display names,
+// context limits and the default used for new threads.
+//
+// LLM_MODEL (.env) changes the default; if it is not listed below
+// (e.g. a local Ollama model) it is added to the registry automatically.
+
+
+import "dotenv/config";
+
+//  Allowed chat models
+//   id             → model name sent to the provider
+//   name           → label shown in the model picker
+//   contextWindow  → maximum tokens (prompt + reply) the model accepts
+//   maxOutputTokens→ reply length cap used for completions
+//   tools          → model supports function / tool calling (see tools/index.js)
+//   vision         → model accepts images (attached images are sent as image parts)
+const MODELS = [
+  {
+    id: "gpt-4o-mini",
+    name: "GPT-4o mini",
+    description: "Fast and affordable for everyday tasks",
+    contextWindow: 128000,
+    maxOutputTokens: 800,
+    tools: true,
+    vision: true,
+  },
+  {
+    id: "gpt-4o",
+    name: "GPT-4o",
+    description: "Most capable, best for complex questions",
+    contextWindow: 128000,
+    maxOutputTokens: 1500,
+    tools: true,
+    vision: true,
+  },
+  {
+    id: "gpt-4.1-mini",
+    name: "GPT-4.1 mini",
+    description: "Strong at code with a long context",
+    contextWindow: 1000000,
+    maxOutputTokens: 1500,
+    tools: true,
+    vision: true,
+  },
+];
+
+//  Default model for new threads
+export const DEFAULT_MODEL_ID = process.env.LLM_MODEL || "gpt-4o-mini";
+
+if (!MODELS.some((m) => m.id === DEFAULT_MODEL_ID)) {
+  MODELS.unshift({
+    id: DEFAULT_MODEL_ID,
+    name: DEFAULT_MODEL_ID,
+    description: "Configured default model",
+    contextWindow: parseInt(process.env.LLM_CONTEXT_WINDOW, 10) || 8192,
+    maxOutputTokens: 800,
+    tools: process.env.LLM_TOOLS === "true", // Many local models can't call tools
+    vision: process.env.LLM_VISION === "true", // e.g. llava, llama3.2-vision
+  });
+}
+
+/**
+ *  Lists every allowed model
+ * @returns {Array<object>}
+ */
+export const listModels = () => MODELS.map((m) => ({ ...m, default: m.id === DEFAULT_MODEL_ID }));
+
+/**
+ *  Checks whether a model id is in the registry
+ * @param {string} id
+ * @returns {boolean}
+ */
+export const isAllowedModel = (id) => MODELS.some((m) => m.id === id);
+
+/**
+ *  Resolves a model id to its registry entry (falls back to the default)
+ * @param {string} [id]
+ * @returns {object}
+ */
+export const getModel = (id) =>
+  MODELS.find((m) => m.id === id) || MODELS.find((m) => m.id === DEFAULT_MODEL_ID);
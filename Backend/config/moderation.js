@@ -0,0 +1,71 @@
+// Content moderation policy
+// Applied to user messages before they reach the model and to replies
+// before they are saved (utils/moderation.js).
+//
+// Local rules (checked first, no API call):
+//   MODERATION_BLOCKLIST    → comma-separated words / phrases that block a message
+//                             e.g. MODERATION_BLOCKLIST=forbidden phrase,another
+//   MODERATION_RULES_JSON   → regex rules with their own category and action, e.g.
+//     MODERATION_RULES_JSON=[{"pattern":"\\bcasino\\b","flags":"i","category":"gambling","action":"flag"}]
+//
+// Provider check (e.g. OpenAI moderation endpoint), when the provider supports it:
+//   MODERATION_PROVIDER        → true (default) | false
+//   MODERATION_PROVIDER_ACTION → block (default) | flag
+//
+// Actions:
+//   block → user message is not sent to the model / reply is withheld
+//   flag  → message goes through but is marked for admin review
+//
+// Streamed replies: local block rules stop the stream as soon as they match;
+// the provider check only sees the finished reply, so text it blocks has
+// already been shown once (the client then swaps in the placeholder).
+
+
+import "dotenv/config";
+
+//  Escapes a blocklist phrase for use inside a RegExp
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+//  Blocklist → one whole-word, case-insensitive rule per phrase
+const blocklistRules = () =>
+  (process.env.MODERATION_BLOCKLIST || "")
+    .split(",")
+    .map((phrase) => phrase.trim())
+    .filter(Boolean)
+    .map((phrase) => ({
+      pattern: new RegExp(`\\b${escapeRegExp(phrase)}\\b`, "i"),
+      category: "blocklist",
+      action: "block",
+    }));
+
+//  Regex rules from the environment (invalid JSON or patterns are reported and skipped)
+const customRules = () => {
+  if (!process.env.MODERATION_RULES_JSON) return [];
+  try {
+    return JSON.parse(process.env.MODERATION_RULES_JSON).flatMap((rule) => {
+      try {
+        return [
+          {
+            pattern: new RegExp(rule.pattern, (rule.flags ?? "i").replace(/[gy]/g, "")), // Stateless test()
+            category: rule.category || "custom",
+            action: rule.action === "flag" ? "flag" : "block",
+          },
+        ];
+      } catch (err) {
+        console.error(" Invalid moderation rule:", err.message);
+        return [];
+      }
+    });
+  } catch (err) {
+    console.error(" Invalid MODERATION_RULES_JSON:", err.message);
+    return [];
+  }
+};
+
+//  Local rules: { pattern (RegExp), category, action }
+export const MODERATION_RULES = [...blocklistRules(), ...customRules()];
+
+//  Provider moderation settings
+export const MODERATION_PROVIDER = process.env.MODERATION_PROVIDER !== "false";
+export const MODERATION_PROVIDER_ACTION =
+  process.env.MODERATION_PROVIDER_ACTION === "flag" ? "flag" : "block";
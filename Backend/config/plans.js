@@ -0,0 +1,96 @@
+// Server-side plan tiers
+// Daily limits enforced on /api/chat and /api/voice (middleware/checkQuota.js).
+// A limit of null means unlimited. Days reset at midnight UTC.
+//
+// PLANS_JSON (.env) adds custom tiers or overrides built-in ones, e.g.
+//   PLANS_JSON={"team":{"name":"Team","dailyMessages":500,"dailyTokens":1000000,"dailyVoiceMinutes":60,"models":"*"}}
+
+
+import "dotenv/config";
+import { DEFAULT_MODEL_ID } from "./models.js";
+
+//  Plan tiers
+//   id                → stored on User.plan
+//   name / price      → shown in the Upgrade modal
+//   dailyMessages     → chat replies + voice answers per day
+//   dailyTokens       → prompt + completion tokens per day
+//   dailyVoiceMinutes → recorded audio per day
+//   models            → allowed chat model ids, or "*" for every model
+const BUILT_IN_PLANS = {
+  free: {
+    name: "Free",
+    price: "$0",
+    dailyMessages: 50,
+    dailyTokens: 100000,
+    dailyVoiceMinutes: 5,
+    models: [...new Set(["gpt-4o-mini", DEFAULT_MODEL_ID])],
+  },
+  pro: {
+    name: "Pro",
+    price: "$20 / month",
+    dailyMessages: 1000,
+    dailyTokens: 2000000,
+    dailyVoiceMinutes: 120,
+    models: "*",
+  },
+};
+
+//  Custom tiers from the environment (invalid JSON is reported and ignored)
+const customPlans = () => {
+  if (!process.env.PLANS_JSON) return {};
+  try {
+    return JSON.parse(process.env.PLANS_JSON);
+  } catch (err) {
+    console.error(" Invalid PLANS_JSON:", err.message);
+    return {};
+  }
+};
+
+const PLANS = Object.fromEntries(
+  Object.entries({ ...BUILT_IN_PLANS, ...customPlans() }).map(([id, plan]) => [
+    id,
+    {
+      id,
+      name: id,
+      price: "",
+      dailyMessages: null,
+      dailyTokens: null,
+      dailyVoiceMinutes: null,
+      models: "*",
+      ...BUILT_IN_PLANS[id],
+      ...plan,
+    },
+  ])
+);
+
+//  Plan every new account starts on
+export const DEFAULT_PLAN_ID = "free";
+
+/**
+ *  Lists every plan tier
+ * @returns {Array<object>}
+ */
+export const listPlans = () => Object.values(PLANS);
+
+/**
+ *  Checks whether a plan id exists
+ * @param {string} id
+ * @returns {boolean}
+ */
+export const isPlan = (id) => Object.hasOwn(PLANS, id);
+
+/**
+ *  Resolves a plan id (unknown ids fall back to the default plan)
+ * @param {string} [id]
+ * @returns {object}
+ */
+export const getPlan = (id) => PLANS[id] || PLANS[DEFAULT_PLAN_ID];
+
+/**
+ *  Checks whether a plan may use a chat model
+ * @param {object} plan
+ * @param {string} modelId
+ * @returns {boolean}
+ */
+export const planAllowsModel = (plan, modelId) =>
+  plan.models === "*" || plan.models.includes(modelId);
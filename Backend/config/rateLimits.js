@@ -0,0 +1,62 @@
+// Rate limit policies per route group
+// Applied by middleware/rateLimit.js. Each group lists one or more
+// fixed-window limits; a request must pass all of them.
+//
+// RATE_LIMITS_JSON (.env) replaces the limits of a group, e.g.
+//   RATE_LIMITS_JSON={"chat":[{"by":"user","max":60,"windowMs":60000}]}
+
+
+import "dotenv/config";
+
+const MINUTE = 60 * 1000;
+
+//  Policies
+//   by       → "ip" (client address) or "user" (req.user.userId, needs verifyToken first)
+//   max      → requests allowed per window
+//   windowMs → window length
+const BUILT_IN_LIMITS = {
+  //  Password guessing on login / mass sign-ups
+  auth: [{ by: "ip", max: 10, windowMs: 15 * MINUTE }],
+
+  //  Paid model calls (send, regenerate, edit)
+  chat: [
+    { by: "user", max: 20, windowMs: MINUTE },
+    { by: "ip", max: 60, windowMs: MINUTE },
+  ],
+
+  //  Transcription + reply + speech for every recording
+  voice: [
+    { by: "user", max: 6, windowMs: MINUTE },
+    { by: "ip", max: 20, windowMs: MINUTE },
+  ],
+
+  //  Document uploads (PDF parsing, paid embeddings when enabled)
+  knowledge: [
+    { by: "user", max: 10, windowMs: 10 * MINUTE },
+    { by: "ip", max: 30, windowMs: 10 * MINUTE },
+  ],
+};
+
+//  Overrides from the environment (invalid JSON is reported and ignored)
+const customLimits = () => {
+  if (!process.env.RATE_LIMITS_JSON) return {};
+  try {
+    return JSON.parse(process.env.RATE_LIMITS_JSON);
+  } catch (err) {
+    console.error(" Invalid RATE_LIMITS_JSON:", err.message);
+    return {};
+  }
+};
+
+const LIMITS = { ...BUILT_IN_LIMITS, ...customLimits() };
+
+/**
+ *  Returns the limits of a route group
+ * @param {string} group - auth | chat | voice | knowledge
+ * @returns {Array<{ by: "ip" | "user", max: number, windowMs: number }>}
+ */
+export const getRateLimits = (group) => {
+  const limits = LIMITS[group];
+  if (!limits) throw new Error(`Unknown rate limit group "${group}"`);
+  return limits;
+};
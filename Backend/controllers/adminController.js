@@ -0,0 +1,127 @@
+
+// Admin-only actions (routes guarded by requireAdmin):
+//   Listing pending plan upgrade requests
+//   Changing a user's plan
+//   Reviewing messages flagged or blocked by moderation
+
+
+import User from "../models/User.js";
+import Message from "../models/Message.js";
+import { isPlan } from "../config/plans.js";
+import { applyPlan } from "../utils/quota.js";
+
+
+//  GET PLAN REQUESTS
+
+// Lists users waiting for an upgrade, oldest request first.
+
+export const getPlanRequests = async (req, res) => {
+  try {
+    const users = await User.find({ "planRequest.plan": { $exists: true } })
+      .sort({ "planRequest.requestedAt": 1 })
+      .select("name email plan planRequest");
+    res.json(users);
+  } catch (err) {
+    console.error("Plan requests error:", err);
+    res.status(500).json({ message: "Failed to fetch plan requests" });
+  }
+};
+
+
+//  SET USER PLAN
+
+// Body: { plan } — applies the plan and clears any pending request.
+
+export const setUserPlan = async (req, res) => {
+  try {
+    const { plan } = req.body;
+
+    //  Validate input
+    if (!isPlan(plan)) {
+      return res.status(400).json({ message: `Unknown plan: ${plan}` });
+    }
+
+    const user = await applyPlan(req.params.userId, plan);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    res.json(user);
+  } catch (err) {
+    if (err.name === "CastError") {
+      return res.status(400).json({ message: "Invalid user id" });
+    }
+    console.error("Set plan error:", err);
+    res.status(500).json({ message: "Failed to update plan" });
+  }
+};
+
+
+//  GET MODERATION QUEUE
+
+// Lists moderated messages, newest first.
+// Query: status (flagged | blocked, default both), reviewed (true → reviewed ones,
+// default → waiting for review), limit (default 50, max 200).
+// Withheld replies include their original text.
+
+export const getModerationQueue = async (req, res) => {
+  try {
+    const { status, reviewed } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const filter = {
+      "moderation.status": ["flagged", "blocked"].includes(status) ? status : { $exists: true },
+      "moderation.decision": { $exists: reviewed === "true" },
+    };
+
+    const messages = await Message.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .select("+moderation.original")
+      .populate("userId", "name email")
+      .lean();
+    res.json(messages);
+  } catch (err) {
+    console.error("Moderation queue error:", err);
+    res.status(500).json({ message: "Failed to fetch moderation queue" });
+  }
+};
+
+
+//  REVIEW MODERATED MESSAGE
+
+// Body: { decision: "dismissed" | "confirmed" }
+// Dismissing a withheld reply (false positive) gives the user its text back
+// and lets the message into prompts again.
+
+export const reviewMessage = async (req, res) => {
+  try {
+    const { decision } = req.body;
+
+    //  Validate input
+    if (!["dismissed", "confirmed"].includes(decision)) {
+      return res.status(400).json({ message: "Decision must be dismissed or confirmed" });
+    }
+
+    const message = await Message.findOne({
+      _id: req.params.messageId,
+      "moderation.status": { $exists: true },
+    }).select("+moderation.original");
+    if (!message) return res.status(404).json({ message: "Moderated message not found" });
+
+    message.moderation.decision = decision;
+    message.moderation.reviewedBy = req.user.userId;
+    message.moderation.reviewedAt = new Date();
+    if (decision === "dismissed" && message.moderation.original) {
+      message.content = message.moderation.original;
+      message.moderation.original = undefined;
+    }
+    await message.save();
+
+    res.json(message);
+  } catch (err) {
+    if (err.name === "CastError") {
+      return res.status(400).json({ message: "Invalid message id" });
+    }
+    console.error("Review message error:", err);
+    res.status(500).json({ message: "Failed to review message" });
+  }
+};
@@ -0,0 +1,41 @@
+
+// Handles files attached to chat messages:
+//   Downloading an attachment (owner only)
+// Files are uploaded with the message itself (POST /api/chat, see
+// middleware/uploadAttachments.js) and their text is added to the model context.
+
+
+import fs from "fs";
+import Attachment from "../models/Attachment.js"; // MongoDB attachment model
+
+
+//  DOWNLOAD ATTACHMENT
+
+// Sends the stored file under its original name.
+// Only the user who attached it can download it.
+
+export const downloadAttachment = async (req, res) => {
+  try {
+    const attachment = await Attachment.findOne({
+      _id: req.params.attachmentId,
+      userId: req.user.userId,
+    })
+      .select("+path")
+      .lean();
+    if (!attachment) return res.status(404).json({ message: "Attachment not found" });
+
+    if (!fs.existsSync(attachment.path)) {
+      return res.status(410).json({ message: "This file is no longer available" });
+    }
+
+    res.download(attachment.path, attachment.name, {
+      headers: { "Content-Type": attachment.mimeType },
+    });
+  } catch (err) {
+    if (err.name === "CastError") {
+      return res.status(400).json({ message: "Invalid attachment id" });
+    }
+    console.error("Download attachment error:", err);
+    res.status(500).json({ message: "Failed to download attachment" });
+  }
+};
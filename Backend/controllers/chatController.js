@@ -1,100 +1,571 @@
 
 // Handles all chat-related functionalities:
-//   Sending user messages to OpenAI API
+//   Sending user messages to the configured LLM provider
 //   Storing message history in MongoDB
 //   Managing threads and their related messages
+//   Regenerating replies, editing messages (forking) and switching versions
+//   Files attached to user messages (text extracted into the model context)
+//   Answers grounded in the user's knowledge base (threads with `useKnowledge`)
 
 
+import mongoose from "mongoose";
 import Message from "../models/Message.js";   // Mongoose model for chat messages
 import Thread from "../models/Thread.js";     // Mongoose model for chat threads
+import { buildPromptMessages } from "../utils/promptBuilder.js"; // System prompt + history
+import { wantsEventStream, openEventStream, writeEvent } from "../utils/sse.js"; // SSE helpers
+import { loadActivePath, selectVersion } from "../utils/messageTree.js"; // Message versions
+import { autoTitleThread, generateTitle } from "../utils/titleGenerator.js"; // LLM thread titles
+import { compactThread, markSummary } from "../utils/summarizer.js"; // Rolling summaries
+import { extractMemories } from "../utils/memory.js"; // Long-term user memory
+import { completeWithTools, saveToolSteps, attachToolSteps } from "../utils/toolLoop.js"; // Tool calling
+import { recordUsage } from "../utils/usage.js"; // Token accounting
+import { ApiError, toApiError, errorBody } from "../utils/errors.js"; // { code, message, retryable }
+import { moderateText, matchesBlockRule, toModerationField, isBlocked, WITHHELD_REPLY } from "../utils/moderation.js"; // Content checks
+import { providerForUser } from "../utils/redaction.js"; // LLM provider (PII redacted if enabled)
+import {
+  attachmentKind,
+  readAttachments,
+  saveAttachments,
+  discardUploads,
+  deleteAttachments,
+  assertVision,
+} from "../utils/attachments.js"; // Attached files (text + images)
+import { retrieveKnowledge, citationsFor, KB_TOKEN_BUDGET } from "../utils/knowledgeBase.js"; // Knowledge base
+import { getModel, isAllowedModel } from "../config/models.js"; // Model registry
+
+//  Tail of the streamed reply checked against the local block rules on each chunk
+const STREAM_CHECK_CHARS = 1000;
+
+//  The last STREAM_CHECK_CHARS of the text, starting at a word
+//  (a cut mid-word would let word-bounded rules match a fragment)
+const streamCheckWindow = (text) => {
+  const cut = text.length - STREAM_CHECK_CHARS;
+  if (cut <= 0 || /\s/.test(text[cut - 1])) return text.slice(Math.max(cut, 0));
+  const space = text.slice(cut).search(/\s/);
+  return space === -1 ? "" : text.slice(cut + space + 1);
+};
+
+
+//  Readable message of a Mongoose ValidationError
+const validationMessage = (err) =>
+  Object.values(err.errors).map((e) => e.message).join(", ");
+
+//  400 for thread settings the schema rejects (e.g. a systemPrompt over the limit)
+const invalidThread = (err) =>
+  new ApiError({ code: "INVALID_THREAD", message: validationMessage(err), status: 400 });
+
+
+//  ENSURE THREAD (internal helper)
+
+// Finds the thread for this user, or creates it (for the sidebar)
+// with a short title taken from the first message.
+// systemPrompt / model / useKnowledge are only applied when the thread is created here.
+// Invalid settings (e.g. a systemPrompt over the limit) throw a 400 INVALID_THREAD.
+
+const ensureThread = async ({ userId, threadId, message, systemPrompt, model, useKnowledge }) => {
+  let thread = await Thread.findOne({ threadId, userId });
+  if (!thread) {
+    const title = message.split(" ").slice(0, 5).join(" "); // Generate short title
+    try {
+      thread = await Thread.create({ threadId, title, userId, systemPrompt, model, useKnowledge });
+    } catch (err) {
+      throw err.name === "ValidationError" ? invalidThread(err) : err;
+    }
+  }
+  return thread;
+};
+
+
+//  CONTENT BLOCKED (internal helper)
+
+// Answers a user message that moderation blocked. The message is saved
+// (shown in the chat, listed for admin review) but never sent to the model.
+
+const sendContentBlocked = (res, userMsg) =>
+  res.status(422).json({
+    code: "CONTENT_BLOCKED",
+    message: "This message was blocked by content moderation.",
+    retryable: false,
+    userMsg,
+  });
+
+
+//  GENERATE REPLY (internal helper)
+
+// Runs the completion for a user message and saves the assistant reply
+// as a child of that message (a new version if it already has replies).
+// Shared by sendMessage, regenerateReply and editMessage; responds either as JSON or,
+// when the client sends "Accept: text/event-stream", as Server-Sent Events:
+//   event: start → { userMsg }            (before the first token)
+//   event: token → { content }            (one per chunk from the provider)
+//   event: tool  → { id, name, arguments } (model called a tool, see tools/index.js)
+//   event: tool_result → { id, result }    (tool finished; the model continues)
+//   event: withheld → { message }          (a local block rule matched, nothing more is relayed)
+//   event: done  → { reply, history, withheld } (after the reply is saved)
+//   event: title → { threadId, title }    (first exchange only, after done)
+//   event: error → { code, message, retryable } (see utils/errors.js)
+// `history` is [userMsg, botMsg] with version info (versionIndex / versionCount);
+// botMsg.steps lists the tool calls made for it (saved as step messages).
+// In threads using the knowledge base, relevant excerpts go into the system
+// prompt and botMsg.citations lists the ones the reply cites as [n].
+//
+// After the first exchange of a thread a title is generated in the background
+// (the reply is never delayed by it). Every completed reply also lets the
+// thread compact older turns into its running summary once history grows long,
+// and every few turns durable facts about the user are extracted into long-term
+// memory. These upkeep calls count towards the daily token quota and are listed
+// apart in the usage panel.
+//
+// The finished reply is moderated before it is saved: a blocked reply is
+// stored with a placeholder (the text is kept for admin review) and the
+// client receives the placeholder in `done` (withheld: true).
+// While streaming, only the local block rules run on each chunk (they stop the
+// relay as soon as they match). The provider check needs the whole reply, so
+// text it blocks has already been streamed: the client replaces it with the
+// placeholder from `done`, and it is never shown again.
+//
+// If the client disconnects (Stop button), the provider request is aborted
+// and any partial text is saved with `interrupted: true`.
+
+const generateReply = async ({ req, res, thread, userMsg, siblingIds = [] }) => {
+  const userId = req.user.userId;
+  const chatModel = getModel(thread.model); // Registry entry (falls back to default)
+  const provider = await providerForUser(userId);
+
+  //  Abort the upstream request when the client goes away before we answer
+  const abort = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) abort.abort();
+  });
+
+  //  Knowledge base excerpts for this question (threads that opted in)
+  const knowledge = thread.useKnowledge
+    ? await retrieveKnowledge({
+        userId,
+        query: userMsg.content,
+        provider,
+        budget: Math.min(KB_TOKEN_BUDGET, Math.floor((chatModel.contextWindow - chatModel.maxOutputTokens) / 4)),
+        signal: abort.signal,
+      })
+    : [];
+
+  //  System prompt (with relevant memories and excerpts) + branch history up to
+  //  the user message, within the token budget
+  const messages = await buildPromptMessages({
+    userId,
+    thread,
+    model: chatModel,
+    untilId: userMsg._id,
+    query: userMsg.content,
+    knowledge,
+  });
+
+  //  Completion options for the provider
+  const options = {
+    messages,
+    model: chatModel.id,
+    maxTokens: chatModel.maxOutputTokens, // Maximum tokens for AI response
+    temperature: 0.2,                     // Controls creativity of response
+    signal: abort.signal,
+  };
+
+  //  Tool loop settings (tools only for models that support them)
+  const loop = {
+    provider,
+    options,
+    context: { userId, threadId: thread.threadId },
+    useTools: Boolean(chatModel.tools),
+    state: { reply: "", steps: [], usage: null, requests: 0 },
+  };
+
+  //  Saves the reply (and its tool steps) as the selected version under the user message
+  let titlePromise = null;
+  const saveReply = async (text, interrupted = false) => {
+    //  Output moderation → withheld replies keep their text for admins only
+    const check = await moderateText(text, provider);
+    const withheld = check.status === "blocked";
+    const reply = withheld ? WITHHELD_REPLY : text;
+    const citations = withheld ? [] : citationsFor(reply, knowledge);
+
+    const botMsg = await Message.create({
+      userId,
+      threadId: thread.threadId,
+      role: "assistant",
+      content: reply,
+      model: chatModel.id,
+      parentId: userMsg._id,
+      interrupted,
+      usage: loop.state.usage,
+      moderation: withheld ? { ...toModerationField(check), original: text } : toModerationField(check),
+      citations: citations.length ? citations : undefined,
+    });
+    await recordUsage({
+      userId,
+      threadId: thread.threadId,
+      model: chatModel.id,
+      usage: loop.state.usage,
+      requests: loop.state.requests,
+      messages: 1, // Counted against the daily plan quota
+    });
+
+    const versions = [...siblingIds, botMsg._id];
+    await selectVersion(botMsg, versions);
+    const steps = await saveToolSteps({ reply: botMsg, steps: loop.state.steps });
+
+    //  First exchange → summarise it into a title (not awaited here)
+    if (!interrupted && !userMsg.parentId && thread.titleSource === "message") {
+      titlePromise = autoTitleThread({ thread, userText: userMsg.content, reply });
+    }
+
+    //  Background upkeep for later requests (not awaited):
+    //  condense long history, remember durable facts about the user (on a cadence)
+    if (!interrupted) {
+      compactThread({ userId, thread, model: chatModel.id });
+    }
+    if (!interrupted && !withheld) {
+      extractMemories({ userId, threadId: thread.threadId, model: chatModel.id });
+    }
+
+    const saved = botMsg.toObject();
+    if (saved.moderation) delete saved.moderation.original; // Withheld text stays server-side
+
+    return {
+      ...saved,
+      versionIndex: versions.length,
+      versionCount: versions.length,
+      siblingIds: versions,
+      ...(steps.length && { steps }),
+    };
+  };
+
+  //  Streaming flow: relay tokens and tool steps as they happen
+  if (wantsEventStream(req)) {
+    openEventStream(res);
+    writeEvent(res, "start", { userMsg });
+
+    //  Local block rules on the streamed text → stop relaying once one matches
+    let relayed = "";
+    let held = false;
+    const relay = (event, data) => {
+      if (held) return;
+      if (event === "token") {
+        relayed += data.content;
+        if (matchesBlockRule(streamCheckWindow(relayed))) {
+          held = true;
+          return writeEvent(res, "withheld", { message: WITHHELD_REPLY });
+        }
+      }
+      writeEvent(res, event, data);
+    };
+
+    try {
+      await completeWithTools({
+        ...loop,
+        stream: true,
+        onEvent: relay,
+      });
+    } catch (err) {
+      if (!abort.signal.aborted) throw err;
+    }
+
+    //  Stopped by the client → keep what was generated so far
+    let reply = loop.state.reply.trim();
+    if (abort.signal.aborted) {
+      if (reply) await saveReply(reply, true);
+      return;
+    }
+
+    const botMsg = await saveReply(reply || " No reply");
+
+    writeEvent(res, "done", {
+      reply: botMsg.content,
+      history: [userMsg, botMsg],
+      withheld: botMsg.moderation?.status === "blocked",
+    });
 
-// OpenAI Chat Completion API endpoint
-const OPENAI_API_URL = "https://api.openai.com/v1/chat/completions";
+    //  Let the sidebar pick up the generated title without another request
+    //  (the client already left its streaming state at `done`)
+    const title = await titlePromise;
+    if (title) writeEvent(res, "title", { threadId: thread.threadId, title });
+
+    return res.end();
+  }
+
+  //  Request the full AI response (nothing to keep if the client left)
+  try {
+    await completeWithTools(loop);
+  } catch (err) {
+    if (abort.signal.aborted) return;
+    throw err;
+  }
+  const botMsg = await saveReply(loop.state.reply.trim() || " No reply");
+
+  //  Return both user + assistant messages
+  res.json({ reply: botMsg.content, history: [userMsg, botMsg] });
+};
+
+
+//  REPORT CHAT ERROR (internal helper)
+
+// Sends a failure as { code, message, retryable } — either as JSON or,
+// once a stream has started, as an SSE error event.
+// Provider failures keep their code (PROVIDER_TIMEOUT…); anything else
+// is reported with the fallback message.
+
+const sendChatError = (res, err, fallbackMessage) => {
+  const error = toApiError(err, fallbackMessage);
+  if (res.headersSent) {
+    writeEvent(res, "error", errorBody(error));
+    return res.end();
+  }
+  res.status(error.status).json(errorBody(error));
+};
 
 
 //  SEND MESSAGE CONTROLLER
 
-// Handles sending a user's message to OpenAI API:
-// 1️ Saves user message in MongoDB
-// 2️ Sends it to OpenAI GPT model for response
-// 3️ Saves AI's reply to database
-// 4️ Ensures the thread exists or creates a new one
+// Handles sending a user's message to the LLM provider:
+// 1️ Ensures the thread exists or creates a new one
+//    (optional systemPrompt / model / useKnowledge in the body are used when creating it)
+// 2️ Reads the text of attached files (multipart field "files", see
+//    middleware/uploadAttachments.js) → an unreadable file rejects the request,
+//    so do images sent to a model without image support (400 VISION_NOT_SUPPORTED)
+// 3️ Moderates it and saves it in MongoDB (after the last message of the active branch)
+//    → a blocked message stops here (422 CONTENT_BLOCKED)
+// 4️ Sends it (with the thread's system prompt, previous turns and files) to the model
+// 5️ Saves AI's reply to database (JSON or streamed, see generateReply)
+// A message may be empty when it carries files.
 
 export const sendMessage = async (req, res) => {
+  const files = req.files || [];
+  let filesSaved = false;
+
   try {
-    const { message, threadId } = req.body;
+    const { message = "", threadId, systemPrompt, model, useKnowledge } = req.body;
 
     //  Validate required input
-    if (!message || !threadId) {
+    if ((!message && !files.length) || !threadId) {
+      discardUploads(files);
       return res.status(400).json({ message: "Message and threadId required" });
     }
+    if (model && !isAllowedModel(model)) {
+      discardUploads(files);
+      return res.status(400).json({ message: `Unknown model: ${model}` });
+    }
 
     const userId = req.user.userId;
 
-    // 1️ Save user's message into the database
-    const userMsg = await Message.create({
+    //  Images need a vision model (the thread's, or the one it will be created with)
+    const existing = await Thread.findOne({ threadId, userId }).select("model").lean();
+    assertVision(
+      getModel(existing ? existing.model : model),
+      files.map((file) => ({ kind: attachmentKind(file.originalname) }))
+    );
+
+    // 1️ Ensure the thread exists (sidebar + system prompt + model)
+    const thread = await ensureThread({
+      userId,
+      threadId,
+      message: message || files[0].originalname,
+      systemPrompt,
+      model,
+      useKnowledge: useKnowledge === true || useKnowledge === "true", // Multipart fields are strings
+    });
+
+    // 2️ Extract the text of attached files
+    const attachments = await readAttachments(files);
+
+    // 3️ Moderate (text + files) + save user's message at the end of the active branch
+    const check = await moderateText(
+      [message, ...attachments.map((a) => a.text)].filter(Boolean).join("\n\n"),
+      await providerForUser(userId)
+    );
+    const path = await loadActivePath({ userId, threadId });
+    const messageId = new mongoose.Types.ObjectId();
+    const attached = await saveAttachments({ userId, threadId, messageId, attachments });
+    filesSaved = true;
+    const saved = await Message.create({
+      _id: messageId,
       userId,
       threadId,
       role: "user",
       content: message,
+      parentId: path.length ? path[path.length - 1]._id : null,
+      moderation: toModerationField(check),
+      attachments: attached.length ? attached : undefined,
     });
+    const userMsg = { ...saved.toObject(), versionIndex: 1, versionCount: 1, siblingIds: [saved._id] };
+    if (check.status === "blocked") return sendContentBlocked(res, userMsg);
 
-    // 2️ Prepare OpenAI API request payload
-    const payload = {
-      model: "gpt-4o-mini", // OpenAI GPT model used for chat
-      messages: [{ role: "user", content: message }],
-      max_tokens: 800,      // Maximum tokens for AI response
-      temperature: 0.2,     // Controls creativity of response
-    };
+    // 4️ + 5️ Get the AI reply and save it
+    await generateReply({ req, res, thread, userMsg });
+  } catch (err) {
+    if (!filesSaved) discardUploads(files);
+    console.error("Chat error:", err);
+    sendChatError(res, err, "Chat error");
+  }
+};
+
+
+//  REGENERATE REPLY CONTROLLER
+
+// Re-runs the completion for the last user turn of a thread.
+// The new reply is saved as a sibling version of the previous one
+// (the old reply is kept) and becomes the selected version.
+// Body: { threadId } — responds like sendMessage (JSON or SSE).
+
+export const regenerateReply = async (req, res) => {
+  try {
+    const { threadId } = req.body;
+    if (!threadId) {
+      return res.status(400).json({ message: "threadId required" });
+    }
+
+    const userId = req.user.userId;
+    const thread = await Thread.findOne({ threadId, userId });
+    if (!thread) {
+      return res.status(404).json({ message: "Thread not found" });
+    }
 
-    // 3️ Send request to OpenAI API
-    const openaiRes = await fetch(OPENAI_API_URL, {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify(payload),
+    //  Find the last user turn on the active branch and its current replies
+    const path = await loadActivePath({ userId, threadId });
+    const userIndex = path.findLastIndex((m) => m.role === "user");
+    if (userIndex === -1) {
+      return res.status(400).json({ message: "Nothing to regenerate" });
+    }
+
+    const userMsg = path[userIndex];
+    const lastReply = path[userIndex + 1];
+    if (isBlocked(userMsg)) return sendContentBlocked(res, userMsg);
+    assertVision(getModel(thread.model), userMsg.attachments); // Model may have been switched since
+
+    await generateReply({
+      req,
+      res,
+      thread,
+      userMsg,
+      siblingIds: lastReply?.siblingIds || [],
     });
+  } catch (err) {
+    console.error("Regenerate error:", err);
+    sendChatError(res, err, "Regenerate error");
+  }
+};
 
-    //  Handle OpenAI API failure
-    if (!openaiRes.ok) {
-      const error = await openaiRes.json();
-      console.error("OpenAI Error:", error);
-      return res.status(500).json({ message: "OpenAI API error", error });
+
+//  EDIT MESSAGE CONTROLLER
+
+// Edits an earlier user message by forking the conversation:
+// the edited text is saved as a sibling version of the original
+// (same parent, original branch kept) and a fresh reply is generated.
+// Files attached to the original stay attached to the edited version.
+// Body: { message } — responds like sendMessage (JSON or SSE).
+
+export const editMessage = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { messageId } = req.params;
+    const { message } = req.body;
+
+    if (!message) {
+      return res.status(400).json({ message: "Message required" });
+    }
+    if (!mongoose.isValidObjectId(messageId)) {
+      return res.status(404).json({ message: "Message not found" });
     }
 
-    // 4️ Extract AI response from OpenAI output
-    const data = await openaiRes.json();
-    const reply = data?.choices?.[0]?.message?.content?.trim() || " No reply";
+    const original = await Message.findOne({ _id: messageId, userId, role: "user" }).lean();
+    if (!original) {
+      return res.status(404).json({ message: "Message not found" });
+    }
 
-    // 5️ Save AI assistant reply in the database
-    const botMsg = await Message.create({
+    const thread = await Thread.findOne({ threadId: original.threadId, userId });
+    if (!thread) {
+      return res.status(404).json({ message: "Thread not found" });
+    }
+
+    //  Locate the message on the active branch (gives parent + sibling versions)
+    const path = await loadActivePath({ userId, threadId: original.threadId });
+    const index = path.findIndex((m) => m.siblingIds.some((id) => String(id) === messageId));
+    if (index === -1) {
+      return res.status(400).json({ message: "Message is not part of the active branch" });
+    }
+
+    assertVision(getModel(thread.model), original.attachments);
+
+    //  New branch: edited (and moderated) message next to the original
+    const check = await moderateText(message, await providerForUser(userId));
+    const saved = await Message.create({
       userId,
-      threadId,
-      role: "assistant",
-      content: reply,
+      threadId: original.threadId,
+      role: "user",
+      content: message,
+      parentId: index > 0 ? path[index - 1]._id : null,
+      moderation: toModerationField(check),
+      attachments: original.attachments,
     });
 
-    // 6️ Ensure the thread exists, or create it for sidebar
-    let thread = await Thread.findOne({ threadId, userId });
-    if (!thread) {
-      const title = message.split(" ").slice(0, 5).join(" "); // Generate short title
-      thread = await Thread.create({ threadId, title, userId });
+    const versions = [...path[index].siblingIds, saved._id];
+    await selectVersion(saved, versions);
+
+    const userMsg = {
+      ...saved.toObject(),
+      versionIndex: versions.length,
+      versionCount: versions.length,
+      siblingIds: versions,
+    };
+    if (check.status === "blocked") return sendContentBlocked(res, userMsg);
+
+    await generateReply({ req, res, thread, userMsg });
+  } catch (err) {
+    console.error("Edit message error:", err);
+    sendChatError(res, err, "Edit message error");
+  }
+};
+
+
+//  SELECT MESSAGE VERSION
+
+// Switches which version of a message is shown and used as history.
+// Returns the thread's new active branch.
+
+export const selectMessageVersion = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { messageId } = req.params;
+    if (!mongoose.isValidObjectId(messageId)) {
+      return res.status(404).json({ message: "Message not found" });
+    }
+
+    const message = await Message.findOne({ _id: messageId, userId }).lean();
+    if (!message) {
+      return res.status(404).json({ message: "Message not found" });
+    }
+
+    //  Sibling ids come from the resolved tree (covers legacy messages too)
+    const path = await loadActivePath({ userId, threadId: message.threadId });
+    const level = path.find((m) => m.siblingIds.some((id) => String(id) === messageId));
+    if (!level) {
+      return res.status(400).json({ message: "Message is not part of the active branch" });
     }
 
-    //  Return both user + assistant messages
-    res.json({ reply, history: [userMsg, botMsg] });
+    await selectVersion(message, level.siblingIds);
+
+    const [branch, thread] = await Promise.all([
+      loadActivePath({ userId, threadId: message.threadId }),
+      Thread.findOne({ threadId: message.threadId, userId }).select("summary").lean(),
+    ]);
+    res.json(markSummary(thread, await attachToolSteps(branch)));
   } catch (err) {
-    console.error("Chat error:", err);
-    res.status(500).json({ message: "Chat error" });
+    console.error("Select version error:", err);
+    res.status(500).json({ message: "Failed to select version" });
   }
 };
 
 
 //  GET CHAT HISTORY (By Thread)
 // 
-// Fetches all chat messages for a given threadId,
+// Fetches the chat messages (active branch) for a given threadId,
 // specific to the logged-in user.
 
 export const getHistory = async (req, res) => {
@@ -102,16 +573,19 @@ export const getHistory = async (req, res) => {
     const userId = req.user.userId;
     const { threadId } = req.params;
 
-    // Find messages belonging to this user & thread
-    const messages = await Message.find({ userId, threadId }).sort({
-      timestamp: 1, // Sort oldest to newest
-    });
+    // Active branch of this user & thread, oldest to newest, with version info
+    // (the last summarised message is flagged `summarized: true`,
+    // replies that used tools carry their `steps`)
+    const [messages, thread] = await Promise.all([
+      loadActivePath({ userId, threadId }),
+      Thread.findOne({ threadId, userId }).select("summary").lean(),
+    ]);
 
     if (!messages.length) {
       return res.status(404).json({ message: "No messages found for this thread" });
     }
 
-    res.json(messages);
+    res.json(markSummary(thread, await attachToolSteps(messages)));
   } catch (err) {
     console.error("History error:", err);
     res.status(500).json({ message: "History fetch error" });
@@ -152,12 +626,11 @@ export const getThreadById = async (req, res) => {
       return res.status(404).json({ message: "Thread not found" });
     }
 
-    //  Retrieve all messages of that thread
-    const messages = await Message.find({ threadId, userId }).sort({
-      timestamp: 1,
-    });
+    //  Retrieve the active branch of that thread (with version info
+    //  and the `summarized` flag where older turns were compacted)
+    const messages = await loadActivePath({ userId, threadId });
 
-    res.json(messages);
+    res.json(markSummary(thread, await attachToolSteps(messages)));
   } catch (err) {
     console.error("Get thread error:", err);
     res.status(500).json({ message: "Failed to fetch thread" });
@@ -168,7 +641,7 @@ export const getThreadById = async (req, res) => {
 //  DELETE THREAD
 
 // Deletes a particular thread along with all messages
-// belonging to that user and thread.
+// (and attached files) belonging to that user and thread.
 
 export const deleteThread = async (req, res) => {
   try {
@@ -181,8 +654,9 @@ export const deleteThread = async (req, res) => {
       return res.status(404).json({ message: "Thread not found" });
     }
 
-    // Delete all related messages
+    // Delete all related messages and their files
     await Message.deleteMany({ threadId, userId });
+    await deleteAttachments({ threadId, userId });
 
     res.json({ message: "Thread deleted successfully" });
   } catch (err) {
@@ -197,25 +671,123 @@ export const deleteThread = async (req, res) => {
 
 // Creates a new chat thread manually.
 // Used to persist empty threads in sidebar before chatting
+// Optional systemPrompt sets the thread's instructions for the model,
+// optional model picks a chat model from the registry,
+// optional useKnowledge lets the thread answer from the knowledge base.
 export const createThread = async (req, res) => {
   try {
     const userId = req.user.userId;
-    const { threadId, title } = req.body;
+    const { threadId, title, systemPrompt, model, useKnowledge } = req.body;
 
     // Validate input
     if (!threadId || !title) {
       return res.status(400).json({ message: "ThreadId and title required" });
     }
+    if (model && !isAllowedModel(model)) {
+      return res.status(400).json({ message: `Unknown model: ${model}` });
+    }
 
     // Check if the thread already exists, else create it
     let thread = await Thread.findOne({ threadId, userId });
     if (!thread) {
-      thread = await Thread.create({ threadId, title, userId });
+      thread = await Thread.create({
+        threadId,
+        title,
+        userId,
+        systemPrompt,
+        model,
+        useKnowledge: useKnowledge === true,
+      });
     }
 
     res.status(201).json(thread);
   } catch (err) {
+    if (err.name === "ValidationError") {
+      return res.status(400).json(errorBody(invalidThread(err)));
+    }
     console.error("Create thread error:", err);
     res.status(500).json({ message: "Failed to create thread" });
   }
 };
+
+
+//  UPDATE THREAD
+
+// Updates editable thread settings for the authenticated user.
+// Body fields (all optional):
+//   title           → rename the thread (never overwritten by generated titles)
+//   regenerateTitle → true to summarise the first exchange into a new title
+//   systemPrompt    → instructions sent as the "system" message ("" clears it)
+//   model           → chat model id from the registry (null resets to default)
+//   useKnowledge    → true / false to answer from the user's knowledge base
+
+export const updateThread = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { threadId } = req.params;
+    const { title, regenerateTitle, systemPrompt, model, useKnowledge } = req.body;
+
+    const updates = {};
+    if (typeof systemPrompt === "string") updates.systemPrompt = systemPrompt;
+    if (typeof useKnowledge === "boolean") updates.useKnowledge = useKnowledge;
+
+    //  Manual rename
+    if (title !== undefined) {
+      if (typeof title !== "string" || !title.trim()) {
+        return res.status(400).json({ message: "Title cannot be empty" });
+      }
+      updates.title = title.trim().slice(0, 100);
+      updates.titleSource = "user";
+    }
+
+    //  Generated title from the first exchange of the active branch
+    if (regenerateTitle) {
+      const path = await loadActivePath({ userId, threadId });
+      const first = path.findIndex((m) => m.role === "user");
+      const reply = path[first + 1];
+      if (first === -1 || !reply) {
+        return res.status(400).json({ message: "Thread has no exchange to summarise" });
+      }
+
+      const generated = await generateTitle({
+        userText: path[first].content,
+        reply: reply.content,
+        userId,
+        threadId,
+      });
+      if (!generated) {
+        return res.status(502).json({ message: "Could not generate a title" });
+      }
+      updates.title = generated;
+      updates.titleSource = "generated";
+    }
+
+    if (model !== undefined) {
+      if (model !== null && !isAllowedModel(model)) {
+        return res.status(400).json({ message: `Unknown model: ${model}` });
+      }
+      updates.model = model;
+    }
+
+    // Validate input
+    if (!Object.keys(updates).length) {
+      return res.status(400).json({ message: "Nothing to update" });
+    }
+
+    const thread = await Thread.findOneAndUpdate({ threadId, userId }, updates, {
+      new: true,
+      runValidators: true,
+    });
+    if (!thread) {
+      return res.status(404).json({ message: "Thread not found" });
+    }
+
+    res.json(thread);
+  } catch (err) {
+    if (err.name === "ValidationError") {
+      return res.status(400).json(errorBody(invalidThread(err)));
+    }
+    console.error("Update thread error:", err);
+    res.status(500).json({ message: "Failed to update thread" });
+  }
+};
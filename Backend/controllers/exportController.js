@@ -0,0 +1,77 @@
+
+// Handles thread exports for the logged-in user:
+//   One thread as Markdown, JSON or a standalone HTML page
+//   Every thread at once as a zip of those files
+// Files are rendered by utils/threadExport.js.
+
+
+import {
+  EXPORT_FORMATS,
+  exportFilename,
+  loadThreadExport,
+  renderExport,
+  streamThreadsZip,
+} from "../utils/threadExport.js";
+
+//  Validates ?format= (default md); null when unsupported
+const parseFormat = (value = "md") => {
+  const format = String(value).toLowerCase();
+  return Object.hasOwn(EXPORT_FORMATS, format) ? format : null;
+};
+
+const FORMAT_ERROR = `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`;
+
+
+//  EXPORT ONE THREAD
+
+// GET /api/thread/:threadId/export?format=md|json|html
+// Downloads the active branch of the thread as a file named after its title.
+
+export const exportThread = async (req, res) => {
+  try {
+    const format = parseFormat(req.query.format);
+    if (!format) {
+      return res.status(400).json({ message: FORMAT_ERROR });
+    }
+
+    const data = await loadThreadExport({ userId: req.user.userId, threadId: req.params.threadId });
+    if (!data) {
+      return res.status(404).json({ message: "Thread not found" });
+    }
+
+    const { extension, mimeType } = EXPORT_FORMATS[format];
+    res.attachment(exportFilename(data.thread.title, extension));
+    res.type(mimeType).send(renderExport(data, format));
+  } catch (err) {
+    console.error("Export thread error:", err);
+    res.status(500).json({ message: "Failed to export thread" });
+  }
+};
+
+
+//  EXPORT ALL THREADS
+
+// GET /api/thread/export?format=md|json|html
+// Streams sigmagpt-<format>-<date>.zip with one file per thread.
+
+export const exportAllThreads = async (req, res) => {
+  const format = parseFormat(req.query.format);
+  if (!format) {
+    return res.status(400).json({ message: FORMAT_ERROR });
+  }
+
+  //  Stop reading threads when the download is cancelled
+  const controller = new AbortController();
+  res.on("close", () => controller.abort());
+
+  try {
+    res.attachment(`sigmagpt-${format}-${new Date().toISOString().slice(0, 10)}.zip`);
+    await streamThreadsZip({ userId: req.user.userId, format, output: res, signal: controller.signal });
+  } catch (err) {
+    console.error("Export all threads error:", err);
+    if (!res.headersSent) {
+      return res.status(500).json({ message: "Failed to export threads" });
+    }
+    res.destroy(err); // Zip already started: cut it off so it isn't saved as complete
+  }
+};
@@ -0,0 +1,119 @@
+
+// Handles the logged-in user's knowledge base:
+//   Listing, uploading, downloading and deleting documents
+// Uploaded documents are chunked and indexed (utils/knowledgeBase.js);
+// threads with "use my knowledge base" on answer from them with citations.
+
+
+import fs from "fs";
+import Document from "../models/Document.js"; // MongoDB knowledge base document model
+import { ingestDocument, deleteDocuments, KB_MAX_DOCUMENTS } from "../utils/knowledgeBase.js";
+import { discardUploads } from "../utils/attachments.js";
+import { toApiError, errorBody } from "../utils/errors.js";
+
+
+//  GET DOCUMENTS
+
+// Returns every document of the current user, newest first.
+
+export const getDocuments = async (req, res) => {
+  try {
+    const documents = await Document.find({ userId: req.user.userId }).sort({ createdAt: -1 });
+    res.json(documents);
+  } catch (err) {
+    console.error("Get documents error:", err);
+    res.status(500).json({ message: "Failed to fetch documents" });
+  }
+};
+
+
+//  UPLOAD DOCUMENTS
+
+// Adds uploaded files to the knowledge base (multipart field "files",
+// see middleware/uploadAttachments.js). Files are indexed one by one;
+// the first unreadable file stops the upload (earlier ones stay indexed).
+// Responds with the new documents.
+
+export const addDocuments = async (req, res) => {
+  const files = req.files || [];
+  let next = 0; // Next file to index (the rest are discarded if one fails)
+
+  try {
+    const userId = req.user.userId;
+
+    //  Validate input
+    if (!files.length) {
+      return res.status(400).json({ message: "No files uploaded" });
+    }
+    const count = await Document.countDocuments({ userId });
+    if (count + files.length > KB_MAX_DOCUMENTS) {
+      discardUploads(files);
+      return res.status(400).json({
+        message: `Your knowledge base can hold up to ${KB_MAX_DOCUMENTS} documents`,
+      });
+    }
+
+    const documents = [];
+    while (next < files.length) {
+      documents.push(await ingestDocument({ userId, file: files[next++] }));
+    }
+    res.status(201).json(documents);
+  } catch (err) {
+    discardUploads(files.slice(next));
+    const error = toApiError(err, "Failed to add document");
+    if (error.status >= 500) console.error("Upload document error:", err);
+    res.status(error.status).json(errorBody(error));
+  }
+};
+
+
+//  DOWNLOAD DOCUMENT
+
+// Sends the stored file under its original name (opened from citations).
+
+export const downloadDocument = async (req, res) => {
+  try {
+    const document = await Document.findOne({
+      _id: req.params.documentId,
+      userId: req.user.userId,
+    })
+      .select("+path")
+      .lean();
+    if (!document) return res.status(404).json({ message: "Document not found" });
+
+    if (!fs.existsSync(document.path)) {
+      return res.status(410).json({ message: "This file is no longer available" });
+    }
+
+    res.download(document.path, document.filename, {
+      headers: { "Content-Type": document.mimeType },
+    });
+  } catch (err) {
+    if (err.name === "CastError") {
+      return res.status(400).json({ message: "Invalid document id" });
+    }
+    console.error("Download document error:", err);
+    res.status(500).json({ message: "Failed to download document" });
+  }
+};
+
+
+//  DELETE DOCUMENT
+
+// Removes a document, its chunks and its file.
+// Replies that cited it keep their citation excerpts.
+
+export const deleteDocument = async (req, res) => {
+  try {
+    const deleted = await deleteDocuments({ _id: req.params.documentId, userId: req.user.userId });
+    if (!deleted) return res.status(404).json({ message: "Document not found" });
+
+    res.json({ message: "Document deleted" });
+  } catch (err) {
+    if (err.name === "CastError") {
+      return res.status(400).json({ message: "Invalid document id" });
+    }
+    console.error("Delete document error:", err);
+    res.status(500).json({ message: "Failed to delete document" });
+  }
+};
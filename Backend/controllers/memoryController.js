@@ -0,0 +1,124 @@
+
+// Handles the logged-in user's long-term memories:
+//   Listing, adding, editing and deleting remembered facts
+// Memories are extracted from conversations automatically (utils/memory.js)
+// and added to later prompts; these endpoints keep them visible and editable.
+
+
+import Memory from "../models/Memory.js"; // MongoDB memory model
+import { MEMORY_LIMIT } from "../utils/memory.js";
+
+
+//  GET MEMORIES
+
+// Returns all memories of the current user, newest first.
+
+export const getMemories = async (req, res) => {
+  try {
+    const memories = await Memory.find({ userId: req.user.userId }).sort({ updatedAt: -1 });
+    res.json(memories);
+  } catch (err) {
+    console.error("Get memories error:", err);
+    res.status(500).json({ message: "Failed to fetch memories" });
+  }
+};
+
+
+//  CREATE MEMORY
+
+// Adds a memory by hand.
+// Body: { content }
+
+export const createMemory = async (req, res) => {
+  try {
+    const { content } = req.body;
+    const userId = req.user.userId;
+
+    //  Validate input
+    if (typeof content !== "string" || !content.trim()) {
+      return res.status(400).json({ message: "Memory cannot be empty" });
+    }
+    if ((await Memory.countDocuments({ userId })) >= MEMORY_LIMIT) {
+      return res.status(400).json({ message: `You can keep up to ${MEMORY_LIMIT} memories` });
+    }
+
+    const memory = await Memory.create({ userId, content, source: "user" });
+    res.status(201).json(memory);
+  } catch (err) {
+    if (err.name === "ValidationError") {
+      return res.status(400).json({ message: err.message });
+    }
+    console.error("Create memory error:", err);
+    res.status(500).json({ message: "Failed to save memory" });
+  }
+};
+
+
+//  UPDATE MEMORY
+
+// Edits the text of one memory.
+// Body: { content }
+
+export const updateMemory = async (req, res) => {
+  try {
+    const { content } = req.body;
+
+    //  Validate input
+    if (typeof content !== "string" || !content.trim()) {
+      return res.status(400).json({ message: "Memory cannot be empty" });
+    }
+
+    const memory = await Memory.findOneAndUpdate(
+      { _id: req.params.memoryId, userId: req.user.userId },
+      { content },
+      { new: true, runValidators: true }
+    );
+    if (!memory) return res.status(404).json({ message: "Memory not found" });
+
+    res.json(memory);
+  } catch (err) {
+    if (err.name === "ValidationError" || err.name === "CastError") {
+      return res.status(400).json({ message: err.message });
+    }
+    console.error("Update memory error:", err);
+    res.status(500).json({ message: "Failed to update memory" });
+  }
+};
+
+
+//  DELETE MEMORY
+
+// Forgets one memory.
+
+export const deleteMemory = async (req, res) => {
+  try {
+    const deleted = await Memory.findOneAndDelete({
+      _id: req.params.memoryId,
+      userId: req.user.userId,
+    });
+    if (!deleted) return res.status(404).json({ message: "Memory not found" });
+
+    res.json({ message: "Memory deleted" });
+  } catch (err) {
+    if (err.name === "CastError") {
+      return res.status(400).json({ message: "Invalid memory id" });
+    }
+    console.error("Delete memory error:", err);
+    res.status(500).json({ message: "Failed to delete memory" });
+  }
+};
+
+
+//  CLEAR MEMORIES
+
+// Forgets everything remembered about the current user.
+
+export const clearMemories = async (req, res) => {
+  try {
+    const result = await Memory.deleteMany({ userId: req.user.userId });
+    res.json({ message: "All memories deleted", deletedCount: result.deletedCount });
+  } catch (err) {
+    console.error("Clear memories error:", err);
+    res.status(500).json({ message: "Failed to delete memories" });
+  }
+};
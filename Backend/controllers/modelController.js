@@ -0,0 +1,29 @@
+
+// Exposes the server-side model registry to the frontend
+// (used by the model picker in the navbar).
+
+
+import User from "../models/User.js";
+import { listModels, DEFAULT_MODEL_ID } from "../config/models.js";
+import { getPlan, planAllowsModel } from "../config/plans.js";
+
+
+//  GET MODELS
+
+// Returns every model users may pick, plus the default model id.
+// `allowed` tells whether the user's plan includes the model.
+
+export const getModels = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select("plan").lean();
+    const plan = getPlan(user?.plan);
+
+    res.json({
+      models: listModels().map((m) => ({ ...m, allowed: planAllowsModel(plan, m.id) })),
+      default: DEFAULT_MODEL_ID,
+    });
+  } catch (err) {
+    console.error("Get models error:", err);
+    res.status(500).json({ message: "Failed to fetch models" });
+  }
+};
@@ -0,0 +1,107 @@
+
+// Handles plan tiers and upgrades for the logged-in user:
+//   Listing plans with today's quota usage (Upgrade modal)
+//   Requesting an upgrade through the billing hook (billing/index.js)
+//   Receiving payment confirmations from the billing provider (webhook)
+
+
+import User from "../models/User.js";
+import { listPlans, isPlan, getPlan, DEFAULT_PLAN_ID } from "../config/plans.js";
+import { getQuotaStatus, applyPlan } from "../utils/quota.js";
+import { getBilling } from "../billing/index.js";
+
+
+//  GET PLANS
+
+// Returns every plan plus the user's current plan and today's quota:
+// { plans, current, limits, used, remaining, resetAt, pendingPlan }
+
+export const getPlans = async (req, res) => {
+  try {
+    const [quota, user] = await Promise.all([
+      getQuotaStatus(req.user.userId),
+      User.findById(req.user.userId).select("planRequest").lean(),
+    ]);
+
+    res.json({
+      plans: listPlans(),
+      current: quota.plan.id,
+      limits: quota.limits,
+      used: quota.used,
+      remaining: quota.remaining,
+      resetAt: quota.resetAt,
+      pendingPlan: user?.planRequest?.plan || null,
+    });
+  } catch (err) {
+    console.error("Get plans error:", err);
+    res.status(500).json({ message: "Failed to fetch plans" });
+  }
+};
+
+
+//  REQUEST UPGRADE
+
+// Body: { plan }
+// Downgrades to the default plan apply immediately; anything else
+// goes through the billing provider, which approves it, leaves it
+// pending (admin / webhook) or returns a checkout `url`.
+// Returns { status: "approved" | "pending" | "redirect", message, url?, current }
+
+export const requestUpgrade = async (req, res) => {
+  try {
+    const { plan: planId } = req.body;
+    const userId = req.user.userId;
+
+    //  Validate input
+    if (!isPlan(planId)) {
+      return res.status(400).json({ message: `Unknown plan: ${planId}` });
+    }
+    const user = await User.findById(userId).select("name email plan");
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (getPlan(user.plan).id === planId) {
+      return res.status(400).json({ message: "You're already on this plan" });
+    }
+
+    const plan = getPlan(planId);
+    const result =
+      planId === DEFAULT_PLAN_ID
+        ? { status: "approved", message: `You're now on ${plan.name}.` }
+        : await getBilling().requestUpgrade({ user, plan });
+
+    if (result.status === "approved") {
+      await applyPlan(userId, planId);
+    } else if (result.status === "pending") {
+      await User.updateOne({ _id: userId }, { planRequest: { plan: planId, requestedAt: new Date() } });
+    }
+
+    res.json({ ...result, current: result.status === "approved" ? planId : user.plan });
+  } catch (err) {
+    console.error("Upgrade error:", err);
+    res.status(500).json({ message: "Failed to request upgrade" });
+  }
+};
+
+
+//  BILLING WEBHOOK
+
+// Called by the billing provider (no user session) once a payment
+// succeeds. Only available when the provider implements handleWebhook.
+
+export const billingWebhook = async (req, res) => {
+  try {
+    const billing = getBilling();
+    if (typeof billing.handleWebhook !== "function") {
+      return res.status(404).json({ message: "Billing webhooks are not enabled" });
+    }
+
+    const result = await billing.handleWebhook(req);
+    if (result && isPlan(result.plan)) {
+      await applyPlan(result.userId, result.plan);
+    }
+
+    res.json({ received: true });
+  } catch (err) {
+    console.error("Billing webhook error:", err);
+    res.status(400).json({ message: "Invalid webhook" });
+  }
+};
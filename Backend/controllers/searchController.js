@@ -0,0 +1,69 @@
+
+// Handles full-text search across the logged-in user's conversations:
+//   Matching messages (with highlighted snippets) and thread titles
+// The sidebar jumps from a result to the message inside its thread.
+
+
+import { searchConversations, SEARCH_MAX_RESULTS } from "../utils/search.js";
+
+//  Longest accepted query (characters)
+const MAX_QUERY_LENGTH = 200;
+
+//  Parses a date filter ("2025-03-01" or a full ISO timestamp); null when invalid
+const parseDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+
+//  SEARCH
+
+// Query string:
+//   q        → words, "exact phrases" or -excluded words (required)
+//   role     → user | assistant (optional)
+//   threadId → only this thread (optional)
+//   from, to → creation date range; a date-only `to` includes that whole day (optional)
+//   limit    → messages returned (default 20, max 50)
+// Responds with { query, messages: [...], threads: [...] } (see utils/search.js).
+
+export const search = async (req, res) => {
+  try {
+    const { q = "", role, threadId, from, to, limit } = req.query;
+    const query = String(q).trim();
+
+    //  Validate input
+    if (!query) {
+      return res.status(400).json({ message: "Search query required" });
+    }
+    if (query.length > MAX_QUERY_LENGTH) {
+      return res.status(400).json({ message: `Search query can be at most ${MAX_QUERY_LENGTH} characters` });
+    }
+    if (role && !["user", "assistant"].includes(role)) {
+      return res.status(400).json({ message: "Role must be user or assistant" });
+    }
+
+    const fromDate = from ? parseDate(from) : undefined;
+    let toDate = to ? parseDate(to) : undefined;
+    if (fromDate === null || toDate === null) {
+      return res.status(400).json({ message: "Invalid date filter" });
+    }
+    if (toDate && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      toDate = new Date(toDate.getTime() + 24 * 60 * 60 * 1000); // Through the end of that day
+    }
+
+    const results = await searchConversations({
+      userId: req.user.userId,
+      query,
+      role,
+      threadId: threadId ? String(threadId) : undefined,
+      from: fromDate,
+      to: toDate,
+      limit: Math.min(Math.max(parseInt(limit, 10) || 20, 1), SEARCH_MAX_RESULTS),
+    });
+
+    res.json({ query, ...results });
+  } catch (err) {
+    console.error("Search error:", err);
+    res.status(500).json({ message: "Search failed" });
+  }
+};
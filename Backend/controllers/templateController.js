@@ -0,0 +1,117 @@
+
+// Handles the logged-in user's slash-command prompt templates:
+//   Listing, creating, editing and deleting templates
+// Templates are expanded in the chat input (frontend); `variables`
+// lists the {{placeholders}} the user is asked to fill in.
+
+
+import Template from "../models/Template.js"; // MongoDB template model
+
+//  Maximum templates per user
+const TEMPLATE_LIMIT = 50;
+
+//  Maps save errors to a 400/409 response (null if the error is unexpected)
+const templateError = (err) => {
+  if (err.code === 11000) return [409, "A template with this name already exists"];
+  if (err.name === "ValidationError") {
+    return [400, Object.values(err.errors).map((e) => e.message).join(", ")];
+  }
+  if (err.name === "CastError") return [400, "Invalid template id"];
+  return null;
+};
+
+
+//  GET TEMPLATES
+
+// Returns all templates of the current user, sorted by name.
+
+export const getTemplates = async (req, res) => {
+  try {
+    const templates = await Template.find({ userId: req.user.userId }).sort({ name: 1 });
+    res.json(templates);
+  } catch (err) {
+    console.error("Get templates error:", err);
+    res.status(500).json({ message: "Failed to fetch templates" });
+  }
+};
+
+
+//  CREATE TEMPLATE
+
+// Body: { name, description?, content }
+
+export const createTemplate = async (req, res) => {
+  try {
+    const { name, description, content } = req.body;
+    const userId = req.user.userId;
+
+    //  Validate input
+    if (!name || !content) {
+      return res.status(400).json({ message: "Name and content required" });
+    }
+    if ((await Template.countDocuments({ userId })) >= TEMPLATE_LIMIT) {
+      return res.status(400).json({ message: `You can keep up to ${TEMPLATE_LIMIT} templates` });
+    }
+
+    const template = await Template.create({ userId, name, description, content });
+    res.status(201).json(template);
+  } catch (err) {
+    const known = templateError(err);
+    if (known) return res.status(known[0]).json({ message: known[1] });
+    console.error("Create template error:", err);
+    res.status(500).json({ message: "Failed to save template" });
+  }
+};
+
+
+//  UPDATE TEMPLATE
+
+// Body fields (all optional): name, description, content
+
+export const updateTemplate = async (req, res) => {
+  try {
+    const updates = {};
+    for (const field of ["name", "description", "content"]) {
+      if (typeof req.body[field] === "string") updates[field] = req.body[field];
+    }
+
+    // Validate input
+    if (!Object.keys(updates).length) {
+      return res.status(400).json({ message: "Nothing to update" });
+    }
+
+    const template = await Template.findOneAndUpdate(
+      { _id: req.params.templateId, userId: req.user.userId },
+      updates,
+      { new: true, runValidators: true }
+    );
+    if (!template) return res.status(404).json({ message: "Template not found" });
+
+    res.json(template);
+  } catch (err) {
+    const known = templateError(err);
+    if (known) return res.status(known[0]).json({ message: known[1] });
+    console.error("Update template error:", err);
+    res.status(500).json({ message: "Failed to update template" });
+  }
+};
+
+
+//  DELETE TEMPLATE
+
+export const deleteTemplate = async (req, res) => {
+  try {
+    const deleted = await Template.findOneAndDelete({
+      _id: req.params.templateId,
+      userId: req.user.userId,
+    });
+    if (!deleted) return res.status(404).json({ message: "Template not found" });
+
+    res.json({ message: "Template deleted" });
+  } catch (err) {
+    const known = templateError(err);
+    if (known) return res.status(known[0]).json({ message: known[1] });
+    console.error("Delete template error:", err);
+    res.status(500).json({ message: "Failed to delete template" });
+  }
+};
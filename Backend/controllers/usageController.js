@@ -0,0 +1,83 @@
+
+// Handles token usage reporting for the logged-in user:
+//   Daily time series, totals per model and the most expensive threads
+// Usage is recorded after every model call (see utils/usage.js).
+
+
+import mongoose from "mongoose";
+import Usage from "../models/Usage.js";   // Daily usage counters
+import Thread from "../models/Thread.js"; // Per-thread totals
+import { dayKey } from "../utils/usage.js";
+
+//  Empty counters
+const zero = () => ({ promptTokens: 0, completionTokens: 0, totalTokens: 0, requests: 0 });
+
+//  Adds a usage document's counters into a total
+const accumulate = (total, doc) => {
+  for (const key of Object.keys(total)) total[key] += doc[key] || 0;
+  return total;
+};
+
+
+//  GET USAGE
+
+// Query: ?days=30 (1 – 365)
+// Returns {
+//   from, to,                          → UTC days covered ("YYYY-MM-DD")
+//   days:    [{ date, ...counters }]   → one entry per day, oldest first (zeros included)
+//   models:  [{ model, ...counters }]  → totals per model, biggest first
+//   totals:  { ...counters, background: { title, summary, memory, knowledge } }
+//            → background: tokens of the totals spent on upkeep (titles, summaries,
+//              memory, knowledge base embeddings)
+//   threads: [{ threadId, title, totalTokens }] → top 5 threads (all time)
+// }
+
+export const getUsage = async (req, res) => {
+  try {
+    const userId = new mongoose.Types.ObjectId(req.user.userId);
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+
+    //  Day keys for the whole range (oldest → today)
+    const keys = Array.from({ length: days }, (_, i) =>
+      dayKey(new Date(Date.now() - (days - 1 - i) * 24 * 60 * 60 * 1000))
+    );
+
+    const [docs, threads] = await Promise.all([
+      Usage.find({ userId, date: { $gte: keys[0] } }).lean(),
+      Thread.find({ userId, "usage.totalTokens": { $gt: 0 } })
+        .sort({ "usage.totalTokens": -1 })
+        .limit(5)
+        .select("threadId title usage")
+        .lean(),
+    ]);
+
+    const byDay = new Map(keys.map((date) => [date, { date, ...zero() }]));
+    const byModel = new Map();
+    const totals = zero();
+    const background = { title: 0, summary: 0, memory: 0, knowledge: 0 };
+
+    for (const doc of docs) {
+      if (byDay.has(doc.date)) accumulate(byDay.get(doc.date), doc);
+      if (!byModel.has(doc.model)) byModel.set(doc.model, { model: doc.model, ...zero() });
+      accumulate(byModel.get(doc.model), doc);
+      accumulate(totals, doc);
+      if (doc.background) accumulate(background, doc.background);
+    }
+
+    res.json({
+      from: keys[0],
+      to: keys[keys.length - 1],
+      days: [...byDay.values()],
+      models: [...byModel.values()].sort((a, b) => b.totalTokens - a.totalTokens),
+      totals: { ...totals, background },
+      threads: threads.map((t) => ({
+        threadId: t.threadId,
+        title: t.title,
+        totalTokens: t.usage.totalTokens,
+      })),
+    });
+  } catch (err) {
+    console.error("Usage error:", err);
+    res.status(500).json({ message: "Failed to fetch usage" });
+  }
+};
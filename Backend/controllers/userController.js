@@ -0,0 +1,108 @@
+
+// Handles the logged-in user's profile preferences:
+//   Custom instructions (what SigmaGPT should know + how it should respond)
+//   Privacy (PII redaction before provider calls)
+
+
+import User from "../models/User.js"; // MongoDB user model
+
+
+//  GET CUSTOM INSTRUCTIONS
+
+// Returns the current user's custom instructions.
+
+export const getInstructions = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select("customInstructions");
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    res.json({
+      about: user.customInstructions?.about || "",
+      responseStyle: user.customInstructions?.responseStyle || "",
+    });
+  } catch (err) {
+    console.error("Get instructions error:", err);
+    res.status(500).json({ message: "Failed to fetch instructions" });
+  }
+};
+
+
+//  UPDATE CUSTOM INSTRUCTIONS
+
+// Saves the current user's custom instructions.
+// Body: { about, responseStyle } — empty strings clear a field.
+
+export const updateInstructions = async (req, res) => {
+  try {
+    const { about = "", responseStyle = "" } = req.body;
+
+    //  Validate input
+    if (typeof about !== "string" || typeof responseStyle !== "string") {
+      return res.status(400).json({ message: "Instructions must be text" });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user.userId,
+      { customInstructions: { about, responseStyle } },
+      { new: true, runValidators: true }
+    ).select("customInstructions");
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    res.json({
+      about: user.customInstructions.about,
+      responseStyle: user.customInstructions.responseStyle,
+    });
+  } catch (err) {
+    //  Mongoose validation (e.g. text too long)
+    if (err.name === "ValidationError") {
+      return res.status(400).json({ message: err.message });
+    }
+    console.error("Update instructions error:", err);
+    res.status(500).json({ message: "Failed to save instructions" });
+  }
+};
+
+
+//  GET PRIVACY SETTINGS
+
+// Returns whether PII is redacted before messages reach the provider.
+
+export const getPrivacy = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select("redactPii");
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    res.json({ redactPii: user.redactPii });
+  } catch (err) {
+    console.error("Get privacy error:", err);
+    res.status(500).json({ message: "Failed to fetch privacy settings" });
+  }
+};
+
+
+//  UPDATE PRIVACY SETTINGS
+
+// Body: { redactPii } — turns PII redaction on or off.
+
+export const updatePrivacy = async (req, res) => {
+  try {
+    const { redactPii } = req.body;
+
+    //  Validate input
+    if (typeof redactPii !== "boolean") {
+      return res.status(400).json({ message: "redactPii must be true or false" });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user.userId,
+      { redactPii },
+      { new: true }
+    ).select("redactPii");
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    res.json({ redactPii: user.redactPii });
+  } catch (err) {
+    console.error("Update privacy error:", err);
+    res.status(500).json({ message: "Failed to save privacy settings" });
+  }
+};
@@ -0,0 +1,106 @@
+
+// Middleware that enforces the daily limits of the user's plan
+// (config/plans.js) before a chat, voice or knowledge base request reaches the model.
+// Must run after verifyToken (and after multer for voice uploads / attachments).
+//
+// Rejections use a structured body the frontend can act on:
+//   429 { code: "QUOTA_EXCEEDED", message, retryable: false,
+//         quota: "messages" | "tokens" | "voiceMinutes", limit, used, plan, resetAt }
+//   403 { code: "MODEL_NOT_ALLOWED", message, retryable: false, model, plan }
+
+
+import fs from "fs";
+import mongoose from "mongoose";
+import Message from "../models/Message.js";
+import Thread from "../models/Thread.js";
+import { getModel } from "../config/models.js";
+import { planAllowsModel } from "../config/plans.js";
+import { getQuotaStatus, estimateAudioSeconds } from "../utils/quota.js";
+import { discardUploads } from "../utils/attachments.js";
+
+//  Model the request will use: the thread's model, or the one sent for a new thread
+const resolveRequestModel = async (req) => {
+  const userId = req.user.userId;
+  let threadId = req.body?.threadId;
+
+  //  Edit requests only name the message
+  const { messageId } = req.params;
+  if (!threadId && mongoose.isValidObjectId(messageId)) {
+    const message = await Message.findOne({ _id: messageId, userId }).select("threadId").lean();
+    threadId = message?.threadId;
+  }
+
+  const thread = threadId
+    ? await Thread.findOne({ threadId, userId }).select("model").lean()
+    : null;
+  return getModel(thread ? thread.model : req.body?.model).id;
+};
+
+
+//  checkQuota Middleware
+
+// 1️ Loads the plan and today's usage
+// 2️ Rejects when the message or token limit is used up
+//    (knowledge uploads only need tokens: their embeddings are charged as upkeep)
+// 3️ Voice: rejects recordings longer than the minutes left (estimated from the
+//    file size; the route checks again with the transcribed duration)
+// 4️ Rejects chat models the plan does not include (chat and voice)
+// 5️ Attaches req.plan (and req.voiceMinutesLeft for voice) and calls next()
+
+export const checkQuota = (kind = "chat") => async (req, res, next) => {
+  //  Drop the uploaded recording / attachments when the request is refused
+  const reject = (status, body) => {
+    if (req.file) fs.unlink(req.file.path, () => {});
+    discardUploads(req.files);
+    return res.status(status).json(body);
+  };
+
+  try {
+    const quota = await getQuotaStatus(req.user.userId);
+    const { plan } = quota;
+
+    const exceeded = (key, message) =>
+      reject(429, {
+        code: "QUOTA_EXCEEDED",
+        message,
+        retryable: false,
+        quota: key,
+        limit: quota.limits[key],
+        used: quota.used[key],
+        plan: plan.id,
+        resetAt: quota.resetAt,
+      });
+
+    if (kind !== "knowledge" && quota.remaining.messages === 0) {
+      return exceeded("messages", `You've used all ${plan.dailyMessages} messages of your ${plan.name} plan today.`);
+    }
+    if (quota.remaining.tokens === 0) {
+      return exceeded("tokens", `You've used all ${plan.dailyTokens} tokens of your ${plan.name} plan today.`);
+    }
+
+    if (kind === "voice") {
+      const left = quota.remaining.voiceMinutes;
+      req.voiceMinutesLeft = left;
+      if (left !== null && estimateAudioSeconds(req.file?.size) / 60 > left) {
+        return exceeded("voiceMinutes", `Not enough voice minutes left on your ${plan.name} plan today.`);
+      }
+    }
+
+    const model = kind === "knowledge" ? null : await resolveRequestModel(req);
+    if (model && !planAllowsModel(plan, model)) {
+      return reject(403, {
+        code: "MODEL_NOT_ALLOWED",
+        message: `${getModel(model).name} is not included in your ${plan.name} plan.`,
+        retryable: false,
+        model,
+        plan: plan.id,
+      });
+    }
+
+    req.plan = plan;
+    next();
+  } catch (err) {
+    console.error("checkQuota error:", err);
+    reject(500, { message: "Server error" });
+  }
+};
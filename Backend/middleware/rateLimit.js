@@ -0,0 +1,82 @@
+// Middleware that rate limits a route group (config/rateLimits.js).
+// Counts requests per client IP and, after verifyToken, per user.
+//
+// Every response carries the standard headers of the tightest limit:
+//   RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset (seconds), RateLimit-Policy
+// Rejections add Retry-After and a structured body:
+//   429 { code: "RATE_LIMITED", message, retryable: true, retryAfter }
+
+
+import { getRateLimits } from "../config/rateLimits.js";
+import { getRateLimitStore } from "../rateLimit/index.js";
+
+//  "45 seconds" / "3 minutes"
+const describeWait = (seconds) => {
+  const [value, unit] = seconds < 60 ? [seconds, "second"] : [Math.ceil(seconds / 60), "minute"];
+  return `${value} ${unit}${value === 1 ? "" : "s"}`;
+};
+
+
+//  rateLimit Middleware
+
+// 1️ Resolves the key of every limit (IP or user id)
+// 2️ Counts the request in each limit's current window
+// 3️ Sets RateLimit-* headers from the limit with the fewest requests left
+// 4️ Rejects with 429 + Retry-After when any limit is exceeded
+
+export const rateLimit = (group) => {
+  const limits = getRateLimits(group);
+  const policy = limits.map((l) => `${l.max};w=${Math.round(l.windowMs / 1000)}`).join(", ");
+
+  return async (req, res, next) => {
+    try {
+      const store = getRateLimitStore();
+      const now = Date.now();
+
+      const results = [];
+      for (const limit of limits) {
+        const id = limit.by === "user" ? req.user?.userId : req.ip;
+        if (!id) continue; // User limits only apply to authenticated routes
+
+        //  The window is part of the key: e.g. a per-minute and a per-hour user limit count apart
+        const key = `${group}:${limit.by}:${limit.windowMs}:${id}`;
+        const { count, resetAt } = await store.hit(key, limit.windowMs);
+        results.push({
+          limit,
+          remaining: Math.max(limit.max - count, 0),
+          exceeded: count > limit.max,
+          resetIn: Math.max(Math.ceil((resetAt - now) / 1000), 1),
+        });
+      }
+      if (!results.length) return next();
+
+      const tightest = results.reduce((a, b) =>
+        b.remaining < a.remaining || (b.remaining === a.remaining && b.resetIn > a.resetIn) ? b : a
+      );
+      res.set({
+        "RateLimit-Limit": String(tightest.limit.max),
+        "RateLimit-Remaining": String(tightest.remaining),
+        "RateLimit-Reset": String(tightest.resetIn),
+        "RateLimit-Policy": policy,
+      });
+
+      const exceeded = results.filter((r) => r.exceeded);
+      if (exceeded.length) {
+        const retryAfter = Math.max(...exceeded.map((r) => r.resetIn));
+        res.set("Retry-After", String(retryAfter));
+        return res.status(429).json({
+          code: "RATE_LIMITED",
+          message: `Too many requests. Try again in ${describeWait(retryAfter)}.`,
+          retryable: true,
+          retryAfter,
+        });
+      }
+
+      next();
+    } catch (err) {
+      //  A broken store must not take the API down → let the request through
+      console.error("rateLimit error:", err);
+      next();
+    }
+  };
+};
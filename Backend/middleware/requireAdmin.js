@@ -0,0 +1,20 @@
+
+// Middleware that only lets admins through.
+// Must run after verifyToken; the role is read from the database
+// (not the token) so a demoted admin loses access immediately.
+
+
+import User from "../models/User.js";
+
+export const requireAdmin = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId).select("role").lean();
+    if (user?.role !== "admin") {
+      return res.status(403).json({ message: "Admin access required" });
+    }
+    next();
+  } catch (err) {
+    console.error("requireAdmin error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+};
@@ -0,0 +1,107 @@
+
+// Middleware that accepts uploaded files (multipart/form-data, field "files")
+//   uploadAttachments → files sent with a chat message; JSON requests pass
+//                       through untouched. Text, Markdown, source code, CSV,
+//                       PDF and image files are accepted.
+//   uploadDocuments   → knowledge base documents (same formats, no images)
+// File kinds come from utils/attachments.js. Must run after verifyToken
+// (and, for chat, before checkQuota, which reads the form fields).
+//
+// Rejections use the structured error body:
+//   400 { code: "UNSUPPORTED_ATTACHMENT" | "ATTACHMENT_TOO_LARGE" | "TOO_MANY_ATTACHMENTS", message, retryable: false }
+
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import multer from "multer";
+import {
+  ATTACHMENT_DIR,
+  ATTACHMENT_MAX_BYTES,
+  ATTACHMENT_MAX_FILES,
+  attachmentKind,
+} from "../utils/attachments.js";
+import { ApiError, errorBody } from "../utils/errors.js";
+
+//  Stored under a random name (outside the public /uploads folder)
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    if (!fs.existsSync(ATTACHMENT_DIR)) fs.mkdirSync(ATTACHMENT_DIR, { recursive: true });
+    cb(null, ATTACHMENT_DIR);
+  },
+  filename: (req, file, cb) =>
+    cb(null, `${Date.now()}-${crypto.randomUUID()}${path.extname(file.originalname).toLowerCase()}`),
+});
+
+//  Multer limit errors → client-facing messages
+const toUploadError = (err, maxFiles, target) => {
+  if (err instanceof ApiError) return err;
+  if (err.code === "LIMIT_FILE_SIZE") {
+    return new ApiError({
+      code: "ATTACHMENT_TOO_LARGE",
+      message: `Files can be at most ${Math.round(ATTACHMENT_MAX_BYTES / 1024 / 1024)} MB.`,
+      status: 400,
+    });
+  }
+  if (err.code === "LIMIT_FILE_COUNT" || err.code === "LIMIT_UNEXPECTED_FILE") {
+    return new ApiError({
+      code: "TOO_MANY_ATTACHMENTS",
+      message: `You can upload up to ${maxFiles} files ${target}.`,
+      status: 400,
+    });
+  }
+  return new ApiError({ code: "UPLOAD_FAILED", message: "File upload failed", status: 400, cause: err });
+};
+
+/**
+ *  Builds an upload middleware
+ * @param {object} options
+ * @param {function(string): boolean} options.accepts - Whether a file kind is allowed
+ * @param {string} options.formats - Allowed formats, for the rejection message
+ * @param {string} options.target - Where files go, for the too-many message
+ * @param {number} [options.maxFiles]
+ * @returns {function} - Express middleware
+ */
+const createUpload = ({ accepts, formats, target, maxFiles = ATTACHMENT_MAX_FILES }) => {
+  const upload = multer({
+    storage,
+    limits: { fileSize: ATTACHMENT_MAX_BYTES, files: maxFiles },
+    fileFilter: (req, file, cb) => {
+      //  Browsers send UTF-8 names; multer reads them as latin1
+      file.originalname = Buffer.from(file.originalname, "latin1").toString("utf8");
+
+      const kind = attachmentKind(file.originalname);
+      if (kind && accepts(kind)) return cb(null, true);
+      cb(
+        new ApiError({
+          code: "UNSUPPORTED_ATTACHMENT",
+          message: `${file.originalname} can't be uploaded. Use ${formats}.`,
+          status: 400,
+        })
+      );
+    },
+  }).array("files", maxFiles);
+
+  return (req, res, next) => {
+    upload(req, res, (err) => {
+      if (!err) return next();
+
+      //  Multer already removes the files of a failed upload
+      const error = toUploadError(err, maxFiles, target);
+      if (!(err instanceof ApiError)) console.error("File upload error:", err);
+      res.status(error.status).json(errorBody(error));
+    });
+  };
+};
+
+export const uploadAttachments = createUpload({
+  accepts: () => true,
+  formats: "text, Markdown, code, CSV, PDF or image files",
+  target: "with a message",
+});
+
+export const uploadDocuments = createUpload({
+  accepts: (kind) => kind !== "image",
+  formats: "text, Markdown, code, CSV or PDF files",
+  target: "at once",
+});
@@ -0,0 +1,78 @@
+
+// Mongoose schema for files attached to a chat message
+// The uploaded file stays on disk (downloadable by its owner);
+// the text extracted from it is stored here and added to the model context.
+// Images have no text: vision models get the image itself.
+
+
+import mongoose from "mongoose";
+
+//  Attachment Schema
+const AttachmentSchema = new mongoose.Schema(
+  {
+    //  Owner of the file (only they can download it)
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    //  Thread and user message the file was sent with
+    threadId: {
+      type: String,
+      required: true,
+    },
+    messageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      required: true,
+    },
+
+    //  Original file name, MIME type and size in bytes
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    mimeType: {
+      type: String,
+      default: "application/octet-stream",
+    },
+    size: {
+      type: Number,
+      required: true,
+    },
+
+    //  File family: text | markdown | code | csv | pdf | image (see utils/attachments.js)
+    kind: {
+      type: String,
+      enum: ["text", "markdown", "code", "csv", "pdf", "image"],
+      required: true,
+    },
+
+    //  Location of the stored file on disk (never sent to the client)
+    path: {
+      type: String,
+      required: true,
+      select: false,
+    },
+
+    //  Extracted text (cut at ATTACHMENT_TEXT_LIMIT characters → truncated)
+    text: {
+      type: String,
+      default: "",
+      select: false,
+    },
+    truncated: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: true } // Adds createdAt & updatedAt automatically
+);
+
+//  Cleanup when a thread is deleted
+AttachmentSchema.index({ userId: 1, threadId: 1 });
+
+// Export the Attachment model
+export default mongoose.model("Attachment", AttachmentSchema);
@@ -0,0 +1,69 @@
+
+// Mongoose schema for chunks of knowledge base documents
+// Each chunk keeps its text plus what the retriever needs:
+// term statistics for BM25 (utils/bm25.js) and, optionally, an embedding.
+
+
+import mongoose from "mongoose";
+
+//  Chunk Schema
+const ChunkSchema = new mongoose.Schema(
+  {
+    //  Owner (copied from the document so retrieval needs one query)
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    //  Document this chunk belongs to and its position in it (0-based)
+    documentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Document",
+      required: true,
+      index: true,
+    },
+    index: {
+      type: Number,
+      required: true,
+    },
+
+    //  Chunk text (sent to the model and shown in citations)
+    text: {
+      type: String,
+      required: true,
+    },
+
+    //  BM25 statistics
+    //   terms     → distinct terms (indexed → finds the chunks matching a query)
+    //   termFreqs → occurrences of each term (see termKey in utils/bm25.js for reserved names)
+    //   length    → number of terms in the chunk
+    terms: {
+      type: [String],
+      default: [],
+    },
+    termFreqs: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
+    length: {
+      type: Number,
+      default: 0,
+    },
+
+    //  Embedding vector (absent when embeddings are off)
+    embedding: {
+      type: [Number],
+      default: undefined,
+      select: false,
+    },
+  },
+  { timestamps: true } // Adds createdAt & updatedAt automatically
+);
+
+//  Lexical retrieval: a user's chunks containing any query term
+ChunkSchema.index({ userId: 1, terms: 1 });
+
+// Export the Chunk model
+export default mongoose.model("Chunk", ChunkSchema);
@@ -0,0 +1,78 @@
+
+// Mongoose schema for documents in a user's knowledge base
+// The uploaded file stays on disk (opened from citations); its text is
+// split into chunks (models/Chunk.js) that answers are retrieved from.
+
+
+import mongoose from "mongoose";
+
+//  Document Schema
+const DocumentSchema = new mongoose.Schema(
+  {
+    //  Owner of the knowledge base
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    //  Title shown in citations (the file name unless renamed)
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200,
+    },
+
+    //  Original file name, MIME type, size in bytes and kind (see utils/attachments.js)
+    filename: {
+      type: String,
+      required: true,
+    },
+    mimeType: {
+      type: String,
+      default: "application/octet-stream",
+    },
+    size: {
+      type: Number,
+      required: true,
+    },
+    kind: {
+      type: String,
+      enum: ["text", "markdown", "code", "csv", "pdf"],
+      required: true,
+    },
+
+    //  Location of the stored file on disk (never sent to the client)
+    path: {
+      type: String,
+      required: true,
+      select: false,
+    },
+
+    //  Indexed text
+    chunkCount: {
+      type: Number,
+      default: 0,
+    },
+    truncated: {
+      type: Boolean,
+      default: false,
+    },
+
+    //  Embeddings of the chunks (only when KB_EMBEDDINGS is on)
+    //   none → lexical search only | pending → being computed | ready | failed
+    embeddings: {
+      type: String,
+      enum: ["none", "pending", "ready", "failed"],
+      default: "none",
+    },
+  },
+  { timestamps: true } // Adds createdAt & updatedAt automatically
+);
+
+//  Listing a user's documents, newest first
+DocumentSchema.index({ userId: 1, createdAt: -1 });
+
+// Export the Document model
+export default mongoose.model("Document", DocumentSchema);
@@ -0,0 +1,54 @@
+
+// Mongoose Schema for long-term user memories
+// Durable facts about a user ("team uses Postgres 16", "prefers TypeScript
+// examples") remembered across threads and added to later prompts.
+
+
+import mongoose from "mongoose";
+
+
+//  Memory Schema Definition
+
+// Fields:
+//  userId: Owner of the memory
+//  content: The remembered fact (one short sentence)
+//  source: "extracted" from a conversation or added by the "user"
+//  threadId: Thread the memory was extracted from (null if added manually)
+
+const MemorySchema = new mongoose.Schema(
+  {
+    //  Reference to the user who owns the memory
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    //  The remembered fact
+    content: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 500,
+    },
+
+    //  How the memory was created
+    source: {
+      type: String,
+      enum: ["extracted", "user"],
+      default: "extracted",
+    },
+
+    //  Conversation the memory came from
+    threadId: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+//  Index for listing a user's memories (newest first)
+MemorySchema.index({ userId: 1, updatedAt: -1 });
+
+export default mongoose.model("Memory", MemorySchema);
@@ -11,8 +11,19 @@ import mongoose from "mongoose";
 // Fields:
 //  userId: The user who sent or received the message
 //  threadId: Unique conversation ID (used to group related messages)
-//   role: Defines if message is from user or assistant
-//   content: The actual text of the message
+//   role: Defines if message is from user, assistant, system or a tool
+//   content: The actual text of the message (tool output for tool messages)
+//   model: Chat model that generated an assistant reply
+//   parentId: Message this one follows (alternate versions share a parent)
+//   selected: Whether this version is the one shown / used as history
+//   interrupted: Reply was stopped by the user before it finished
+//   toolCalls: Tools the assistant asked for in an intermediate step
+//   toolCallId / toolName: Call answered by a tool message
+//   stepOf: Final reply a tool step belongs to (steps are not part of the branch tree)
+//   usage: Tokens spent on an assistant reply (all tool rounds included)
+//   moderation: Result of the content check (absent when the message passed)
+//   attachments: Files sent with a user message (see models/Attachment.js)
+//   citations: Knowledge base sources a reply cites (see utils/knowledgeBase.js)
 
 // Notes:
 //  timestamps true automatically adds createdAt & updatedAt
@@ -34,19 +45,139 @@ const MessageSchema = new mongoose.Schema(
       index: true,      // Optimizes queries by threadId
     },
 
-    //  Message role: either user or assistant
+    //  Message role: user, assistant, system (instructions for the model)
+    //  or tool (result of a tool call)
     role: {
       type: String,
-      enum: ["user", "assistant"], // Restrict values for data integrity
+      enum: ["user", "assistant", "system", "tool"], // Restrict values for data integrity
       required: true,
     },
 
-    //  The main message content
+    //  The main message content (may be empty on a step that only calls tools
+    //  or a user message that only sends files)
     content: {
       type: String,
-      required: true,
+      required: function () {
+        return !this.toolCalls?.length && !this.attachments?.length;
+      },
       trim: true,       // Removes leading/trailing spaces
     },
+
+    //  Model that generated the reply (assistant messages only)
+    model: {
+      type: String,
+    },
+
+    //  Previous message on this branch (null for the first message)
+    //  Not set on messages saved before versions existed
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+    },
+
+    //  Selected version among messages sharing the same parent
+    selected: {
+      type: Boolean,
+      default: true,
+    },
+
+    //  Partial reply saved after the user pressed Stop
+    interrupted: {
+      type: Boolean,
+      default: false,
+    },
+
+    //  Tool calls requested by the assistant (intermediate steps only)
+    toolCalls: {
+      type: [
+        {
+          _id: false,
+          id: String,        // Provider's call id
+          name: String,      // Tool name (see tools/index.js)
+          arguments: String, // JSON arguments as sent by the model
+        },
+      ],
+      default: undefined,
+    },
+
+    //  Call answered by this tool message
+    toolCallId: {
+      type: String,
+    },
+    toolName: {
+      type: String,
+    },
+
+    //  Final reply this tool step led to
+    stepOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+    },
+
+    //  Tokens spent on this reply (estimated when the provider reported none)
+    usage: {
+      type: new mongoose.Schema(
+        {
+          promptTokens: Number,
+          completionTokens: Number,
+          totalTokens: Number,
+          estimated: Boolean,
+        },
+        { _id: false }
+      ),
+      default: undefined,
+    },
+
+    //  Content moderation (see utils/moderation.js)
+    //   status: flagged (went through, marked for review) | blocked (not sent / withheld)
+    //   original: withheld reply text (content holds a placeholder)
+    //   decision: admin review — dismissed (false positive) | confirmed
+    moderation: {
+      type: new mongoose.Schema(
+        {
+          status: { type: String, enum: ["flagged", "blocked"], required: true },
+          categories: [String],
+          source: { type: String, enum: ["local", "provider"] },
+          checkedAt: Date,
+          original: { type: String, select: false }, // Admin review only
+          decision: { type: String, enum: ["dismissed", "confirmed"] },
+          reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+          reviewedAt: Date,
+        },
+        { _id: false }
+      ),
+      default: undefined,
+    },
+
+    //  Attached files (summary for display; text and file live on the Attachment)
+    attachments: {
+      type: [
+        {
+          _id: { type: mongoose.Schema.Types.ObjectId, ref: "Attachment" },
+          name: String,
+          mimeType: String,
+          size: Number,
+          kind: String,
+          truncated: Boolean,
+        },
+      ],
+      default: undefined,
+    },
+
+    //  Knowledge base sources the reply cites as [n] (see utils/knowledgeBase.js)
+    citations: {
+      type: [
+        {
+          _id: false,
+          n: Number,
+          documentId: { type: mongoose.Schema.Types.ObjectId, ref: "Document" },
+          chunkId: { type: mongoose.Schema.Types.ObjectId, ref: "Chunk" },
+          title: String,
+          excerpt: String,
+        },
+      ],
+      default: undefined,
+    },
   },
   { timestamps: true }  // Adds createdAt and updatedAt automatically
 );
@@ -58,6 +189,15 @@ const MessageSchema = new mongoose.Schema(
 
 MessageSchema.index({ userId: 1, threadId: 1, createdAt: 1 });
 
+//  Full-text search on message text, per user (see utils/search.js)
+MessageSchema.index({ userId: 1, content: "text" });
+
+//  Admin moderation queue (only moderated messages are indexed)
+MessageSchema.index(
+  { "moderation.status": 1, createdAt: -1 },
+  { partialFilterExpression: { "moderation.status": { $exists: true } } }
+);
+
 
 //  Model Export
 
@@ -0,0 +1,34 @@
+// Mongoose Schema for shared rate limit counters
+// Used by rateLimit/mongoStore.js when RATE_LIMIT_STORE=mongo.
+
+
+import mongoose from "mongoose";
+
+
+//  RateLimit Schema Definition
+
+// Fields:
+//  key: "<group>:<ip|user>:<id>:<windowStart>"
+//  count: Requests seen in the window
+//  expiresAt: End of the window (MongoDB deletes the document afterwards)
+
+const RateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+//  TTL index → counters disappear once their window is over
+RateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("RateLimit", RateLimitSchema);
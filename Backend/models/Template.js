@@ -0,0 +1,71 @@
+
+// Mongoose Schema for slash-command prompt templates
+// Reusable prompts a user inserts by typing "/name" in the chat input,
+// e.g. /tests → "Write unit tests for {{code}} using {{framework}}".
+
+
+import mongoose from "mongoose";
+
+//  {{variable}} placeholders inside a template
+const VARIABLE_PATTERN = /{{\s*([\w-]+)\s*}}/g;
+
+
+//  Template Schema Definition
+
+// Fields:
+//  userId: Owner of the template
+//  name: Slash command (lowercase letters, digits, "-" and "_")
+//  description: Short hint shown in the autocomplete list
+//  content: Prompt text with optional {{variables}}
+
+const TemplateSchema = new mongoose.Schema(
+  {
+    //  Reference to the user who owns the template
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    //  Command typed after "/"
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+      maxlength: 40,
+      match: [/^[a-z0-9_-]+$/, "Template name may only use letters, digits, - and _"],
+    },
+
+    //  Optional hint for the autocomplete list
+    description: {
+      type: String,
+      trim: true,
+      default: "",
+      maxlength: 200,
+    },
+
+    //  Prompt text with {{variables}}
+    content: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 4000,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true }, // Include `variables` in API responses
+    id: false,                  // …but not the duplicate `id` virtual
+  }
+);
+
+//  Variable names in order of first appearance (no duplicates)
+TemplateSchema.virtual("variables").get(function () {
+  return [...new Set([...(this.content || "").matchAll(VARIABLE_PATTERN)].map((m) => m[1]))];
+});
+
+//  One command name per user
+TemplateSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+export default mongoose.model("Template", TemplateSchema);
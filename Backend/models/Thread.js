@@ -23,12 +23,59 @@ const ThreadSchema = new mongoose.Schema(
       trim: true,
     },
 
+    // Where the title came from:
+    //  message   → first words of the first message (placeholder)
+    //  generated → summarised by the model after the first exchange
+    //  user      → renamed by the user (never overwritten automatically)
+    titleSource: {
+      type: String,
+      enum: ["message", "generated", "user"],
+      default: "message",
+    },
+
     // Reference to the user who owns this thread
     userId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
       required: true, // Each thread belongs to one user
     },
+
+    // Optional instructions sent as the "system" message of every request
+    // (e.g. "You are a strict code reviewer")
+    systemPrompt: {
+      type: String,
+      trim: true,
+      default: "",
+      maxlength: 4000,
+    },
+
+    // Chat model used for this thread (id from config/models.js, null = default)
+    model: {
+      type: String,
+      default: null,
+    },
+
+    // Answer from the user's knowledge base (see utils/knowledgeBase.js)
+    useKnowledge: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Tokens spent in this thread (replies + titles, summaries, memory extraction)
+    usage: {
+      promptTokens: { type: Number, default: 0 },
+      completionTokens: { type: Number, default: 0 },
+      totalTokens: { type: Number, default: 0 },
+    },
+
+    // Running summary of older turns (see utils/summarizer.js)
+    //  content → condensed conversation sent instead of the covered turns
+    //  upToId  → last message covered by the summary
+    summary: {
+      content: { type: String, default: "" },
+      upToId: { type: mongoose.Schema.Types.ObjectId, default: null },
+      updatedAt: { type: Date },
+    },
   },
   { timestamps: true } // Automatically adds createdAt & updatedAt
 );
@@ -36,5 +83,8 @@ const ThreadSchema = new mongoose.Schema(
 //  Index for faster query by user and creation time
 ThreadSchema.index({ userId: 1, createdAt: -1 });
 
+//  Full-text search on titles, per user (see utils/search.js)
+ThreadSchema.index({ userId: 1, title: "text" });
+
 // Export Thread model
 export default mongoose.model("Thread", ThreadSchema);
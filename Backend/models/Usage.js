@@ -0,0 +1,58 @@
+
+// Mongoose Schema for daily token usage
+// One document per user, UTC day and model, incremented after every
+// model call (chat replies, voice, titles, summaries, memory extraction).
+
+
+import mongoose from "mongoose";
+
+
+//  Usage Schema Definition
+
+// Fields:
+//  userId: User the tokens were spent for
+//  date: UTC day as "YYYY-MM-DD" (sorts and groups as text)
+//  model: Model id the tokens were spent on
+//  promptTokens / completionTokens / totalTokens: Token counts
+//  requests: Number of model calls
+//  messages: Chat replies / voice answers (counted against plan quotas)
+//  voiceSeconds: Recorded audio sent for transcription
+//  background: Part of totalTokens spent on upkeep the user didn't ask for
+//              (thread titles, rolling summaries, memory extraction,
+//              knowledge base embeddings)
+
+const UsageSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    date: {
+      type: String,
+      required: true,
+    },
+    model: {
+      type: String,
+      required: true,
+    },
+    promptTokens: { type: Number, default: 0 },
+    completionTokens: { type: Number, default: 0 },
+    totalTokens: { type: Number, default: 0 },
+    requests: { type: Number, default: 0 },
+    messages: { type: Number, default: 0 },
+    voiceSeconds: { type: Number, default: 0 },
+    background: {
+      title: { type: Number, default: 0 },
+      summary: { type: Number, default: 0 },
+      memory: { type: Number, default: 0 },
+      knowledge: { type: Number, default: 0 },
+    },
+  },
+  { timestamps: true }
+);
+
+//  One counter per user, day and model
+UsageSchema.index({ userId: 1, date: 1, model: 1 }, { unique: true });
+
+export default mongoose.model("Usage", UsageSchema);
@@ -37,6 +37,36 @@ const UserSchema = new mongoose.Schema(
       enum: ["user", "admin"],
       default: "user",
     },
+
+    //  Plan tier (see config/plans.js) — changed by an admin or the billing hook
+    plan: {
+      type: String,
+      default: "free",
+    },
+    planUpdatedAt: {
+      type: Date,
+    },
+
+    //  Pending upgrade waiting for an admin / payment confirmation
+    planRequest: {
+      plan: { type: String },
+      requestedAt: { type: Date },
+    },
+
+    //  Custom instructions added to every chat & voice request
+    customInstructions: {
+      // "What should SigmaGPT know about you?"
+      about: { type: String, trim: true, default: "", maxlength: 1500 },
+      // "How should SigmaGPT respond?"
+      responseStyle: { type: String, trim: true, default: "", maxlength: 1500 },
+    },
+
+    //  Replace emails, phone numbers, API keys and card numbers with
+    //  placeholders before text is sent to the LLM provider (utils/redaction.js)
+    redactPii: {
+      type: Boolean,
+      default: false,
+    },
   },
   { timestamps: true } // Adds createdAt & updatedAt automatically
 );
@@ -0,0 +1,121 @@
+
+// LLM provider registry
+// Picks the provider used for chat, transcription and speech
+// based on configuration (.env):
+//
+//   LLM_PROVIDER = openai      → OpenAI API (default, uses OPENAI_API_KEY)
+//                  compatible  → any OpenAI-compatible server (Ollama, llama.cpp server…)
+//                  mock        → deterministic offline provider
+//   LLM_BASE_URL   Base URL of the compatible server (e.g. http://localhost:11434/v1)
+//   LLM_API_KEY    API key for the compatible server (optional)
+//   LLM_MODEL      Default chat model override (see config/models.js)
+//   EMBEDDING_MODEL Embedding model for the knowledge base (when KB_EMBEDDINGS is on)
+//   TRANSCRIPTION_MODEL / SPEECH_MODEL  Voice models. "compatible" only uses its server
+//                  for voice when they are set; otherwise voice goes to OpenAI
+//                  (if OPENAI_API_KEY is set) or is unavailable
+//
+// Every provider exposes the same interface:
+//   chat({ messages, model?, maxTokens?, temperature?, tools?, signal? }) → { content, usage, toolCalls }
+//   chatStream({ ...same })        → async iterable of { content }, then { toolCalls } / { usage } if any
+// tools use the OpenAI "tools" format; toolCalls are [{ id, name, arguments (JSON string) }];
+// usage is OpenAI-style { prompt_tokens, completion_tokens, total_tokens } (see utils/usage.js).
+//   transcribe({ filePath, language?, signal? })   → { text, duration? } (seconds of audio)
+//   speech({ text, signal? })                                      → Buffer (mp3)
+//   moderate({ input, signal? })        → { flagged, categories } (optional, see utils/moderation.js)
+//   embed({ input: [text], signal? })   → [vector] (optional, see utils/knowledgeBase.js)
+//
+// getProvider() wraps the provider with timeouts, retries and a circuit
+// breaker (see providers/resilience.js); failures surface as ApiError.
+
+
+import "dotenv/config";
+import { createOpenAIProvider } from "./openaiProvider.js";
+import { createMockProvider } from "./mockProvider.js";
+import { withResilience } from "./resilience.js";
+import { DEFAULT_MODEL_ID } from "../config/models.js";
+import { ApiError } from "../utils/errors.js";
+
+//  Default models per capability (chat models are listed in config/models.js)
+const DEFAULT_MODELS = {
+  chat: DEFAULT_MODEL_ID,
+  transcription: process.env.TRANSCRIPTION_MODEL || "whisper-1",
+  speech: process.env.SPEECH_MODEL || "gpt-4o-mini-tts",
+  moderation: "omni-moderation-latest",
+  embedding: process.env.EMBEDDING_MODEL || "text-embedding-3-small",
+};
+
+//  Voice capabilities: model key → provider method
+const VOICE = { transcription: "transcribe", speech: "speech" };
+
+//  Fills the voice capabilities a provider has no model for: OpenAI's when
+//  OPENAI_API_KEY is set, else a method failing with VOICE_UNAVAILABLE
+const withVoiceFallback = (provider) => {
+  const openai = process.env.OPENAI_API_KEY ? factories.openai() : null;
+  const result = { ...provider, models: { ...provider.models } };
+
+  for (const [capability, method] of Object.entries(VOICE)) {
+    if (provider.models[capability]) continue;
+    if (openai) {
+      result.models[capability] = openai.models[capability];
+      result[method] = openai[method];
+      console.log(` ${capability}: OpenAI (set ${capability.toUpperCase()}_MODEL to use ${provider.name})`);
+    } else {
+      result[method] = async () => {
+        throw new ApiError({
+          code: "VOICE_UNAVAILABLE",
+          message: "Voice is not configured on this server.",
+          status: 503,
+        });
+      };
+    }
+  }
+  return result;
+};
+
+//  Provider factories by name
+const factories = {
+  openai: () =>
+    createOpenAIProvider({
+      name: "openai",
+      apiKey: process.env.OPENAI_API_KEY,
+      models: DEFAULT_MODELS,
+    }),
+
+  compatible: () =>
+    withVoiceFallback(
+      createOpenAIProvider({
+        name: "compatible",
+        apiKey: process.env.LLM_API_KEY || "not-needed", // Local servers usually ignore it
+        baseURL: process.env.LLM_BASE_URL || "http://localhost:11434/v1",
+        models: {
+          ...DEFAULT_MODELS,
+          //  OpenAI model names mean nothing to other servers
+          transcription: process.env.TRANSCRIPTION_MODEL || null,
+          speech: process.env.SPEECH_MODEL || null,
+        },
+        moderation: false, // Local servers have no moderation endpoint
+      })
+    ),
+
+  mock: () => createMockProvider({ models: DEFAULT_MODELS }),
+};
+
+let provider = null;
+
+/**
+ *  Returns the configured provider (created once, then reused)
+ * @returns {object}
+ */
+export const getProvider = () => {
+  if (provider) return provider;
+
+  const name = (process.env.LLM_PROVIDER || "openai").toLowerCase();
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}" (use openai, compatible or mock)`);
+  }
+
+  provider = withResilience(factory());
+  console.log(` LLM provider: ${provider.name}`);
+  return provider;
+};
@@ -0,0 +1,113 @@
+
+// Deterministic mock provider
+// Lets the whole app run offline (no API key, no credits spent).
+// The same input always produces the same output:
+//   chat()        → echoes the last user message
+//                   (asks for the calculator tool when it sees arithmetic)
+//   chatStream()  → same reply, streamed word by word
+//   transcribe()  → fixed transcription text (no duration)
+//   speech()      → empty audio buffer
+//   moderate()    → never flags (local moderation rules still apply)
+//   embed()       → word-hashing vectors (texts sharing words are similar)
+
+
+//  Text of a message (content parts: text parts joined, images counted)
+const textOf = (content) => {
+  if (!Array.isArray(content)) return String(content || "");
+  const text = content.filter((p) => p.type === "text").map((p) => p.text).join("\n");
+  const images = content.length - content.filter((p) => p.type === "text").length;
+  return images ? `${text} [${images} image(s)]` : text;
+};
+
+//  Builds the canned reply for a conversation
+const mockReply = (messages = []) => {
+  const lastUser = [...messages].reverse().find((m) => m.role === "user");
+  const text = textOf(lastUser?.content).trim();
+  return `Mock reply to: "${text.slice(0, 200)}" (${messages.length} message(s) in context)`;
+};
+
+//  Arithmetic inside a message, e.g. "what is 12 * (3 + 4)?"
+const EXPRESSION = /[\d(][\d\s.()]*[-+*/^%][\d\s.()+\-*/^%]*\d\)?/;
+
+//  Decides the mock's answer: a calculator call, or text
+const mockTurn = (messages = [], tools = []) => {
+  const last = messages[messages.length - 1];
+  const canCalculate = tools.some((t) => t.function?.name === "calculator");
+
+  if (canCalculate && last?.role === "user") {
+    const expression = textOf(last.content).match(EXPRESSION)?.[0].trim();
+    if (expression) {
+      return {
+        content: "",
+        toolCalls: [{ id: `mock-call-${messages.length}`, name: "calculator", arguments: JSON.stringify({ expression }) }],
+      };
+    }
+  }
+
+  if (last?.role === "tool") {
+    return { content: `Mock reply using tool result: ${last.content}`, toolCalls: [] };
+  }
+
+  return { content: mockReply(messages), toolCalls: [] };
+};
+
+//  Deterministic embedding: every word adds to one of 64 dimensions
+const mockEmbedding = (text = "") => {
+  const vector = new Array(64).fill(0);
+  for (const word of text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+    let hash = 0;
+    for (const char of word) hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+    vector[hash % 64] += 1;
+  }
+  return vector;
+};
+
+/**
+ *  Creates the mock provider
+ * @param {object} options
+ * @param {object} options.models - Default models { chat, transcription, speech }
+ * @param {string} [options.transcript] - Text returned by transcribe()
+ * @returns {object}
+ */
+export const createMockProvider = ({
+  models,
+  transcript = "This is a mock transcription.",
+}) => ({
+  name: "mock",
+  models,
+
+  async chat({ messages, tools }) {
+    const { content, toolCalls } = mockTurn(messages, tools);
+    return {
+      content,
+      toolCalls,
+      usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+    };
+  },
+
+  async *chatStream({ messages, tools, signal }) {
+    const { content, toolCalls } = mockTurn(messages, tools);
+    const words = content ? content.split(" ") : [];
+    for (let i = 0; i < words.length; i++) {
+      if (signal?.aborted) return;
+      yield { content: i === 0 ? words[i] : ` ${words[i]}` };
+    }
+    if (toolCalls.length) yield { toolCalls };
+  },
+
+  async transcribe() {
+    return { text: transcript };
+  },
+
+  async speech() {
+    return Buffer.alloc(0);
+  },
+
+  async moderate() {
+    return { flagged: false, categories: [] };
+  },
+
+  async embed({ input }) {
+    return input.map(mockEmbedding);
+  },
+});
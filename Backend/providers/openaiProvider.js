@@ -0,0 +1,144 @@
+
+// OpenAI provider adapter
+// Talks to the OpenAI API (or any server exposing the same API)
+// through the official SDK:
+//   chat()        → one-shot chat completion (may request tool calls)
+//   chatStream()  → streamed chat completion (token chunks, then tool calls)
+//   transcribe()  → speech-to-text
+//   speech()      → text-to-speech
+//   moderate()    → content moderation check (unless disabled)
+//   embed()       → embedding vectors (knowledge base, unless disabled)
+
+
+import fs from "fs";
+import OpenAI from "openai";
+
+/**
+ *  Creates a provider backed by an OpenAI-style API
+ * @param {object} options
+ * @param {string} [options.name] - Provider name (for logs)
+ * @param {string} options.apiKey - API key sent as Bearer token
+ * @param {string} [options.baseURL] - API base URL (defaults to api.openai.com)
+ * @param {object} options.models - Default models { chat, transcription, speech, moderation, embedding }
+ * @param {string} [options.voice] - Default TTS voice
+ * @param {boolean} [options.moderation] - Whether the server has a moderation endpoint
+ * @param {boolean} [options.embeddings] - Whether the server has an embeddings endpoint
+ * @returns {object} - Provider implementing chat/chatStream/transcribe/speech(/moderate/embed)
+ */
+export const createOpenAIProvider = ({
+  name = "openai",
+  apiKey,
+  baseURL,
+  models,
+  voice = "verse",
+  moderation = true,
+  embeddings = true,
+}) => {
+  const client = new OpenAI({ apiKey, baseURL, maxRetries: 0 }); // Retries: providers/resilience.js
+
+  return {
+    name,
+    models,
+
+    //  Chat completion → { content, usage, toolCalls }
+    async chat({ messages, model = models.chat, maxTokens, temperature, tools, signal }) {
+      const completion = await client.chat.completions.create(
+        { model, messages, max_tokens: maxTokens, temperature, tools: tools?.length ? tools : undefined },
+        { signal }
+      );
+      const message = completion.choices?.[0]?.message;
+
+      return {
+        content: message?.content?.trim() || "",
+        usage: completion.usage,
+        toolCalls: (message?.tool_calls || []).map((call) => ({
+          id: call.id,
+          name: call.function.name,
+          arguments: call.function.arguments,
+        })),
+      };
+    },
+
+    //  Streamed chat completion → yields { content } chunks,
+    //  then one { toolCalls } chunk if the model asked for tools
+    //  and one { usage } chunk when the server reports usage
+    async *chatStream({ messages, model = models.chat, maxTokens, temperature, tools, signal }) {
+      const stream = await client.chat.completions.create(
+        {
+          model,
+          messages,
+          max_tokens: maxTokens,
+          temperature,
+          tools: tools?.length ? tools : undefined,
+          stream: true,
+          stream_options: { include_usage: true }, // Usage arrives in the last chunk
+        },
+        { signal }
+      );
+
+      //  Tool calls arrive in fragments, keyed by their index
+      const toolCalls = [];
+      let usage = null;
+      for await (const chunk of stream) {
+        if (chunk.usage) usage = chunk.usage;
+        const delta = chunk.choices?.[0]?.delta;
+        if (delta?.content) yield { content: delta.content };
+
+        for (const fragment of delta?.tool_calls || []) {
+          const call = (toolCalls[fragment.index] ||= { id: "", name: "", arguments: "" });
+          if (fragment.id) call.id = fragment.id;
+          if (fragment.function?.name) call.name += fragment.function.name;
+          if (fragment.function?.arguments) call.arguments += fragment.function.arguments;
+        }
+      }
+
+      if (toolCalls.length) yield { toolCalls: toolCalls.filter(Boolean) };
+      if (usage) yield { usage };
+    },
+
+    //  Speech-to-text → { text, duration } (seconds of audio, when the model reports it;
+    //  gpt-4o-*-transcribe models only return text)
+    async transcribe({ filePath, language, model = models.transcription, signal }) {
+      const transcription = await client.audio.transcriptions.create(
+        {
+          file: fs.createReadStream(filePath),
+          model,
+          response_format: /^gpt-4o/.test(model) ? "json" : "verbose_json",
+          language,
+        },
+        { signal }
+      );
+
+      return { text: (transcription?.text || "").trim(), duration: transcription?.duration };
+    },
+
+    //  Text-to-speech → audio Buffer (mp3)
+    async speech({ text, model = models.speech, signal }) {
+      const audio = await client.audio.speech.create({ model, voice, input: text }, { signal });
+      return Buffer.from(await audio.arrayBuffer());
+    },
+
+    //  Moderation → { flagged, categories } (names of the flagged categories)
+    ...(moderation && {
+      async moderate({ input, model = models.moderation, signal }) {
+        const response = await client.moderations.create({ model, input }, { signal });
+        const result = response.results?.[0];
+
+        return {
+          flagged: Boolean(result?.flagged),
+          categories: Object.entries(result?.categories || {})
+            .filter(([, flagged]) => flagged)
+            .map(([name]) => name),
+        };
+      },
+    }),
+
+    //  Embeddings → one vector per input text (same order)
+    ...(embeddings && {
+      async embed({ input, model = models.embedding, signal }) {
+        const response = await client.embeddings.create({ model, input }, { signal });
+        return [...response.data].sort((a, b) => a.index - b.index).map((item) => item.embedding);
+      },
+    }),
+  };
+};
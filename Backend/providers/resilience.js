@@ -0,0 +1,252 @@
+// Provider resilience wrapper
+// Wraps any provider (see providers/index.js) with the same interface and adds:
+//   Timeout          → each attempt is aborted after LLM_TIMEOUT_MS
+//                      (streams: until the first chunk and between chunks)
+//   Retries          → 429 / 5xx / timeouts / network errors are retried with
+//                      exponential backoff and full jitter (Retry-After is honoured)
+//   Circuit breaker  → after LLM_BREAKER_THRESHOLD failed calls in a row, calls
+//                      fail fast for LLM_BREAKER_COOLDOWN_MS, then one trial call
+//                      decides whether the provider is back
+//
+// Failures are thrown as ApiError (utils/errors.js) with a PROVIDER_* code.
+// Requests cancelled by the caller's signal (Stop button) are never retried
+// and rethrow the original abort error.
+
+
+import "dotenv/config";
+import { ApiError } from "../utils/errors.js";
+
+const env = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const DEFAULTS = {
+  timeoutMs: env("LLM_TIMEOUT_MS", 60000),
+  retries: env("LLM_MAX_RETRIES", 2),
+  baseDelayMs: 500,
+  maxDelayMs: 8000,
+  breakerThreshold: env("LLM_BREAKER_THRESHOLD", 5),
+  breakerCooldownMs: env("LLM_BREAKER_COOLDOWN_MS", 30000),
+};
+
+//  Marks attempts aborted by our own timer (vs. the caller's signal)
+class TimeoutError extends Error {
+  constructor() {
+    super("Provider request timed out");
+    this.name = "TimeoutError";
+  }
+}
+
+/**
+ *  Maps a provider / SDK error to an ApiError
+ * @param {Error} err
+ * @returns {ApiError}
+ */
+export const classifyProviderError = (err) => {
+  if (err instanceof ApiError) return err;
+
+  const status = err?.status;
+  const fail = (code, message, httpStatus, retryable) =>
+    new ApiError({ code, message, status: httpStatus, retryable, cause: err });
+
+  if (err instanceof TimeoutError) {
+    return fail("PROVIDER_TIMEOUT", "The AI service took too long to respond.", 504, true);
+  }
+  if (status === 429) {
+    return fail("PROVIDER_RATE_LIMITED", "The AI service is busy right now. Please try again in a moment.", 503, true);
+  }
+  if (status >= 500) {
+    return fail("PROVIDER_ERROR", "The AI service had a temporary problem.", 502, true);
+  }
+  if (status === 401 || status === 403) {
+    return fail("PROVIDER_AUTH", "The AI service rejected the server's credentials.", 502, false);
+  }
+  if (status >= 400) {
+    return fail("PROVIDER_REJECTED", "The AI service could not process this request.", 400, false);
+  }
+  //  No HTTP status → connection refused / reset / DNS
+  return fail("PROVIDER_UNREACHABLE", "Could not reach the AI service.", 503, true);
+};
+
+//  Waits `ms`, or rejects as soon as the caller's signal aborts
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      },
+      { once: true }
+    );
+  });
+
+//  Seconds from an upstream Retry-After header (OpenAI SDK errors expose headers)
+const retryAfterMs = (err) => {
+  const value = err?.cause?.headers?.["retry-after"] ?? err?.cause?.headers?.get?.("retry-after");
+  const seconds = parseFloat(value);
+  return Number.isNaN(seconds) ? 0 : seconds * 1000;
+};
+
+/**
+ *  Wraps a provider with timeouts, retries and a circuit breaker
+ * @param {object} provider - Provider implementing chat/chatStream/transcribe/speech
+ * @param {object} [options] - Overrides of the defaults above
+ * @returns {object} - Provider with the same interface
+ */
+export const withResilience = (provider, options = {}) => {
+  const config = { ...DEFAULTS, ...options };
+
+  //  Circuit breaker state (shared by every capability of the provider)
+  const breaker = { failures: 0, openUntil: 0, trial: false };
+
+  //  Returns true when this call is the half-open trial
+  const beforeCall = () => {
+    if (breaker.failures < config.breakerThreshold) return false;
+    //  Open → fail fast; after the cooldown let exactly one trial call through
+    if (Date.now() < breaker.openUntil || breaker.trial) {
+      throw new ApiError({
+        code: "PROVIDER_UNAVAILABLE",
+        message: "The AI service is temporarily unavailable. Please try again shortly.",
+        status: 503,
+        retryable: true,
+      });
+    }
+    breaker.trial = true;
+    return true;
+  };
+
+  //  A trial that ended without onSuccess / onFailure (caller aborted, stream
+  //  consumer stopped early) counts as neither: the next call becomes the trial
+  const endCall = (trial) => {
+    if (trial) breaker.trial = false;
+  };
+
+  const onSuccess = () => {
+    breaker.failures = 0;
+    breaker.trial = false;
+  };
+
+  const onFailure = (err) => {
+    breaker.trial = false;
+    if (!err.retryable) return; // Bad requests say nothing about the provider's health
+    breaker.failures += 1;
+    if (breaker.failures >= config.breakerThreshold) {
+      breaker.openUntil = Date.now() + config.breakerCooldownMs;
+      console.warn(` ${provider.name} circuit open for ${config.breakerCooldownMs}ms`);
+    }
+  };
+
+  //  Backoff before retry `attempt` (1, 2…): full jitter, at least Retry-After
+  const backoff = (attempt, err) => {
+    const ceiling = Math.min(config.maxDelayMs, config.baseDelayMs * 2 ** (attempt - 1));
+    return Math.min(Math.max(Math.random() * ceiling, retryAfterMs(err)), config.maxDelayMs);
+  };
+
+  //  Signal for one attempt: caller's signal + our timer (restartable for streams)
+  const attemptSignal = (signal) => {
+    const controller = new AbortController();
+    const forward = () => controller.abort(signal.reason);
+    signal?.addEventListener("abort", forward, { once: true });
+    if (signal?.aborted) forward();
+
+    let timer = null;
+    const restart = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => controller.abort(new TimeoutError()), config.timeoutMs);
+    };
+    const done = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", forward);
+    };
+    restart();
+    return { signal: controller.signal, restart, done };
+  };
+
+  //  Error of a failed attempt: caller abort passes through untouched
+  const attemptError = (err, attempt, signal) => {
+    if (signal?.aborted) throw err;
+    return classifyProviderError(attempt.signal.reason instanceof TimeoutError ? attempt.signal.reason : err);
+  };
+
+  //  Retry loop for one-shot calls
+  const run = async (call, signal) => {
+    const trial = beforeCall();
+    try {
+      for (let retry = 0; ; retry++) {
+        const attempt = attemptSignal(signal);
+        try {
+          const result = await call(attempt.signal);
+          onSuccess();
+          return result;
+        } catch (err) {
+          const error = attemptError(err, attempt, signal);
+          if (!error.retryable || retry >= config.retries) {
+            onFailure(error);
+            throw error;
+          }
+          console.warn(` ${provider.name} ${error.code}, retry ${retry + 1}/${config.retries}`);
+          await sleep(backoff(retry + 1, error), signal);
+        } finally {
+          attempt.done();
+        }
+      }
+    } finally {
+      endCall(trial);
+    }
+  };
+
+  return {
+    ...provider,
+
+    chat: (options) => run((signal) => provider.chat({ ...options, signal }), options.signal),
+
+    //  Streams are only retried until their first chunk — once text has
+    //  reached the client, a failure is reported instead of starting over
+    async *chatStream(options) {
+      const trial = beforeCall();
+      try {
+        for (let retry = 0; ; retry++) {
+          const attempt = attemptSignal(options.signal);
+          let started = false;
+          try {
+            for await (const chunk of provider.chatStream({ ...options, signal: attempt.signal })) {
+              started = true;
+              attempt.restart(); // Idle timeout between chunks
+              yield chunk;
+            }
+            onSuccess();
+            return;
+          } catch (err) {
+            const error = attemptError(err, attempt, options.signal);
+            if (started || !error.retryable || retry >= config.retries) {
+              onFailure(error);
+              throw error;
+            }
+            console.warn(` ${provider.name} ${error.code}, retry ${retry + 1}/${config.retries}`);
+            await sleep(backoff(retry + 1, error), options.signal);
+          } finally {
+            attempt.done();
+          }
+        }
+      } finally {
+        endCall(trial); // Also runs when the consumer stops iterating (return())
+      }
+    },
+
+    transcribe: (options) => run((signal) => provider.transcribe({ ...options, signal }), options.signal),
+
+    speech: (options) => run((signal) => provider.speech({ ...options, signal }), options.signal),
+
+    ...(provider.moderate && {
+      moderate: (options) => run((signal) => provider.moderate({ ...options, signal }), options.signal),
+    }),
+
+    ...(provider.embed && {
+      embed: (options) => run((signal) => provider.embed({ ...options, signal }), options.signal),
+    }),
+  };
+};
@@ -0,0 +1,43 @@
+// Rate limit store
+// Counters used by middleware/rateLimit.js, chosen in .env:
+//
+//   RATE_LIMIT_STORE = memory → counters live in this process (default,
+//                               one server instance)
+//                      mongo  → counters shared through MongoDB (several
+//                               instances behind a load balancer)
+//
+// Another shared store (e.g. Redis) plugs in by adding a factory below
+// that implements:
+//   hit(key, windowMs) → { count, resetAt }
+//       counts one request in the current fixed window of `key` and
+//       returns the window's total so far and when it ends (ms timestamp)
+
+
+import "dotenv/config";
+import { createMemoryStore } from "./memoryStore.js";
+import { createMongoStore } from "./mongoStore.js";
+
+//  Store factories by name
+const factories = {
+  memory: createMemoryStore,
+  mongo: createMongoStore,
+};
+
+let store = null;
+
+/**
+ *  Returns the configured rate limit store (created once, then reused)
+ * @returns {object}
+ */
+export const getRateLimitStore = () => {
+  if (store) return store;
+
+  const name = (process.env.RATE_LIMIT_STORE || "memory").toLowerCase();
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown RATE_LIMIT_STORE "${name}" (use memory or mongo)`);
+  }
+
+  store = factory();
+  return store;
+};
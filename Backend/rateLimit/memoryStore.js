@@ -0,0 +1,33 @@
+// In-memory rate limit store (default)
+// Counters are lost on restart and not shared between instances.
+
+
+//  Expired windows are swept once a minute
+const SWEEP_INTERVAL = 60 * 1000;
+
+export const createMemoryStore = () => {
+  const windows = new Map(); // key → { count, resetAt }
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of windows) {
+      if (entry.resetAt <= now) windows.delete(key);
+    }
+  }, SWEEP_INTERVAL);
+  sweep.unref(); // Don't keep the process alive for the sweeper
+
+  return {
+    name: "memory",
+
+    async hit(key, windowMs) {
+      const now = Date.now();
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+      entry.count += 1;
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+  };
+};
@@ -0,0 +1,25 @@
+// MongoDB rate limit store
+// Shares counters between server instances. Windows are aligned to
+// the clock (floor(now / windowMs)) so every instance agrees on them,
+// and expired counters are removed by a TTL index.
+
+
+import RateLimit from "../models/RateLimit.js";
+
+export const createMongoStore = () => ({
+  name: "mongo",
+
+  async hit(key, windowMs) {
+    const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+    const resetAt = windowStart + windowMs;
+
+    //  Atomic upsert + increment → safe under concurrent requests
+    const entry = await RateLimit.findOneAndUpdate(
+      { key: `${key}:${windowStart}` },
+      { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(resetAt) } },
+      { upsert: true, new: true, lean: true }
+    );
+
+    return { count: entry.count, resetAt };
+  },
+});
@@ -0,0 +1,39 @@
+//  SigmaGPT — Admin Routes
+
+// Actions reserved for users with role "admin".
+
+
+import express from "express";
+import { verifyToken } from "../middleware/verifyToken.js"; //  JWT verification middleware
+import { requireAdmin } from "../middleware/requireAdmin.js"; //  Admin role check
+import {
+  getPlanRequests, //  Pending upgrade requests
+  setUserPlan,     //  Change a user's plan
+  getModerationQueue, //  Flagged / blocked messages
+  reviewMessage,      //  Dismiss or confirm a moderated message
+} from "../controllers/adminController.js";
+
+const router = express.Router();
+
+//  Every admin route needs a logged-in admin
+router.use(verifyToken, requireAdmin);
+
+
+//  ADMIN ROUTES
+
+//  Pending plan upgrade requests
+router.get("/plan-requests", getPlanRequests);
+
+//  Change a user's plan
+router.put("/users/:userId/plan", setUserPlan);
+
+//  Messages flagged or blocked by moderation
+router.get("/moderation", getModerationQueue);
+
+//  Record the review of a moderated message
+router.put("/moderation/:messageId", reviewMessage);
+
+
+// Export router to be used in server.js
+
+export default router;
@@ -0,0 +1,23 @@
+//  SigmaGPT — Attachment Routes
+
+// Endpoints for files attached to chat messages.
+// Includes: downloading an attachment (owner only).
+// Files are uploaded together with the message (POST /api/chat).
+
+
+import express from "express";
+import { verifyToken } from "../middleware/verifyToken.js"; //  JWT verification middleware
+import { downloadAttachment } from "../controllers/attachmentController.js"; //  Sends the stored file
+
+const router = express.Router();
+
+
+//  ATTACHMENT ROUTES
+
+//  Download an attached file
+router.get("/:attachmentId/download", verifyToken, downloadAttachment);
+
+
+// Export router to be used in server.js
+
+export default router;
@@ -16,6 +16,7 @@ import {
 } from "../controllers/authController.js";
 
 import { verifyToken } from "../middleware/verifyToken.js"; //  JWT verification middleware
+import { rateLimit } from "../middleware/rateLimit.js";     //  Per-IP limit against password guessing
 
 // Create Express router instance
 const router = express.Router();
@@ -28,10 +29,10 @@ const router = express.Router();
 router.get("/me", verifyToken, getCurrentUser);
 
 //  Register a new user (name, email, password)
-router.post("/register", register);
+router.post("/register", rateLimit("auth"), register);
 
 //  Login existing user (returns access + refresh token in cookies)
-router.post("/login", login);
+router.post("/login", rateLimit("auth"), login);
 
 //  Refresh expired access token (using refresh token)
 router.post("/refresh", refresh);
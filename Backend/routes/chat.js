@@ -12,6 +12,10 @@
 
 import express from "express";
 import { verifyToken } from "../middleware/verifyToken.js"; //  Auth middleware
+import { checkQuota } from "../middleware/checkQuota.js"; //  Plan quotas (messages, tokens, models)
+import { rateLimit } from "../middleware/rateLimit.js";   //  Request rate per user / IP
+import { uploadAttachments } from "../middleware/uploadAttachments.js"; //  Files sent with a message
+import { deleteAttachments } from "../utils/attachments.js";
 import {
   sendMessage,   //  Handles sending message to GPT and saving response
   getHistory,    //  Returns message history of a given thread
@@ -19,21 +23,39 @@ import {
   getThreadById, //  Fetches a specific thread by threadId
   deleteThread,  //  Deletes a specific thread
   createThread,  //  Creates a new thread
+  updateThread,  //  Updates thread settings (title, system prompt, model)
+  regenerateReply,      //  Re-runs the last reply as a new version
+  selectMessageVersion, //  Switches the shown version of a message
+  editMessage,          //  Edits a user message into a new branch
 } from "../controllers/chatController.js";
 
+import { exportThread, exportAllThreads } from "../controllers/exportController.js"; //  Markdown / JSON / HTML / zip
 import Thread from "../models/Thread.js";
+import Message from "../models/Message.js";
 
 const router = express.Router();
 
 
 //  CHAT ROUTES
 
-// /api/chat → Send message to GPT + Save reply
+// /api/chat → Send message to GPT + Save reply (JSON, or multipart with attached files)
 // /api/history/:threadId → Get all messages from a thread
+// /api/chat/regenerate → New version of the last reply
+// /api/message/:messageId/select → Switch to another version
+// /api/message/:messageId/edit → Edit a user message (forks the conversation)
 
 
 //  Send a message to GPT and save to DB
-router.post("/chat", verifyToken, sendMessage);
+router.post("/chat", verifyToken, rateLimit("chat"), uploadAttachments, checkQuota("chat"), sendMessage);
+
+//  Regenerate the last assistant reply (kept as a sibling version)
+router.post("/chat/regenerate", verifyToken, rateLimit("chat"), checkQuota("chat"), regenerateReply);
+
+//  Select which version of a message is active
+router.post("/message/:messageId/select", verifyToken, selectMessageVersion);
+
+//  Edit an earlier user message and generate a reply on the new branch
+router.post("/message/:messageId/edit", verifyToken, rateLimit("chat"), checkQuota("chat"), editMessage);
 
 //  Get message history for a specific thread
 router.get("/history/:threadId", verifyToken, getHistory);
@@ -41,7 +63,7 @@ router.get("/history/:threadId", verifyToken, getHistory);
 
 // CLEAR ALL THREADS (for the current logged-in user)
 
-// This route deletes *all chat threads* for the user.
+// This route deletes *all chat threads* for the user, with their messages.
 // It’s kept ABOVE dynamic routes (like :threadId) to prevent conflicts.
 
 router.delete("/thread/clear", verifyToken, async (req, res) => {
@@ -54,8 +76,10 @@ router.delete("/thread/clear", verifyToken, async (req, res) => {
       });
     }
 
-    // Delete all threads belonging to this user
+    // Delete all threads belonging to this user (with their messages and attached files)
     const result = await Thread.deleteMany({ userId });
+    await Message.deleteMany({ userId });
+    await deleteAttachments({ userId });
     console.log(`🧹 Cleared ${result.deletedCount} threads for user: ${userId}`);
 
     return res.json({
@@ -75,7 +99,9 @@ router.delete("/thread/clear", verifyToken, async (req, res) => {
 //  THREAD ROUTES
 
 // /api/thread → Get or Create thread list
-// /api/thread/:threadId → Get or Delete single thread
+// /api/thread/:threadId → Get, Update or Delete single thread
+// /api/thread/export → All threads as a zip
+// /api/thread/:threadId/export → One thread as a file
 
 //  Fetch all threads for current user
 router.get("/thread", verifyToken, getThreads);
@@ -83,9 +109,18 @@ router.get("/thread", verifyToken, getThreads);
 //  Create a new thread (for sidebar persistence)
 router.post("/thread", verifyToken, createThread);
 
+//  Download every thread as a zip (?format=md|json|html; before /thread/:threadId)
+router.get("/thread/export", verifyToken, exportAllThreads);
+
+//  Download one thread (?format=md|json|html)
+router.get("/thread/:threadId/export", verifyToken, exportThread);
+
 //  Fetch messages from specific thread
 router.get("/thread/:threadId", verifyToken, getThreadById);
 
+//  Update thread settings (rename / regenerate title, system prompt, model)
+router.patch("/thread/:threadId", verifyToken, updateThread);
+
 //  Delete a specific thread
 router.delete("/thread/:threadId", verifyToken, deleteThread);
 
@@ -0,0 +1,40 @@
+//  SigmaGPT — Knowledge Base Routes
+
+// Endpoints for the logged-in user's knowledge base documents.
+// Includes: list, upload, download, delete.
+// Threads opt in with their `useKnowledge` setting (PATCH /api/thread/:threadId).
+
+
+import express from "express";
+import { verifyToken } from "../middleware/verifyToken.js"; //  JWT verification middleware
+import { rateLimit } from "../middleware/rateLimit.js"; //  Per-user / per-IP request limits
+import { checkQuota } from "../middleware/checkQuota.js"; //  Plan quotas (tokens)
+import { uploadDocuments } from "../middleware/uploadAttachments.js"; //  Multipart "files"
+import {
+  getDocuments,     //  Lists the user's documents
+  addDocuments,     //  Indexes uploaded files
+  downloadDocument, //  Sends a stored file
+  deleteDocument,   //  Deletes a document and its chunks
+} from "../controllers/knowledgeController.js";
+
+const router = express.Router();
+
+
+//  KNOWLEDGE BASE ROUTES
+
+//  List documents
+router.get("/", verifyToken, getDocuments);
+
+//  Upload documents
+router.post("/", verifyToken, rateLimit("knowledge"), uploadDocuments, checkQuota("knowledge"), addDocuments);
+
+//  Download a document
+router.get("/:documentId/download", verifyToken, downloadDocument);
+
+//  Delete a document
+router.delete("/:documentId", verifyToken, deleteDocument);
+
+
+// Export router to be used in server.js
+
+export default router;
@@ -0,0 +1,40 @@
+//  SigmaGPT — Memory Routes
+
+// Endpoints for the logged-in user's long-term memories.
+// Includes: list, add, edit, delete one, delete all.
+
+
+import express from "express";
+import { verifyToken } from "../middleware/verifyToken.js"; //  JWT verification middleware
+import {
+  getMemories,   //  Lists the user's memories
+  createMemory,  //  Adds a memory by hand
+  updateMemory,  //  Edits a memory
+  deleteMemory,  //  Deletes one memory
+  clearMemories, //  Deletes every memory
+} from "../controllers/memoryController.js";
+
+const router = express.Router();
+
+
+//  MEMORY ROUTES
+
+//  List memories
+router.get("/", verifyToken, getMemories);
+
+//  Add a memory
+router.post("/", verifyToken, createMemory);
+
+//  Delete all memories
+router.delete("/", verifyToken, clearMemories);
+
+//  Edit a memory
+router.put("/:memoryId", verifyToken, updateMemory);
+
+//  Delete a memory
+router.delete("/:memoryId", verifyToken, deleteMemory);
+
+
+// Export router to be used in server.js
+
+export default router;
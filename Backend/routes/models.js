@@ -0,0 +1,16 @@
+
+//  SigmaGPT — Model Registry Routes
+
+// /api/models → List the chat models users can pick
+
+
+import express from "express";
+import { verifyToken } from "../middleware/verifyToken.js"; //  Auth middleware
+import { getModels } from "../controllers/modelController.js";
+
+const router = express.Router();
+
+//  List allowed models
+router.get("/", verifyToken, getModels);
+
+export default router;
@@ -0,0 +1,32 @@
+//  SigmaGPT — Plan Routes
+
+// Plan tiers, quota status and upgrades for the logged-in user,
+// plus the billing provider's webhook.
+
+
+import express from "express";
+import { verifyToken } from "../middleware/verifyToken.js"; //  JWT verification middleware
+import {
+  getPlans,       //  Plans + today's quota
+  requestUpgrade, //  Upgrade / downgrade through the billing hook
+  billingWebhook, //  Payment confirmations (no user session)
+} from "../controllers/planController.js";
+
+const router = express.Router();
+
+
+//  PLAN ROUTES
+
+//  List plans with the user's quota
+router.get("/", verifyToken, getPlans);
+
+//  Change plan
+router.post("/upgrade", verifyToken, requestUpgrade);
+
+//  Billing provider webhook
+router.post("/webhook", billingWebhook);
+
+
+// Export router to be used in server.js
+
+export default router;
@@ -0,0 +1,22 @@
+//  SigmaGPT — Search Routes
+
+// Endpoint for full-text search across the logged-in user's conversations.
+// Includes: messages and thread titles matching a query, with filters.
+
+
+import express from "express";
+import { verifyToken } from "../middleware/verifyToken.js"; //  JWT verification middleware
+import { search } from "../controllers/searchController.js"; //  Text search + snippets
+
+const router = express.Router();
+
+
+//  SEARCH ROUTES
+
+//  Search messages and thread titles (?q=&role=&threadId=&from=&to=&limit=)
+router.get("/", verifyToken, search);
+
+
+// Export router to be used in server.js
+
+export default router;
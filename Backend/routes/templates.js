@@ -0,0 +1,36 @@
+//  SigmaGPT — Prompt Template Routes
+
+// Endpoints for the logged-in user's slash-command templates.
+// Includes: list, create, edit, delete.
+
+
+import express from "express";
+import { verifyToken } from "../middleware/verifyToken.js"; //  JWT verification middleware
+import {
+  getTemplates,   //  Lists the user's templates
+  createTemplate, //  Creates a template
+  updateTemplate, //  Edits a template
+  deleteTemplate, //  Deletes a template
+} from "../controllers/templateController.js";
+
+const router = express.Router();
+
+
+//  TEMPLATE ROUTES
+
+//  List templates
+router.get("/", verifyToken, getTemplates);
+
+//  Create a template
+router.post("/", verifyToken, createTemplate);
+
+//  Edit a template
+router.put("/:templateId", verifyToken, updateTemplate);
+
+//  Delete a template
+router.delete("/:templateId", verifyToken, deleteTemplate);
+
+
+// Export router to be used in server.js
+
+export default router;
@@ -0,0 +1,21 @@
+//  SigmaGPT — Usage Routes
+
+// Token usage of the logged-in user.
+
+
+import express from "express";
+import { verifyToken } from "../middleware/verifyToken.js"; //  JWT verification middleware
+import { getUsage } from "../controllers/usageController.js"; //  Usage time series + totals
+
+const router = express.Router();
+
+
+//  USAGE ROUTES
+
+//  Daily token usage (?days=30)
+router.get("/", verifyToken, getUsage);
+
+
+// Export router to be used in server.js
+
+export default router;
@@ -0,0 +1,37 @@
+
+//  SigmaGPT — User Preference Routes
+
+// Endpoints for the logged-in user's own settings.
+// Includes: custom instructions and privacy settings (read + update).
+
+
+import express from "express";
+import { verifyToken } from "../middleware/verifyToken.js"; //  JWT verification middleware
+import {
+  getInstructions,    //  Returns the user's custom instructions
+  updateInstructions, //  Saves the user's custom instructions
+  getPrivacy,         //  Returns the PII redaction setting
+  updatePrivacy,      //  Turns PII redaction on / off
+} from "../controllers/userController.js";
+
+const router = express.Router();
+
+
+//  USER ROUTES
+
+//  Get custom instructions
+router.get("/instructions", verifyToken, getInstructions);
+
+//  Save custom instructions
+router.put("/instructions", verifyToken, updateInstructions);
+
+//  Get privacy settings
+router.get("/privacy", verifyToken, getPrivacy);
+
+//  Save privacy settings
+router.put("/privacy", verifyToken, updatePrivacy);
+
+
+// Export router to be used in server.js
+
+export default router;
@@ -4,16 +4,29 @@
 //  Voice to Text (Whisper)
 //  Text to AI English reply (GPT-4o-mini)
 //  English Voice reply (TTS)
+//  All three steps go through the configured LLM provider (providers/index.js)
+//  Both turns are saved to the thread (one completion and one quota hit per recording)
 //  Fully works on localhost + Render
 //  Auto folder create + cleanup
 
 import express from "express";
 import multer from "multer";
 import fs from "fs";
-import OpenAI from "openai";
-import dotenv from "dotenv";
-
-dotenv.config();
+import { getProvider } from "../providers/index.js";
+import { verifyToken } from "../middleware/verifyToken.js";
+import { checkQuota } from "../middleware/checkQuota.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { buildSystemPrompt, loadPromptUser } from "../utils/promptBuilder.js";
+import { retrieveMemories } from "../utils/memory.js";
+import { normalizeUsage, estimateUsage, recordUsage } from "../utils/usage.js";
+import { audioSeconds } from "../utils/quota.js";
+import { ApiError, toApiError, errorBody } from "../utils/errors.js";
+import { moderateText, toModerationField, WITHHELD_REPLY } from "../utils/moderation.js";
+import { providerForUser } from "../utils/redaction.js";
+import { loadActivePath } from "../utils/messageTree.js";
+import Thread from "../models/Thread.js";
+import Message from "../models/Message.js";
+import { getModel } from "../config/models.js";
 
 const router = express.Router();
 
@@ -33,39 +46,61 @@ const storage = multer.diskStorage({
 });
 const upload = multer({ storage });
 
-//  OpenAI setup
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+//  Base instructions for spoken conversations
+const VOICE_PROMPT = `
+  You are SigmaGPT, an intelligent AI assistant.
+  The user always speaks English.
+  Always understand and reply ONLY in English.
+  Keep answers clear, concise, and natural.
+`;
 
 // Voice Route: /api/voice
-router.post("/voice", upload.single("audio"), async (req, res) => {
+// Form fields: audio (file), threadId (optional → applies the thread's system prompt;
+//              the exchange is saved there, creating the thread if needed)
+// Responds with { userText, text, audioUrl, history: [userMsg, botMsg] } (history when saved)
+// Blocked speech → 422 { code: "CONTENT_BLOCKED", message, retryable, userMsg } (userMsg when saved)
+// Rate limited before the upload → rejected recordings are never stored
+router.post("/voice", verifyToken, rateLimit("voice"), upload.single("audio"), checkQuota("voice"), async (req, res) => {
   try {
-    if (!req.file) throw new Error("No audio file received");
+    if (!req.file) {
+      throw new ApiError({ code: "NO_AUDIO", message: "No audio file received", status: 400 });
+    }
+
+    const provider = getProvider();
+    const textProvider = await providerForUser(req.user.userId); // Redacts PII if enabled (chat, moderation, speech)
 
     // Step 1️: Transcribe English voice → text
-    const transcription = await openai.audio.transcriptions.create({
-      file: fs.createReadStream(req.file.path),
-      model: "whisper-1",
-      response_format: "text",
+    const transcription = await provider.transcribe({
+      filePath: req.file.path,
       language: "en", // Force English transcription only
     });
-
-    const userText = (transcription || "").trim();
+    const userText = transcription.text;
     console.log("🎙 User said:", userText || "[empty]");
 
+    //  Voice minutes: the transcribed length is charged whatever happens next,
+    //  and a recording longer than the minutes left gets no reply
+    const voiceSeconds = audioSeconds(transcription.duration, req.file.size);
+    await recordUsage({
+      userId: req.user.userId,
+      model: provider.models.transcription,
+      usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0 },
+      voiceSeconds,
+    });
+    if (req.voiceMinutesLeft != null && voiceSeconds / 60 > req.voiceMinutesLeft) {
+      throw new ApiError({
+        code: "QUOTA_EXCEEDED",
+        message: "Not enough voice minutes left on your plan today.",
+        status: 429,
+      });
+    }
+
     // Step 2️: Handle unclear audio
     if (!userText || userText.length < 2) {
       const fallback = "I couldn’t hear you clearly. Please say it again!";
       const fallbackFile = `uploads/fallback_${Date.now()}.mp3`;
 
-      const tts = await openai.audio.speech.create({
-        model: "gpt-4o-mini-tts",
-        voice: "verse",
-        input: fallback,
-      });
-
-      fs.writeFileSync(fallbackFile, Buffer.from(await tts.arrayBuffer()));
+      const tts = await provider.speech({ text: fallback });
+      fs.writeFileSync(fallbackFile, tts);
 
       return res.json({
         userText,
@@ -75,36 +110,93 @@ router.post("/voice", upload.single("audio"), async (req, res) => {
       });
     }
 
-    // Step 3️: Get GPT reply (English only)
-    const chat = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: [
-        {
-          role: "system",
-          content: `
-            You are SigmaGPT, an intelligent AI assistant.
-            The user always speaks English.
-            Always understand and reply ONLY in English.
-            Keep answers clear, concise, and natural.
-          `,
-        },
-        { role: "user", content: userText },
-      ],
+    //  Moderation of what was said: the user's turn is saved with its status
+    //  (flagged / blocked turns are listed for admin review, like typed messages)
+    //  at the end of the thread's active branch; blocked speech never reaches the model
+    const userId = req.user.userId;
+    const inputCheck = await moderateText(userText, textProvider);
+    const { threadId } = req.body;
+    const thread = threadId
+      ? (await Thread.findOne({ threadId, userId })) ||
+        (await Thread.create({ threadId, userId, title: userText.split(" ").slice(0, 5).join(" ") }))
+      : null;
+
+    let userMsg = null;
+    if (thread) {
+      const path = await loadActivePath({ userId, threadId });
+      const saved = await Message.create({
+        userId,
+        threadId,
+        role: "user",
+        content: userText,
+        parentId: path.length ? path[path.length - 1]._id : null,
+        moderation: toModerationField(inputCheck),
+      });
+      userMsg = { ...saved.toObject(), versionIndex: 1, versionCount: 1, siblingIds: [saved._id] };
+    }
+    if (inputCheck.status === "blocked") {
+      fs.unlink(req.file.path, () => {});
+      return res.status(422).json({
+        code: "CONTENT_BLOCKED",
+        message: "This message was blocked by content moderation.",
+        retryable: false,
+        userMsg,
+      });
+    }
+
+    // Step 3️: Get GPT reply (English only, plus the user's custom instructions,
+    //          remembered facts and the thread's own instructions)
+    const user = await loadPromptUser(userId);
+    const memories = await retrieveMemories({ userId, query: userText });
+
+    const model = getModel(thread?.model).id; // Thread's model, or the default
+    const messages = [
+      { role: "system", content: buildSystemPrompt({ base: VOICE_PROMPT, user, memories, thread }) },
+      { role: "user", content: userText },
+    ];
+    const chat = await textProvider.chat({ model, messages });
+    const usage = normalizeUsage(chat.usage) || estimateUsage(messages, chat.content);
+
+    //  Token accounting (per day, and per thread when there is one)
+    await recordUsage({
+      userId: req.user.userId,
+      threadId: thread?.threadId,
+      model,
+      usage,
+      messages: 1,
     });
 
-    const aiReply = chat.choices[0]?.message?.content || "Sorry, I didn’t understand.";
+    const spoken = chat.content || "Sorry, I didn’t understand.";
+    const check = await moderateText(spoken, textProvider);
+    const aiReply = check.status === "blocked" ? WITHHELD_REPLY : spoken;
     console.log(" AI Reply:", aiReply);
 
+    //  Save the reply under the user's turn
+    let history;
+    if (userMsg) {
+      const botMsg = await Message.create({
+        userId,
+        threadId,
+        role: "assistant",
+        content: aiReply,
+        model,
+        parentId: userMsg._id,
+        usage,
+        moderation: check.status === "blocked"
+          ? { ...toModerationField(check), original: spoken } // Withheld text stays server-side
+          : toModerationField(check),
+      });
+      const version = { versionIndex: 1, versionCount: 1 };
+      const reply = botMsg.toObject();
+      if (reply.moderation) delete reply.moderation.original;
+      history = [userMsg, { ...reply, ...version, siblingIds: [botMsg._id] }];
+    }
+
     // Step 4️: Convert GPT reply → English Voice (TTS)
     const speechFile = `uploads/reply_${Date.now()}.mp3`;
 
-    const tts = await openai.audio.speech.create({
-      model: "gpt-4o-mini-tts",
-      voice: "verse", // English natural voice
-      input: aiReply,
-    });
-
-    fs.writeFileSync(speechFile, Buffer.from(await tts.arrayBuffer()));
+    const tts = await textProvider.speech({ text: aiReply }); // English natural voice
+    fs.writeFileSync(speechFile, tts);
 
     // Step 5️: Send final response
     res.json({
@@ -112,6 +204,7 @@ router.post("/voice", upload.single("audio"), async (req, res) => {
       text: aiReply,
       language: "en",
       audioUrl: `${process.env.BASE_URL || "http://localhost:8080"}/${speechFile}`,
+      history,
     });
 
     // Step 6️: Auto cleanup after 5s
@@ -119,11 +212,10 @@ router.post("/voice", upload.single("audio"), async (req, res) => {
       fs.unlink(req.file.path, () => {});
     }, 5000);
   } catch (err) {
-    console.error(" Voice Route Error:", err.message);
-    if (err.response) {
-      console.error(" OpenAI Response:", await err.response.text());
-    }
-    res.status(500).json({ error: err.message });
+    console.error(" Voice Route Error:", err.cause || err);
+    if (req.file) fs.unlink(req.file.path, () => {});
+    const error = toApiError(err, "Voice processing failed");
+    res.status(error.status).json(errorBody(error));
   }
 });
 
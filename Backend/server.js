@@ -12,6 +12,16 @@ import { fileURLToPath } from "url";
 import chatRoutes from "./routes/chat.js";
 import authRoutes from "./routes/auth.js";
 import voiceRoute from "./routes/voiceRoute.js";
+import userRoutes from "./routes/user.js";
+import modelRoutes from "./routes/models.js";
+import memoryRoutes from "./routes/memory.js";
+import templateRoutes from "./routes/templates.js";
+import usageRoutes from "./routes/usage.js";
+import planRoutes from "./routes/plans.js";
+import adminRoutes from "./routes/admin.js";
+import attachmentRoutes from "./routes/attachments.js";
+import knowledgeRoutes from "./routes/knowledge.js";
+import searchRoutes from "./routes/search.js";
 
 // Load environment variables
 dotenv.config();
@@ -50,8 +60,9 @@ app.use(
       return callback(new Error("Not allowed by CORS"));
     },
     credentials: true,
-    methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
+    methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
     allowedHeaders: ["Content-Type", "Authorization"],
+    exposedHeaders: ["Content-Disposition", "Retry-After", "RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset", "RateLimit-Policy"],
   })
 );
 
@@ -65,6 +76,16 @@ mongoose
 
 //  API Routes
 app.use("/api/auth", authRoutes);
+app.use("/api/user", userRoutes);
+app.use("/api/models", modelRoutes);
+app.use("/api/memory", memoryRoutes);
+app.use("/api/templates", templateRoutes);
+app.use("/api/usage", usageRoutes);
+app.use("/api/plans", planRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/attachments", attachmentRoutes);
+app.use("/api/knowledge", knowledgeRoutes);
+app.use("/api/search", searchRoutes);
 app.use("/api", chatRoutes);
 app.use("/api", voiceRoute);
 
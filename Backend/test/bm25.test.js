@@ -0,0 +1,55 @@
+// Smoke tests for utils/bm25.js (tokens, term statistics, ranking)
+
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { tokenize, termStats, bm25Rank } from "../utils/bm25.js";
+
+test("tokenizes without stop words, 1-letter words or plural s", () => {
+  assert.deepEqual(tokenize("The servers are down, a class is running"), ["server", "down", "class", "running"]);
+});
+
+test("counts terms named like Object.prototype members", () => {
+  const stats = termStats("The constructor calls the constructor, then valueOf, toString and prototype");
+  assert.deepEqual(stats.terms, ["constructor", "call", "valueof", "tostring", "prototype"]);
+  assert.equal(stats.length, 6);
+  for (const count of stats.termFreqs.values()) assert.equal(typeof count, "number");
+
+  //  Found again by ranking, whatever the stored key
+  const [constructor] = bm25Rank({ queryTerms: ["constructor"], chunks: [stats], totalChunks: 10, averageLength: 6 });
+  const [prototype] = bm25Rank({ queryTerms: ["prototype"], chunks: [stats], totalChunks: 10, averageLength: 6 });
+  assert.ok(constructor.score > prototype.score); // 2 occurrences vs. 1
+});
+
+test("ranks chunks with rarer and more frequent terms first", () => {
+  const chunks = ["cache invalidation strategy", "cache warmup", "database cache cache", "unrelated text"].map(
+    (text, index) => ({ index, ...termStats(text) })
+  );
+  const ranked = bm25Rank({
+    queryTerms: ["cache", "invalidation"],
+    chunks: chunks.filter((c) => c.terms.some((t) => ["cache", "invalidation"].includes(t))),
+    totalChunks: chunks.length,
+    averageLength: 2.5,
+  });
+
+  assert.deepEqual(ranked.map(({ chunk }) => chunk.index), [0, 2, 1]);
+});
+
+test("does not score prototype-named query terms a chunk lacks", () => {
+  //  Chunks read back from MongoDB have plain-object termFreqs
+  const chunk = { termFreqs: { cache: 1 }, length: 1 };
+  const ranked = bm25Rank({
+    queryTerms: ["constructor", "cache"],
+    chunks: [chunk],
+    totalChunks: 10,
+    averageLength: 1,
+    documentFrequencies: { constructor: 0, cache: 1 },
+  });
+
+  assert.equal(ranked.length, 1);
+  assert.ok(Number.isFinite(ranked[0].score));
+  assert.deepEqual(
+    bm25Rank({ queryTerms: ["tostring"], chunks: [chunk], totalChunks: 10, averageLength: 1 }),
+    []
+  );
+});
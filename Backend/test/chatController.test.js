@@ -0,0 +1,93 @@
+// Smoke tests for the thread and message handlers of controllers/chatController.js
+// Model calls are replaced with schema validation: no database is needed.
+
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Thread from "../models/Thread.js";
+import Message from "../models/Message.js";
+import { createThread, updateThread, editMessage, selectMessageVersion } from "../controllers/chatController.js";
+
+const userId = new mongoose.Types.ObjectId().toString();
+
+//  Minimal Express response recording the status and JSON body
+const response = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+//  Thread writes only validate the document
+Thread.findOne = async () => null;
+Thread.create = async (fields) => {
+  const thread = new Thread(fields);
+  await thread.validate();
+  return thread;
+};
+Thread.findOneAndUpdate = async (filter, updates) => {
+  const thread = new Thread({ ...filter, title: "Thread", ...updates });
+  await thread.validate();
+  return thread;
+};
+
+//  Message lookups cast the id like a real query would
+Message.findOne = (filter) => {
+  const cast = async () => {
+    Message.find(filter).cast(); // Throws a CastError for malformed ids
+    return null;
+  };
+  return { lean: cast, then: (resolve, reject) => cast().then(resolve, reject) };
+};
+
+test("createThread answers a system prompt over the limit with 400", async () => {
+  const res = response();
+  await createThread(
+    { user: { userId }, body: { threadId: "t1", title: "Notes", systemPrompt: "x".repeat(5000) } },
+    res
+  );
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.code, "INVALID_THREAD");
+  assert.match(res.body.message, /systemPrompt/);
+});
+
+test("createThread saves valid settings", async () => {
+  const res = response();
+  await createThread({ user: { userId }, body: { threadId: "t2", title: "Notes", systemPrompt: "Be brief" } }, res);
+
+  assert.equal(res.statusCode, 201);
+  assert.equal(res.body.systemPrompt, "Be brief");
+});
+
+test("updateThread answers a system prompt over the limit with 400", async () => {
+  const res = response();
+  await updateThread(
+    { user: { userId }, params: { threadId: "t1" }, body: { systemPrompt: "x".repeat(5000) } },
+    res
+  );
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.code, "INVALID_THREAD");
+});
+
+test("editMessage answers a malformed message id with 404", async () => {
+  const res = response();
+  await editMessage({ user: { userId }, params: { messageId: "not-an-id" }, body: { message: "Hi" }, headers: {} }, res);
+
+  assert.equal(res.statusCode, 404);
+});
+
+test("selectMessageVersion answers a malformed message id with 404", async () => {
+  const res = response();
+  await selectMessageVersion({ user: { userId }, params: { messageId: "not-an-id" } }, res);
+
+  assert.equal(res.statusCode, 404);
+});
@@ -0,0 +1,55 @@
+// Smoke tests for knowledge base ingestion (utils/knowledgeBase.js)
+// Model writes are replaced with schema validation: no database is needed.
+
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import mongoose from "mongoose";
+import Document from "../models/Document.js";
+import Chunk from "../models/Chunk.js";
+import { ingestDocument } from "../utils/knowledgeBase.js";
+
+//  Multer-style file holding `text`
+const uploadedFile = (name, text) => {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "kb-test-")), name);
+  fs.writeFileSync(filePath, text);
+  return { originalname: name, mimetype: "text/plain", size: Buffer.byteLength(text), path: filePath };
+};
+
+test("indexes a document whose text contains Object.prototype names", async () => {
+  const saved = [];
+  Document.create = async (fields) => {
+    const document = new Document(fields);
+    await document.validate();
+    return document;
+  };
+  Chunk.insertMany = async (docs) => {
+    for (const doc of docs) {
+      const chunk = new Chunk(doc);
+      await chunk.validate();
+      saved.push(chunk);
+    }
+    return saved;
+  };
+
+  const userId = new mongoose.Types.ObjectId();
+  const file = uploadedFile("notes.md", "The constructor calls the constructor.\n\nUse valueOf and toString sparingly.");
+  const document = await ingestDocument({ userId, file });
+
+  assert.equal(document.title, "notes.md");
+  assert.equal(document.chunkCount, saved.length);
+  assert.ok(saved[0].terms.includes("constructor"));
+  assert.equal(saved[0].termFreqs.get("tostring"), 1);
+  fs.rmSync(path.dirname(file.path), { recursive: true });
+});
+
+test("rejects a document without text and deletes the upload", async () => {
+  const file = uploadedFile("empty.txt", "   ");
+
+  await assert.rejects(ingestDocument({ userId: new mongoose.Types.ObjectId(), file }), { code: "DOCUMENT_EMPTY" });
+  assert.equal(fs.existsSync(file.path), false);
+  fs.rmSync(path.dirname(file.path), { recursive: true });
+});
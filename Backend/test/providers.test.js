@@ -0,0 +1,54 @@
+// Smoke tests for the provider registry (providers/index.js) and the mock provider
+
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createMockProvider } from "../providers/mockProvider.js";
+
+//  Fresh copy of the registry (getProvider() caches its provider per module instance)
+const loadRegistry = async (env) => {
+  Object.assign(process.env, env);
+  return import(`../providers/index.js?${new URLSearchParams(env)}`);
+};
+
+test("mock provider answers, streams and embeds offline", async () => {
+  const provider = createMockProvider({ models: { chat: "mock" } });
+  const messages = [{ role: "user", content: "Hello there" }];
+
+  const { content } = await provider.chat({ messages });
+  assert.ok(content);
+
+  let streamed = "";
+  for await (const chunk of provider.chatStream({ messages })) streamed += chunk.content || "";
+  assert.equal(streamed, content);
+
+  const [a, b] = await provider.embed({ input: ["red apples", "red apples"] });
+  assert.deepEqual(a, b);
+});
+
+test("compatible provider without voice models or OpenAI key refuses voice", async () => {
+  const { getProvider } = await loadRegistry({
+    LLM_PROVIDER: "compatible",
+    OPENAI_API_KEY: "",
+    TRANSCRIPTION_MODEL: "",
+    SPEECH_MODEL: "",
+  });
+  const provider = getProvider();
+
+  assert.equal(provider.name, "compatible");
+  await assert.rejects(provider.transcribe({ filePath: "missing.webm" }), { code: "VOICE_UNAVAILABLE", status: 503 });
+  await assert.rejects(provider.speech({ text: "hi" }), { code: "VOICE_UNAVAILABLE" });
+});
+
+test("compatible provider sends voice to OpenAI unless its own models are set", async () => {
+  const { getProvider } = await loadRegistry({
+    LLM_PROVIDER: "compatible",
+    OPENAI_API_KEY: "sk-test",
+    TRANSCRIPTION_MODEL: "whisper-large-v3",
+    SPEECH_MODEL: "",
+  });
+  const provider = getProvider();
+
+  assert.equal(provider.models.transcription, "whisper-large-v3");
+  assert.equal(provider.models.speech, "gpt-4o-mini-tts");
+});
@@ -0,0 +1,47 @@
+// Smoke tests for middleware/rateLimit.js (in-memory store)
+
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+//  A per-minute and a per-hour limit for the same client (read when the config loads)
+process.env.RATE_LIMIT_STORE = "memory";
+process.env.RATE_LIMITS_JSON = JSON.stringify({
+  chat: [
+    { by: "user", max: 2, windowMs: 60 * 1000 },
+    { by: "user", max: 3, windowMs: 60 * 60 * 1000 },
+  ],
+});
+const { rateLimit } = await import("../middleware/rateLimit.js");
+
+//  Runs the middleware once; resolves with the status (200 when it called next())
+const hit = (middleware, userId) =>
+  new Promise((resolve) => {
+    const res = {
+      headers: {},
+      set(name, value) {
+        Object.assign(this.headers, typeof name === "string" ? { [name]: value } : name);
+        return this;
+      },
+      status(code) {
+        resolve({ status: code, headers: this.headers });
+        return { json: () => {} };
+      },
+    };
+    middleware({ ip: "127.0.0.1", user: { userId } }, res, () => resolve({ status: 200, headers: res.headers }));
+  });
+
+test("counts limits with the same key type but different windows apart", async () => {
+  const limited = rateLimit("chat");
+
+  const first = await hit(limited, "u1");
+  assert.equal(first.status, 200);
+  assert.equal(first.headers["RateLimit-Remaining"], "1"); // Per-minute: 1 left, per-hour: 2 left
+
+  assert.equal((await hit(limited, "u1")).status, 200);
+  const third = await hit(limited, "u1");
+  assert.equal(third.status, 429);
+  assert.ok(Number(third.headers["Retry-After"]) <= 60); // Only the per-minute limit is exceeded
+
+  assert.equal((await hit(limited, "u2")).status, 200); // Other users keep their own counters
+});
@@ -0,0 +1,47 @@
+// Smoke tests for utils/redaction.js (placeholders out, original values back)
+
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRedactor, withRedaction } from "../utils/redaction.js";
+
+test("replaces emails, phones, keys and cards with placeholders and restores them", () => {
+  const redactor = createRedactor();
+  const text = "Mail jane@example.com or call +49 30 1234 5678, key sk-abcdefghijklmnopqrstuvwx, card 4242 4242 4242 4242";
+  const redacted = redactor.redact(text);
+
+  assert.equal(redacted, "Mail [EMAIL_1] or call [PHONE_1], key [API_KEY_1], card [CARD_1]");
+  assert.equal(redactor.restore(redacted), text);
+});
+
+test("leaves digit runs that are not card numbers alone", () => {
+  const redactor = createRedactor();
+  assert.equal(redactor.redact("Order 1234 5678 9012 3456 shipped"), "Order 1234 5678 9012 3456 shipped");
+});
+
+test("sends redacted prompts and restores replies, streams included", async () => {
+  const sent = [];
+  const provider = withRedaction({
+    name: "stub",
+    async chat({ messages }) {
+      sent.push(messages);
+      return { content: "Sure, I'll write to [EMAIL_1].", toolCalls: [] };
+    },
+    async *chatStream({ messages }) {
+      sent.push(messages);
+      yield { content: "Writing to [EMA" };
+      yield { content: "IL_1] now" };
+    },
+    async speech() {},
+  });
+  const messages = [{ role: "user", content: "Email jane@example.com please" }];
+
+  const reply = await provider.chat({ messages });
+  assert.equal(reply.content, "Sure, I'll write to jane@example.com.");
+  assert.equal(sent[0].at(-1).content, "Email [EMAIL_1] please");
+  assert.equal(sent[0][0].role, "system"); // Placeholder note added
+
+  let streamed = "";
+  for await (const chunk of provider.chatStream({ messages })) streamed += chunk.content;
+  assert.equal(streamed, "Writing to jane@example.com now");
+});
@@ -0,0 +1,109 @@
+// Smoke tests for providers/resilience.js (retries, timeouts, circuit breaker)
+
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { withResilience } from "../providers/resilience.js";
+
+//  Fast settings so the tests don't wait on real backoff / cooldowns
+const FAST = { timeoutMs: 50, retries: 2, baseDelayMs: 1, maxDelayMs: 1, breakerThreshold: 2, breakerCooldownMs: 30 };
+
+//  SDK-style error with an HTTP status
+const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { status });
+
+//  Provider whose chat() runs the given handlers in turn (the last one repeats)
+const stubProvider = (...handlers) => {
+  let calls = 0;
+  return {
+    name: "stub",
+    get calls() {
+      return calls;
+    },
+    async chat({ signal }) {
+      const handler = handlers[Math.min(calls++, handlers.length - 1)];
+      return handler(signal);
+    },
+    async *chatStream() {
+      calls++;
+      yield { content: "a" };
+      yield { content: "b" };
+    },
+    async transcribe() {},
+    async speech() {},
+  };
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("retries 5xx errors and returns the first success", async () => {
+  const stub = stubProvider(
+    () => { throw httpError(503); },
+    () => ({ content: "ok" })
+  );
+  const provider = withResilience(stub, FAST);
+
+  assert.deepEqual(await provider.chat({ messages: [] }), { content: "ok" });
+  assert.equal(stub.calls, 2);
+});
+
+test("does not retry rejected requests", async () => {
+  const stub = stubProvider(() => { throw httpError(400); });
+  const provider = withResilience(stub, FAST);
+
+  await assert.rejects(provider.chat({ messages: [] }), { code: "PROVIDER_REJECTED", status: 400 });
+  assert.equal(stub.calls, 1);
+});
+
+test("times out attempts that hang", async () => {
+  const hang = (signal) => new Promise((_, reject) => signal.addEventListener("abort", () => reject(signal.reason)));
+  const provider = withResilience(stubProvider(hang), { ...FAST, retries: 0 });
+
+  await assert.rejects(provider.chat({ messages: [] }), { code: "PROVIDER_TIMEOUT" });
+});
+
+test("opens the breaker after repeated failures and closes it after a successful trial", async () => {
+  let healthy = false;
+  const stub = stubProvider(() => {
+    if (!healthy) throw httpError(500);
+    return { content: "back" };
+  });
+  const provider = withResilience(stub, { ...FAST, retries: 0 });
+
+  await assert.rejects(provider.chat({ messages: [] }), { code: "PROVIDER_ERROR" });
+  await assert.rejects(provider.chat({ messages: [] }), { code: "PROVIDER_ERROR" });
+  await assert.rejects(provider.chat({ messages: [] }), { code: "PROVIDER_UNAVAILABLE" });
+  assert.equal(stub.calls, 2);
+
+  healthy = true;
+  await wait(FAST.breakerCooldownMs + 10);
+  assert.deepEqual(await provider.chat({ messages: [] }), { content: "back" });
+  assert.deepEqual(await provider.chat({ messages: [] }), { content: "back" });
+});
+
+test("releases the half-open trial when the caller aborts it or leaves a stream early", async () => {
+  const hang = (signal) => new Promise((_, reject) => signal.addEventListener("abort", () => reject(signal.reason)));
+  const stub = stubProvider(
+    () => { throw httpError(500); },
+    () => { throw httpError(500); },
+    hang
+  );
+  const provider = withResilience(stub, { ...FAST, retries: 0, timeoutMs: 1000 });
+  await assert.rejects(provider.chat({ messages: [] }));
+  await assert.rejects(provider.chat({ messages: [] }));
+  await wait(FAST.breakerCooldownMs + 10);
+
+  //  Aborted trial → the next call becomes the trial instead of failing fast
+  const controller = new AbortController();
+  const trial = provider.chat({ messages: [], signal: controller.signal });
+  controller.abort();
+  await assert.rejects(trial, { name: "AbortError" });
+
+  //  Stream trial left after the first chunk → same
+  for await (const chunk of provider.chatStream({ messages: [] })) {
+    assert.deepEqual(chunk, { content: "a" });
+    break;
+  }
+  const chunks = [];
+  for await (const chunk of provider.chatStream({ messages: [] })) chunks.push(chunk.content);
+  assert.deepEqual(chunks, ["a", "b"]);
+});
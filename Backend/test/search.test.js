@@ -0,0 +1,56 @@
+// Smoke tests for utils/search.js (active-branch filtering, highlights)
+// Model queries are replaced with fixed results: no database is needed.
+
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Message from "../models/Message.js";
+import Thread from "../models/Thread.js";
+import { searchConversations, highlightSnippet, highlightPattern, SEARCH_MAX_RESULTS } from "../utils/search.js";
+import { search } from "../controllers/searchController.js";
+
+//  Chainable query resolving to `value`
+const query = (value) => ({
+  sort: () => query(value),
+  select: () => query(value),
+  limit: () => query(value),
+  lean: () => query(value),
+  then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+});
+
+const id = () => new mongoose.Types.ObjectId();
+const at = (minute) => new Date(Date.UTC(2024, 0, 1, 0, minute));
+
+test("leaves out matches below an unselected version", async () => {
+  //  question → old reply (unselected) → follow-up mentioning kubernetes
+  //           → new reply (selected) mentioning kubernetes
+  const question = { _id: id(), threadId: "t", role: "user", parentId: null, createdAt: at(0) };
+  const oldReply = { _id: id(), threadId: "t", role: "assistant", parentId: question._id, selected: false, createdAt: at(1) };
+  const followUp = { _id: id(), threadId: "t", role: "user", parentId: oldReply._id, createdAt: at(2), content: "kubernetes again" };
+  const newReply = { _id: id(), threadId: "t", role: "assistant", parentId: question._id, createdAt: at(3), content: "Use kubernetes" };
+
+  Message.find = (filter) => query(filter.$text ? [followUp, newReply] : [question, oldReply, followUp, newReply]);
+  Thread.find = (filter) => query(filter.$text ? [] : [{ threadId: "t", title: "Deploy" }]);
+
+  const { messages } = await searchConversations({ userId: id(), query: "kubernetes" });
+  assert.deepEqual(messages.map((m) => m.messageId), [newReply._id]);
+});
+
+test("highlights every word form of the query in the snippet", () => {
+  const { snippet, highlights } = highlightSnippet("We deployed it, then deploying again", highlightPattern("deploy"));
+  assert.deepEqual(highlights.map(([start, end]) => snippet.slice(start, end)), ["deployed", "deploying"]);
+});
+
+test("clamps the requested number of results to 1 – SEARCH_MAX_RESULTS", async () => {
+  const limits = [];
+  Message.find = () => ({ ...query([]), sort: () => ({ limit: (n) => (limits.push(n), query([])) }) });
+  Thread.find = () => query([]);
+  const res = { status: () => res, json: () => res };
+
+  for (const limit of ["-5", "500"]) {
+    await search({ user: { userId: String(id()) }, query: { q: "kubernetes", limit } }, res);
+  }
+  assert.ok(limits[0] > 0);
+  assert.equal(limits[1] / limits[0], SEARCH_MAX_RESULTS); // Same candidate factor for 1 and the maximum
+});
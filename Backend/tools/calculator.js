@@ -0,0 +1,135 @@
+// Calculator tool
+// Evaluates arithmetic expressions exactly instead of letting the model guess.
+// The expression is parsed by a small recursive-descent parser (no eval):
+//   numbers, + - * / % ^, parentheses, unary minus,
+//   functions sqrt abs round floor ceil sin cos tan log ln, constants pi e
+
+
+//  Functions and constants allowed in expressions
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  log: Math.log10,
+  ln: Math.log,
+};
+const CONSTANTS = { pi: Math.PI, e: Math.E };
+
+//  Splits an expression into number / name / operator tokens
+const tokenize = (expression) => {
+  const tokens = expression.match(/\d*\.?\d+(?:e[+-]?\d+)?|[a-z]+|\*\*|[-+*/%^()]|\S/gi) || [];
+  return tokens.map((token) => (token === "**" ? "^" : token.toLowerCase()));
+};
+
+/**
+ *  Evaluates an arithmetic expression
+ * @param {string} expression - e.g. "(12.5 * 4) ^ 2 / sqrt(16)"
+ * @returns {number}
+ * @throws {Error} - On syntax errors or non-finite results
+ */
+export const evaluate = (expression) => {
+  const tokens = tokenize(String(expression));
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const expect = (token) => {
+    if (next() !== token) throw new Error(`Expected "${token}"`);
+  };
+
+  //  expression := term (("+" | "-") term)*
+  const parseExpression = () => {
+    let value = parseTerm();
+    while (peek() === "+" || peek() === "-") {
+      value = next() === "+" ? value + parseTerm() : value - parseTerm();
+    }
+    return value;
+  };
+
+  //  term := unary (("*" | "/" | "%") unary)*
+  const parseTerm = () => {
+    let value = parseUnary();
+    while (["*", "/", "%"].includes(peek())) {
+      const op = next();
+      const right = parseUnary();
+      value = op === "*" ? value * right : op === "/" ? value / right : value % right;
+    }
+    return value;
+  };
+
+  //  unary := ("-" | "+") unary | power   (so -2^2 = -4)
+  const parseUnary = () => {
+    if (peek() === "-") {
+      next();
+      return -parseUnary();
+    }
+    if (peek() === "+") {
+      next();
+      return parseUnary();
+    }
+    return parsePower();
+  };
+
+  //  power := primary ("^" unary)?   (right-associative)
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (peek() === "^") {
+      next();
+      return base ** parseUnary();
+    }
+    return base;
+  };
+
+  //  primary := number | constant | function "(" expression ")" | "(" expression ")"
+  const parsePrimary = () => {
+    const token = next();
+    if (token === undefined) throw new Error("Unexpected end of expression");
+
+    if (/^\d*\.?\d+/.test(token)) return Number(token);
+    if (token in CONSTANTS) return CONSTANTS[token];
+    if (token in FUNCTIONS) {
+      expect("(");
+      const value = FUNCTIONS[token](parseExpression());
+      expect(")");
+      return value;
+    }
+    if (token === "(") {
+      const value = parseExpression();
+      expect(")");
+      return value;
+    }
+    throw new Error(`Unexpected "${token}"`);
+  };
+
+  const result = parseExpression();
+  if (pos < tokens.length) throw new Error(`Unexpected "${peek()}"`);
+  if (!Number.isFinite(result)) throw new Error("Result is not a finite number");
+  return result;
+};
+
+export default {
+  name: "calculator",
+  description:
+    "Evaluate an arithmetic expression exactly. Supports + - * / % ^, parentheses " +
+    "and sqrt, abs, round, floor, ceil, sin, cos, tan, log (base 10), ln, pi, e.",
+  parameters: {
+    type: "object",
+    properties: {
+      expression: { type: "string", description: 'Expression to evaluate, e.g. "(3 + 4) * 2^10"' },
+    },
+    required: ["expression"],
+  },
+
+  async run({ expression }) {
+    if (typeof expression !== "string" || !expression.trim()) {
+      throw new Error("expression is required");
+    }
+    //  Round away floating point noise (0.1 + 0.2 → 0.3)
+    return { expression, result: Number(evaluate(expression).toPrecision(15)) };
+  },
+};
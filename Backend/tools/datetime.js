@@ -0,0 +1,28 @@
+// Date & time tool
+// Gives the model the real current date/time (it has no clock of its own),
+// optionally in a given IANA time zone.
+
+
+export default {
+  name: "current_datetime",
+  description: "Get the current date and time, optionally in a specific IANA time zone.",
+  parameters: {
+    type: "object",
+    properties: {
+      timeZone: { type: "string", description: 'IANA time zone, e.g. "Europe/Paris" (defaults to UTC)' },
+    },
+  },
+
+  async run({ timeZone = "UTC" } = {}) {
+    const now = new Date();
+
+    //  Throws a RangeError for unknown zones (reported back to the model)
+    const formatted = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      dateStyle: "full",
+      timeStyle: "long",
+    }).format(now);
+
+    return { iso: now.toISOString(), timeZone, formatted };
+  },
+};
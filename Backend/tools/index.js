@@ -0,0 +1,45 @@
+// Tool registry
+// Server-side tools the model may call during a chat completion.
+// Every tool module exports { name, description, parameters, run(args, context) }:
+//   parameters → JSON Schema of the arguments (advertised to the model)
+//   run()      → resolves to a JSON-serialisable result; throwing reports
+//                the error back to the model so it can recover
+//   context    → { userId, threadId } of the request
+//
+// Add a tool by writing a module like the ones below and listing it in TOOLS.
+
+
+import calculator from "./calculator.js";
+import datetime from "./datetime.js";
+import searchThreads from "./searchThreads.js";
+
+//  Registered tools by name
+const TOOLS = new Map([calculator, datetime, searchThreads].map((tool) => [tool.name, tool]));
+
+/**
+ *  Tool definitions in the OpenAI "tools" format
+ * @returns {Array<object>}
+ */
+export const toolDefinitions = () =>
+  [...TOOLS.values()].map(({ name, description, parameters }) => ({
+    type: "function",
+    function: { name, description, parameters },
+  }));
+
+/**
+ *  Runs one tool call requested by the model
+ * @param {{ id: string, name: string, arguments: string }} call - Call from the provider
+ * @param {{ userId: string, threadId: string }} context - Request context
+ * @returns {Promise<string>} - JSON result (or { error }) sent back to the model
+ */
+export const runToolCall = async (call, context) => {
+  const tool = TOOLS.get(call.name);
+  if (!tool) return JSON.stringify({ error: `Unknown tool: ${call.name}` });
+
+  try {
+    const args = call.arguments ? JSON.parse(call.arguments) : {};
+    return JSON.stringify(await tool.run(args, context));
+  } catch (err) {
+    return JSON.stringify({ error: err.message });
+  }
+};
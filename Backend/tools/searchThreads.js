@@ -0,0 +1,77 @@
+// Thread search tool
+// Lets the model look up what was said in the user's other conversations
+// (e.g. "what did we decide about the database last week?").
+// Only searches the calling user's own messages, in threads that still exist.
+
+
+import Message from "../models/Message.js";
+import Thread from "../models/Thread.js";
+import { notBlockedFilter } from "../utils/moderation.js";
+
+//  Maximum matches returned to the model
+const MAX_RESULTS = 5;
+
+//  Characters of context kept around a match
+const SNIPPET_RADIUS = 120;
+
+//  Escapes user text for use inside a RegExp
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+//  Cuts a snippet of the message around the first match
+const snippetOf = (content, pattern) => {
+  const index = Math.max(content.search(pattern), 0);
+  const start = Math.max(index - SNIPPET_RADIUS, 0);
+  const end = Math.min(index + SNIPPET_RADIUS, content.length);
+  return `${start > 0 ? "…" : ""}${content.slice(start, end)}${end < content.length ? "…" : ""}`;
+};
+
+export default {
+  name: "search_threads",
+  description:
+    "Search the user's previous conversations (other threads) for a word or phrase. " +
+    "Returns matching message snippets with their thread titles.",
+  parameters: {
+    type: "object",
+    properties: {
+      query: { type: "string", description: "Word or phrase to look for" },
+    },
+    required: ["query"],
+  },
+
+  async run({ query }, { userId, threadId }) {
+    if (typeof query !== "string" || !query.trim()) {
+      throw new Error("query is required");
+    }
+
+    //  Other threads of the user (the current one is already in context)
+    const threadIds = await Thread.find({ userId, threadId: { $ne: threadId } }).distinct("threadId");
+
+    const pattern = new RegExp(escapeRegExp(query.trim()), "i");
+    const messages = await Message.find({
+      userId,
+      threadId: { $in: threadIds },      // Skips leftovers of deleted threads
+      role: { $in: ["user", "assistant"] },
+      stepOf: null,                      // Skip tool steps
+      content: pattern,
+      ...notBlockedFilter,               // Blocked messages never reach the model
+    })
+      .sort({ createdAt: -1 })
+      .limit(MAX_RESULTS)
+      .lean();
+
+    const threads = await Thread.find({ userId, threadId: { $in: messages.map((m) => m.threadId) } })
+      .select("threadId title")
+      .lean();
+    const titles = new Map(threads.map((t) => [t.threadId, t.title]));
+
+    return {
+      query,
+      results: messages.map((m) => ({
+        thread: titles.get(m.threadId) || "Untitled",
+        role: m.role,
+        date: m.createdAt,
+        snippet: snippetOf(m.content, pattern),
+      })),
+    };
+  },
+};
@@ -0,0 +1,401 @@
+
+// File attachments for chat messages
+//   Accepted files: plain text, Markdown, source code, CSV, PDF and images
+//   Extracts their text when they are uploaded (PDF through pdf-parse)
+//   Adds that text to the model context next to the message it came with;
+//   files too large for the budget are split into chunks and only the chunks
+//   most relevant to the current question are sent
+//   Sends images as image parts to vision models (registry flag `vision`);
+//   text-only models refuse new images
+//   Removes stored files when their thread is deleted
+
+
+import "dotenv/config";
+import fs from "fs";
+import path from "path";
+import { PDFParse } from "pdf-parse";
+import Attachment from "../models/Attachment.js";
+import { ApiError } from "./errors.js";
+import { keywords } from "./memory.js";
+import { estimateTokens } from "./tokenCounter.js";
+
+//  Upload limits and context budget (configurable through .env)
+export const ATTACHMENT_DIR = process.env.ATTACHMENT_DIR || "attachments";
+export const ATTACHMENT_MAX_FILES = parseInt(process.env.ATTACHMENT_MAX_FILES, 10) || 5;
+export const ATTACHMENT_MAX_BYTES =
+  (parseFloat(process.env.ATTACHMENT_MAX_MB) || 10) * 1024 * 1024;
+export const ATTACHMENT_TOKEN_BUDGET =
+  parseInt(process.env.ATTACHMENT_TOKEN_BUDGET, 10) || 3000;
+
+//  Characters of extracted text kept per file
+const ATTACHMENT_TEXT_LIMIT = parseInt(process.env.ATTACHMENT_TEXT_LIMIT, 10) || 200000;
+
+//  Images sent with one request (newest first; older ones are named only)
+const ATTACHMENT_CONTEXT_IMAGES = parseInt(process.env.ATTACHMENT_CONTEXT_IMAGES, 10) || 4;
+
+//  Size of the pieces a long file is split into (tokens)
+const CHUNK_TOKENS = 400;
+const CHUNK_CHARS = CHUNK_TOKENS * 4;
+
+//  File extension → kind
+const CODE_EXTENSIONS =
+  "js jsx mjs cjs ts tsx py rb php java kt kts scala go rs c h cc cpp hpp cs swift m sh bash zsh ps1 sql r lua pl dart vue svelte html htm css scss less json yaml yml toml ini cfg xml graphql proto dockerfile makefile";
+
+const FILE_KINDS = {
+  txt: "text",
+  log: "text",
+  md: "markdown",
+  markdown: "markdown",
+  csv: "csv",
+  tsv: "csv",
+  pdf: "pdf",
+  png: "image",
+  jpg: "image",
+  jpeg: "image",
+  gif: "image",
+  webp: "image",
+  ...Object.fromEntries(CODE_EXTENSIONS.split(" ").map((ext) => [ext, "code"])),
+};
+
+/**
+ *  Kind of file an upload is, from its name
+ *  (extension-less files such as "Dockerfile" or "Makefile" are matched by name)
+ * @param {string} filename
+ * @returns {string|null} - text | markdown | code | csv | pdf | image, or null when not accepted
+ */
+export const attachmentKind = (filename = "") => {
+  const base = path.basename(filename).toLowerCase();
+  const ext = path.extname(base).slice(1) || base;
+  return FILE_KINDS[ext] || null;
+};
+
+
+//  TEXT EXTRACTION
+
+//  Image formats vision models accept, recognised by their first bytes
+const IMAGE_SIGNATURES = [
+  { mimeType: "image/png", matches: (b) => b.subarray(0, 4).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47])) },
+  { mimeType: "image/jpeg", matches: (b) => b.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])) },
+  { mimeType: "image/gif", matches: (b) => b.subarray(0, 4).toString("latin1") === "GIF8" },
+  {
+    mimeType: "image/webp",
+    matches: (b) => b.subarray(0, 4).toString("latin1") === "RIFF" && b.subarray(8, 12).toString("latin1") === "WEBP",
+  },
+];
+
+/**
+ *  Checks that an uploaded image really is a PNG, JPEG, GIF or WebP
+ * @param {{ path: string, originalname: string }} file - Multer file
+ * @returns {Promise<string>} - Detected MIME type
+ * @throws {ApiError} ATTACHMENT_UNREADABLE for anything else
+ */
+export const detectImageType = async (file) => {
+  const buffer = await fs.promises.readFile(file.path);
+  const match = IMAGE_SIGNATURES.find((signature) => signature.matches(buffer));
+  if (match) return match.mimeType;
+
+  throw new ApiError({
+    code: "ATTACHMENT_UNREADABLE",
+    message: `${file.originalname} is not a PNG, JPEG, GIF or WebP image.`,
+    status: 400,
+  });
+};
+
+//  Reads the text of a PDF
+const readPdf = async (buffer) => {
+  const parser = new PDFParse({ data: buffer });
+  try {
+    const { text } = await parser.getText();
+    return text;
+  } finally {
+    await parser.destroy();
+  }
+};
+
+/**
+ *  Extracts the text of an uploaded file
+ * @param {{ path: string, originalname: string }} file - Multer file
+ * @param {string} kind - See attachmentKind
+ * @returns {Promise<string>}
+ * @throws {ApiError} ATTACHMENT_UNREADABLE when the file has no readable text
+ */
+export const extractText = async (file, kind) => {
+  const unreadable = (cause) =>
+    new ApiError({
+      code: "ATTACHMENT_UNREADABLE",
+      message: `Could not read the text of ${file.originalname}.`,
+      status: 400,
+      cause,
+    });
+
+  const buffer = await fs.promises.readFile(file.path);
+
+  if (kind === "pdf") {
+    try {
+      return (await readPdf(buffer)).trim();
+    } catch (err) {
+      throw unreadable(err);
+    }
+  }
+
+  //  Text formats must be UTF-8 text (binary files contain NUL bytes)
+  if (buffer.includes(0)) throw unreadable();
+  return buffer.toString("utf8").replace(/^\uFEFF/, "").trim();
+};
+
+
+//  STORING
+
+/**
+ *  Extracts the text of every uploaded file (images are only checked).
+ *  Runs before the message is saved, so an unreadable file rejects the whole request.
+ * @param {Array<object>} [files] - Multer files (req.files)
+ * @returns {Promise<Array<object>>} - Files with kind, mimeType, text and truncated
+ */
+export const readAttachments = async (files = []) => {
+  const read = [];
+  for (const file of files) {
+    const kind = attachmentKind(file.originalname);
+    if (kind === "image") {
+      read.push({ file, kind, mimeType: await detectImageType(file), text: "", truncated: false });
+      continue;
+    }
+
+    const text = await extractText(file, kind);
+    read.push({
+      file,
+      kind,
+      mimeType: file.mimetype,
+      text: text.slice(0, ATTACHMENT_TEXT_LIMIT),
+      truncated: text.length > ATTACHMENT_TEXT_LIMIT,
+    });
+  }
+  return read;
+};
+
+/**
+ *  Saves attachment records for a user message
+ * @param {object} options
+ * @param {string} options.userId
+ * @param {string} options.threadId
+ * @param {*} options.messageId - Id the user message is (or will be) saved with
+ * @param {Array<object>} options.attachments - Result of readAttachments
+ * @returns {Promise<Array<object>>} - Summaries stored on the message
+ *   ({ _id, name, mimeType, size, kind, truncated })
+ */
+export const saveAttachments = async ({ userId, threadId, messageId, attachments }) => {
+  if (!attachments.length) return [];
+
+  const docs = await Attachment.insertMany(
+    attachments.map(({ file, kind, mimeType, text, truncated }) => ({
+      userId,
+      threadId,
+      messageId,
+      name: file.originalname,
+      mimeType,
+      size: file.size,
+      kind,
+      path: file.path,
+      text,
+      truncated,
+    }))
+  );
+
+  return docs.map(({ _id, name, mimeType, size, kind, truncated }) => ({
+    _id,
+    name,
+    mimeType,
+    size,
+    kind,
+    truncated,
+  }));
+};
+
+/**
+ *  Refuses images for a model that cannot read them
+ * @param {object} model - Registry entry (config/models.js)
+ * @param {Array<{ kind: string }>} [attachments] - Attachments of the message to answer
+ * @throws {ApiError} VISION_NOT_SUPPORTED
+ */
+export const assertVision = (model, attachments = []) => {
+  if (model.vision || !attachments.some((a) => a.kind === "image")) return;
+
+  throw new ApiError({
+    code: "VISION_NOT_SUPPORTED",
+    message: `${model.name} can't read images. Switch to a model with image support or remove the image.`,
+    status: 400,
+  });
+};
+
+/**
+ *  Deletes uploaded files that were not saved as attachments
+ * @param {Array<object>} [files] - Multer files (req.files)
+ */
+export const discardUploads = (files = []) => {
+  for (const file of files) fs.unlink(file.path, () => {});
+};
+
+/**
+ *  Deletes attachment records and their files
+ * @param {object} filter - e.g. { userId, threadId }
+ */
+export const deleteAttachments = async (filter) => {
+  const attachments = await Attachment.find(filter).select("+path").lean();
+  if (!attachments.length) return;
+
+  await Attachment.deleteMany({ _id: { $in: attachments.map((a) => a._id) } });
+  discardUploads(attachments);
+};
+
+
+//  MODEL CONTEXT
+
+/**
+ *  Splits text into pieces of about maxChars, cutting at line breaks when possible
+ *  (also used to index knowledge base documents)
+ * @param {string} text
+ * @param {number} [maxChars]
+ * @returns {Array<string>}
+ */
+export const chunkText = (text, maxChars = CHUNK_CHARS) => {
+  const chunks = [];
+  let current = "";
+
+  for (const line of text.split("\n")) {
+    //  Very long lines (minified code, PDFs without breaks) are cut as they are
+    for (let start = 0; start === 0 || start < line.length; start += maxChars) {
+      const piece = line.slice(start, start + maxChars);
+      if (current && current.length + piece.length + 1 > maxChars) {
+        chunks.push(current);
+        current = "";
+      }
+      current = current ? `${current}\n${piece}` : piece;
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks;
+};
+
+//  Renders the parts of a file that made it into the prompt
+const formatAttachment = (attachment, chunks, picked) => {
+  const complete = picked.size === chunks.length && !attachment.truncated;
+  const header = `--- Attached file: ${attachment.name}${complete ? "" : " (excerpts)"} ---`;
+
+  if (!chunks.length) return `${header}\n[No text could be extracted]\n--- End of ${attachment.name} ---`;
+
+  const parts = [];
+  chunks.forEach((chunk, i) => {
+    if (picked.has(i)) parts.push(chunk);
+    else if (i === 0 || picked.has(i - 1)) parts.push("[…]");
+  });
+  if (attachment.truncated && picked.has(chunks.length - 1)) parts.push("[…]");
+
+  return `${header}\n${parts.join("\n")}\n--- End of ${attachment.name} ---`;
+};
+
+/**
+ *  Adds the text of attached files to the user messages they were sent with.
+ *  Everything is included when it fits the budget; otherwise each file is
+ *  split into chunks and the budget goes to (in order) the opening chunk of
+ *  every file, then the chunks sharing the most keywords with the question,
+ *  preferring files attached to the message being answered.
+ *  Vision models also get the newest ATTACHMENT_CONTEXT_IMAGES images as image
+ *  parts (the message content becomes [{ type: "text" }, { type: "image_url" }…]);
+ *  other images are only named.
+ * @param {Array<object>} messages - Messages of the branch (with attachments summaries)
+ * @param {object} [options]
+ * @param {string} [options.query] - Message being answered
+ * @param {number} [options.budget] - Tokens available for attachment text
+ * @param {boolean} [options.vision] - The model accepts images
+ * @returns {Promise<Array<object>>} - Same messages, attachment text appended to content
+ */
+export const withAttachments = async (
+  messages,
+  { query = "", budget = ATTACHMENT_TOKEN_BUDGET, vision = false } = {}
+) => {
+  const ids = messages.flatMap((m) => (m.role === "user" ? m.attachments || [] : []).map((a) => a._id));
+  if (!ids.length) return messages;
+
+  const docs = await Attachment.find({ _id: { $in: ids } }).select("+text +path").lean();
+  const byId = new Map(docs.map((doc) => [String(doc._id), doc]));
+
+  //  Every chunk of every file and the images to show, newest message first
+  const files = [];
+  const candidates = [];
+  const shownImages = [];
+  const words = keywords(query);
+  [...messages].reverse().forEach((message, age) => {
+    for (const { _id } of message.attachments || []) {
+      const doc = byId.get(String(_id));
+      if (!doc || message.role !== "user") continue;
+
+      if (doc.kind === "image") {
+        if (vision && shownImages.length < ATTACHMENT_CONTEXT_IMAGES) shownImages.push(doc);
+        continue;
+      }
+
+      const chunks = chunkText(doc.text);
+      const file = { doc, chunks, picked: new Set() };
+      files.push(file);
+
+      chunks.forEach((chunk, index) => {
+        let score = 0;
+        for (const word of keywords(chunk)) if (words.has(word)) score++;
+        candidates.push({ file, index, age, score, tokens: estimateTokens(chunk) });
+      });
+    }
+  });
+
+  //  Fill the budget: file openings first, then the best matches
+  candidates.sort(
+    (a, b) =>
+      (a.index === 0 ? 0 : 1) - (b.index === 0 ? 0 : 1) ||
+      b.score - a.score ||
+      a.age - b.age ||
+      a.index - b.index
+  );
+  let left = budget;
+  for (const candidate of candidates) {
+    if (candidate.tokens > left) continue;
+    candidate.file.picked.add(candidate.index);
+    left -= candidate.tokens;
+  }
+
+  //  Images as data URLs (a file missing from disk is only named)
+  const imageUrls = new Map();
+  await Promise.all(
+    shownImages.map(async (doc) => {
+      try {
+        const data = await fs.promises.readFile(doc.path);
+        imageUrls.set(String(doc._id), `data:${doc.mimeType};base64,${data.toString("base64")}`);
+      } catch (err) {
+        console.error("Attachment image read error:", err.message);
+      }
+    })
+  );
+
+  //  Attach the rendered files to their messages
+  const rendered = new Map(
+    files.map(({ doc, chunks, picked }) => [String(doc._id), formatAttachment(doc, chunks, picked)])
+  );
+  const imageNote = (doc) =>
+    `[Image attached: ${doc.name}${vision ? " (not included in this request)" : " (this model can't see images)"}]`;
+
+  return messages.map((message) => {
+    if (message.role !== "user" || !message.attachments?.length) return message;
+
+    const blocks = [];
+    const images = [];
+    for (const { _id } of message.attachments) {
+      const id = String(_id);
+      const doc = byId.get(id);
+      if (imageUrls.has(id)) images.push({ type: "image_url", image_url: { url: imageUrls.get(id) } });
+      else if (rendered.has(id)) blocks.push(rendered.get(id));
+      else if (doc?.kind === "image") blocks.push(imageNote(doc));
+    }
+
+    const text = [message.content, ...blocks].filter(Boolean).join("\n\n");
+    if (!images.length) return blocks.length ? { ...message, content: text } : message;
+    return { ...message, content: [...(text ? [{ type: "text", text }] : []), ...images] };
+  });
+};
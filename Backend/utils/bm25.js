@@ -0,0 +1,95 @@
+
+// BM25 lexical ranking
+// Scores text chunks against a query by the terms they share, weighting
+// rare terms higher and normalising for chunk length. Runs locally: no
+// embedding service is needed for the knowledge base to work.
+
+
+//  Standard BM25 parameters
+//   K1 → how quickly repeated terms stop adding to the score
+//   B  → how strongly long chunks are penalised
+const K1 = 1.2;
+const B = 0.75;
+
+//  Words too common to tell chunks apart
+const STOP_WORDS = new Set(
+  "a an and are as at be been but by can could did do does for from had has have how i if in into is it its me my no not of on or our so such than that the their them then there these they this to too up us was we were what when where which who why will with would you your".split(" ")
+);
+
+/**
+ *  Splits text into lower-case terms (stop words and 1-letter words left out).
+ *  A trailing plural "s" is dropped so "servers" matches "server".
+ * @param {string} text
+ * @returns {Array<string>} - Terms in order (repeats kept)
+ */
+export const tokenize = (text = "") =>
+  text
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((word) => word.length > 1 && !STOP_WORDS.has(word))
+    .map((word) => (word.length > 3 && word.endsWith("s") && !word.endsWith("ss") ? word.slice(0, -1) : word));
+
+//  Terms Mongoose refuses as Map keys, stored with a "_" suffix in termFreqs
+//  (tokens never contain "_", so the stored keys can't collide with real terms)
+const RESERVED_KEYS = new Set(["constructor", "prototype"]);
+const termKey = (term) => (RESERVED_KEYS.has(term) ? `${term}_` : term);
+
+/**
+ *  Term statistics stored with a chunk
+ * @param {string} text
+ * @returns {{ terms: Array<string>, termFreqs: Map<string, number>, length: number }}
+ */
+export const termStats = (text) => {
+  const tokens = tokenize(text);
+  const counts = new Map(); // Not an object: "constructor" would read Object.prototype
+  for (const token of tokens) counts.set(token, (counts.get(token) || 0) + 1);
+  return {
+    terms: [...counts.keys()],
+    termFreqs: new Map([...counts].map(([term, count]) => [termKey(term), count])),
+    length: tokens.length,
+  };
+};
+
+//  Occurrences of a term in a chunk (a Map, or a plain object once read back with lean())
+const termFreq = ({ termFreqs }, term) => {
+  const key = termKey(term);
+  if (termFreqs instanceof Map) return termFreqs.get(key) || 0;
+  return termFreqs && Object.hasOwn(termFreqs, key) ? termFreqs[key] : 0;
+};
+
+/**
+ *  Scores chunks against query terms.
+ *  Without `documentFrequencies`, `chunks` must be every chunk containing at
+ *  least one query term: document frequencies are counted from them. With it,
+ *  `chunks` may be any subset of the collection.
+ * @param {object} options
+ * @param {Array<string>} options.queryTerms - Distinct query terms
+ * @param {Array<object>} options.chunks - Chunks with termFreqs (Map or object) and length
+ * @param {number} options.totalChunks - Chunks in the whole collection
+ * @param {number} options.averageLength - Average chunk length in the collection
+ * @param {Object<string, number>} [options.documentFrequencies] - Chunks in the collection containing each term
+ * @returns {Array<{ chunk: object, score: number }>} - Best first (score > 0 only)
+ */
+export const bm25Rank = ({ queryTerms, chunks, totalChunks, averageLength, documentFrequencies }) => {
+  const idf = new Map();
+  for (const term of queryTerms) {
+    const df = documentFrequencies
+      ? (Object.hasOwn(documentFrequencies, term) && documentFrequencies[term]) || 0
+      : chunks.filter((chunk) => termFreq(chunk, term)).length;
+    idf.set(term, Math.log(1 + (totalChunks - df + 0.5) / (df + 0.5)));
+  }
+
+  const lengthNorm = averageLength || 1;
+  return chunks
+    .map((chunk) => {
+      let score = 0;
+      for (const term of queryTerms) {
+        const tf = termFreq(chunk, term);
+        if (!tf) continue;
+        score += (idf.get(term) * tf * (K1 + 1)) / (tf + K1 * (1 - B + (B * chunk.length) / lengthNorm));
+      }
+      return { chunk, score };
+    })
+    .filter((result) => result.score > 0)
+    .sort((a, b) => b.score - a.score);
+};
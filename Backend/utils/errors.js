@@ -0,0 +1,47 @@
+
+// API error helpers
+// Errors sent to the client share one shape:
+//   { code, message, retryable }
+//   code      → stable identifier the frontend can branch on (e.g. PROVIDER_TIMEOUT)
+//   message   → text that can be shown to the user as is
+//   retryable → sending the same request again later may succeed
+
+
+/**
+ *  Error with an HTTP status and a client-facing code
+ */
+export class ApiError extends Error {
+  /**
+   * @param {object} options
+   * @param {string} options.code - Stable error code
+   * @param {string} options.message - User-facing message
+   * @param {number} [options.status] - HTTP status (default 500)
+   * @param {boolean} [options.retryable] - Whether retrying may succeed
+   * @param {Error} [options.cause] - Underlying error (logged, never sent)
+   */
+  constructor({ code, message, status = 500, retryable = false, cause }) {
+    super(message, { cause });
+    this.name = "ApiError";
+    this.code = code;
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ *  Wraps any error as an ApiError (unknown errors become a generic SERVER_ERROR)
+ * @param {Error} err
+ * @param {string} [fallbackMessage] - Message for unexpected errors
+ * @returns {ApiError}
+ */
+export const toApiError = (err, fallbackMessage = "Server error") =>
+  err instanceof ApiError
+    ? err
+    : new ApiError({ code: "SERVER_ERROR", message: fallbackMessage, cause: err });
+
+/**
+ *  Client-facing body of an error
+ * @param {ApiError} err
+ * @returns {{ code: string, message: string, retryable: boolean }}
+ */
+export const errorBody = ({ code, message, retryable }) => ({ code, message, retryable });
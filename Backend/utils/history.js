@@ -0,0 +1,99 @@
+
+// Builds the conversation history sent to the model
+//   Loads the active branch of a thread from MongoDB (oldest → newest)
+//   Replaces turns covered by the thread's running summary with that summary
+//   Leaves out messages blocked by moderation
+//   Trims the oldest turns until the history fits the token budget
+//   Adds the text of files attached to the remaining user messages
+
+
+import "dotenv/config";
+import { loadActivePath } from "./messageTree.js";
+import { summaryIndex } from "./summarizer.js";
+import { isBlocked } from "./moderation.js";
+import { estimateMessageTokens } from "./tokenCounter.js";
+import { withAttachments } from "./attachments.js";
+
+//  Token budget for history (configurable through .env)
+export const HISTORY_TOKEN_BUDGET =
+  parseInt(process.env.HISTORY_TOKEN_BUDGET, 10) || 3000;
+
+/**
+ *  Trims a list of chat messages to fit inside a token budget.
+ *  Oldest messages are dropped first; the latest message is always kept.
+ * @param {Array<{ role: string, content: string }>} messages - Ordered oldest → newest
+ * @param {number} budget - Maximum number of tokens allowed
+ * @returns {Array<{ role: string, content: string }>}
+ */
+export const fitToBudget = (messages, budget = HISTORY_TOKEN_BUDGET) => {
+  const kept = [];
+  let used = 0;
+
+  //  Walk backwards from the newest message and stop once the budget is full
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const cost = estimateMessageTokens(messages[i]);
+    if (kept.length > 0 && used + cost > budget) break;
+    kept.unshift(messages[i]);
+    used += cost;
+  }
+
+  //  Never start the conversation with an orphaned assistant reply
+  while (kept.length > 1 && kept[0].role === "assistant") {
+    kept.shift();
+  }
+
+  return kept;
+};
+
+/**
+ *  Loads the active branch of a thread and returns it as
+ *  OpenAI-style chat messages trimmed to the token budget.
+ *  When the thread has a summary covering part of this branch, the summary
+ *  comes first (as a system message) followed by the turns after it.
+ * @param {object} options
+ * @param {string} options.userId - Owner of the thread
+ * @param {object} options.thread - Thread to load (uses threadId and summary)
+ * @param {number} [options.budget] - Token budget override
+ * @param {string} [options.untilId] - Stop at this message (inclusive)
+ * @param {number} [options.attachmentBudget] - Tokens for attached files (on top of budget)
+ * @param {string} [options.query] - Message being answered (picks relevant parts of files)
+ * @param {boolean} [options.vision] - The model accepts images (sent as image parts)
+ * @returns {Promise<Array<{ role: string, content: string|Array<object> }>>}
+ */
+export const buildHistory = async ({
+  userId,
+  thread,
+  budget = HISTORY_TOKEN_BUDGET,
+  untilId,
+  attachmentBudget,
+  query,
+  vision,
+}) => {
+  let path = await loadActivePath({ userId, threadId: thread.threadId });
+
+  if (untilId) {
+    const end = path.findIndex((m) => String(m._id) === String(untilId));
+    if (end !== -1) path = path.slice(0, end + 1);
+  }
+
+  //  Turns that fit the budget, with their attached files, as chat messages
+  const toChat = async (messages, limit) => {
+    const kept = fitToBudget(messages.filter((m) => !isBlocked(m)), limit);
+    const expanded = await withAttachments(kept, { query, budget: attachmentBudget, vision });
+    return expanded.map(({ role, content }) => ({ role, content }));
+  };
+
+  //  No usable summary (none yet, other branch, or past untilId) → raw turns
+  const covered = summaryIndex(thread, path);
+  if (covered === -1) return toChat(path, budget);
+
+  const summary = {
+    role: "system",
+    content: `Summary of the earlier conversation:\n${thread.summary.content}`,
+  };
+  const rest = await toChat(
+    path.slice(covered + 1),
+    Math.max(budget - estimateMessageTokens(summary), 0)
+  );
+  return [summary, ...rest];
+};
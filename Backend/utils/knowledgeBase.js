@@ -0,0 +1,399 @@
+
+// Knowledge base: documents a user uploads once and threads can answer from
+//   Indexing: text extracted like attachments, split into chunks with their
+//   BM25 term statistics (utils/bm25.js) → works without any external service
+//   Embeddings (optional, KB_EMBEDDINGS=true): chunks are also embedded in the
+//   background through the provider's embed(); retrieval then fuses lexical and
+//   vector rankings, and falls back to lexical only whenever embedding fails
+//   Retrieval: the best chunks for a question, within a token budget, numbered
+//   so the model can cite them ([1], [2]…) and the client can link the sources
+//
+// Threads only use the knowledge base when their `useKnowledge` setting is on.
+
+
+import "dotenv/config";
+import mongoose from "mongoose";
+import Document from "../models/Document.js";
+import Chunk from "../models/Chunk.js";
+import { attachmentKind, extractText, chunkText, discardUploads } from "./attachments.js";
+import { tokenize, termStats, bm25Rank } from "./bm25.js";
+import { providerForUser } from "./redaction.js";
+import { ApiError } from "./errors.js";
+import { estimateTokens } from "./tokenCounter.js";
+import { recordUsage } from "./usage.js";
+
+//  Limits and retrieval settings (configurable through .env)
+export const KB_MAX_DOCUMENTS = parseInt(process.env.KB_MAX_DOCUMENTS, 10) || 50;
+export const KB_TOKEN_BUDGET = parseInt(process.env.KB_TOKEN_BUDGET, 10) || 1500;
+const KB_TOP_K = parseInt(process.env.KB_TOP_K, 10) || 6;
+const KB_EMBEDDINGS = process.env.KB_EMBEDDINGS === "true";
+
+//  Characters of text indexed per document and chunk size (tokens)
+const KB_TEXT_LIMIT = parseInt(process.env.KB_TEXT_LIMIT, 10) || 500000;
+const KB_CHUNK_TOKENS = parseInt(process.env.KB_CHUNK_TOKENS, 10) || 300;
+
+//  Lexical candidates scored per question (chunks sharing one of the rarest query terms)
+const CANDIDATE_LIMIT = 1000;
+
+//  Vector retrieval
+//   KB_VECTOR_INDEX → name of an Atlas Vector Search index on Chunk.embedding
+//                     (with userId as a filter field); used when set
+//   Without it, at most KB_VECTOR_SCAN embedded chunks are scored locally per
+//   question: the best lexical candidates plus the user's most recent chunks
+const KB_VECTOR_INDEX = process.env.KB_VECTOR_INDEX || "";
+const KB_VECTOR_SCAN = parseInt(process.env.KB_VECTOR_SCAN, 10) || 500;
+const VECTOR_RESULTS = 100;
+
+//  Texts sent per embedding request
+const EMBED_BATCH = 64;
+
+//  Reciprocal rank fusion constant (higher → ranks matter less)
+const RRF_K = 60;
+
+//  Characters of a chunk kept as the citation excerpt
+const EXCERPT_CHARS = 300;
+
+
+//  INDEXING
+
+//  Embeds every chunk of a document (background; marks the document ready / failed).
+//  Each batch is charged to the owner's daily tokens (estimated from the text).
+const embedDocument = async (document) => {
+  try {
+    const provider = await providerForUser(document.userId); // Redacts PII if the user asked for it
+    if (!provider.embed) throw new Error(`${provider.name} provider has no embeddings`);
+
+    const chunks = await Chunk.find({ documentId: document._id }).sort({ index: 1 }).select("text").lean();
+    for (let start = 0; start < chunks.length; start += EMBED_BATCH) {
+      const batch = chunks.slice(start, start + EMBED_BATCH);
+      const vectors = await provider.embed({ input: batch.map((chunk) => chunk.text) });
+      const tokens = batch.reduce((sum, chunk) => sum + estimateTokens(chunk.text), 0);
+      await recordUsage({
+        userId: document.userId,
+        model: provider.models.embedding,
+        usage: { promptTokens: tokens, completionTokens: 0, totalTokens: tokens, estimated: true },
+        background: "knowledge",
+      });
+      await Chunk.bulkWrite(
+        batch.map((chunk, i) => ({
+          updateOne: { filter: { _id: chunk._id }, update: { embedding: vectors[i] } },
+        }))
+      );
+    }
+
+    await Document.updateOne({ _id: document._id }, { embeddings: "ready" });
+  } catch (err) {
+    console.error("Knowledge embedding error:", err.message);
+    await Document.updateOne({ _id: document._id }, { embeddings: "failed" }).catch(() => {});
+  }
+};
+
+/**
+ *  Adds an uploaded file to a user's knowledge base: extracts its text,
+ *  stores its chunks with their term statistics and, when embeddings are on,
+ *  starts embedding them (not awaited — lexical search works right away).
+ *  The uploaded file is deleted if it can't be indexed.
+ * @param {object} options
+ * @param {string} options.userId - Owner of the knowledge base
+ * @param {object} options.file - Multer file (see middleware/uploadAttachments.js)
+ * @returns {Promise<object>} - Saved document
+ * @throws {ApiError} ATTACHMENT_UNREADABLE / DOCUMENT_EMPTY
+ */
+export const ingestDocument = async ({ userId, file }) => {
+  let document = null;
+  try {
+    const kind = attachmentKind(file.originalname);
+    const text = await extractText(file, kind);
+    if (!text) {
+      throw new ApiError({
+        code: "DOCUMENT_EMPTY",
+        message: `${file.originalname} has no text to search.`,
+        status: 400,
+      });
+    }
+
+    const chunks = chunkText(text.slice(0, KB_TEXT_LIMIT), KB_CHUNK_TOKENS * 4);
+    document = await Document.create({
+      userId,
+      title: file.originalname.slice(0, 200),
+      filename: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size,
+      kind,
+      path: file.path,
+      chunkCount: chunks.length,
+      truncated: text.length > KB_TEXT_LIMIT,
+      embeddings: KB_EMBEDDINGS ? "pending" : "none",
+    });
+    await Chunk.insertMany(
+      chunks.map((chunk, index) => ({
+        userId,
+        documentId: document._id,
+        index,
+        text: chunk,
+        ...termStats(chunk),
+      }))
+    );
+  } catch (err) {
+    if (document) await deleteDocuments({ _id: document._id });
+    else discardUploads([file]);
+    throw err;
+  }
+
+  if (KB_EMBEDDINGS) embedDocument(document);
+  return document;
+};
+
+/**
+ *  Deletes documents, their chunks and their files
+ * @param {object} filter - e.g. { _id, userId } or { userId }
+ * @returns {Promise<number>} - Documents deleted
+ */
+export const deleteDocuments = async (filter) => {
+  const documents = await Document.find(filter).select("+path").lean();
+  if (!documents.length) return 0;
+
+  const ids = documents.map((d) => d._id);
+  await Chunk.deleteMany({ documentId: { $in: ids } });
+  await Document.deleteMany({ _id: { $in: ids } });
+  discardUploads(documents);
+  return documents.length;
+};
+
+
+//  RETRIEVAL
+
+//  Lexical ranking: chunks sharing a term with the question, scored with BM25.
+//  Document frequencies are counted over the whole knowledge base; the chunks
+//  scored are those containing the rarest query terms (up to CANDIDATE_LIMIT),
+//  since a chunk holding only common terms can't outrank them by much.
+const lexicalRanking = async (userId, query) => {
+  const queryTerms = [...new Set(tokenize(query))];
+  if (!queryTerms.length) return [];
+
+  const owner = new mongoose.Types.ObjectId(String(userId));
+  const [counts, [stats]] = await Promise.all([
+    Promise.all(queryTerms.map((term) => Chunk.countDocuments({ userId: owner, terms: term }))),
+    Chunk.aggregate([
+      { $match: { userId: owner } },
+      { $group: { _id: null, count: { $sum: 1 }, averageLength: { $avg: "$length" } } },
+    ]),
+  ]);
+  const documentFrequencies = Object.fromEntries(queryTerms.map((term, i) => [term, counts[i]]));
+
+  //  Rarest terms first, as many as fit the candidate limit (at least one)
+  const byRarity = queryTerms
+    .filter((term) => documentFrequencies[term])
+    .sort((a, b) => documentFrequencies[a] - documentFrequencies[b]);
+  const rarest = [];
+  let candidates = 0;
+  for (const term of byRarity) {
+    if (rarest.length && candidates + documentFrequencies[term] > CANDIDATE_LIMIT) break;
+    rarest.push(term);
+    candidates += documentFrequencies[term];
+  }
+  if (!rarest.length) return [];
+
+  const chunks = await Chunk.find({ userId: owner, terms: { $in: rarest } })
+    .select("documentId index text termFreqs length")
+    .limit(CANDIDATE_LIMIT)
+    .lean();
+  if (!chunks.length) return [];
+
+  return bm25Rank({
+    queryTerms,
+    chunks,
+    totalChunks: stats?.count || chunks.length,
+    averageLength: stats?.averageLength,
+    documentFrequencies,
+  }).map(({ chunk }) => chunk);
+};
+
+//  Cosine similarity of two vectors
+const cosine = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+//  Embeds the question (null when embeddings are off or fail)
+const embedQuery = async (query, provider, signal) => {
+  if (!KB_EMBEDDINGS || !provider?.embed || !query.trim()) return null;
+  try {
+    const [vector] = await provider.embed({ input: [query], signal });
+    return vector;
+  } catch (err) {
+    if (!signal?.aborted) console.error("Knowledge embedding error:", err.message);
+    return null;
+  }
+};
+
+//  Scores the embedded chunks matching `filter` one at a time (vectors are not kept)
+const scoreChunks = async (filter, queryVector, limit, sort) => {
+  const scored = [];
+  if (limit <= 0) return scored;
+  const cursor = Chunk.find({ ...filter, embedding: { $exists: true } })
+    .select("documentId index text embedding")
+    .sort(sort)
+    .limit(limit)
+    .lean()
+    .cursor();
+  for await (const { embedding, ...chunk } of cursor) {
+    scored.push({ chunk, score: cosine(queryVector, embedding) });
+  }
+  return scored;
+};
+
+//  Vector ranking: embedded chunks closest to the question
+//  (empty without a question vector or on failure — lexical results still apply)
+const vectorRanking = async (userId, queryVector, lexical) => {
+  if (!queryVector) return [];
+  const owner = new mongoose.Types.ObjectId(String(userId));
+
+  try {
+    if (KB_VECTOR_INDEX) {
+      return await Chunk.aggregate([
+        {
+          $vectorSearch: {
+            index: KB_VECTOR_INDEX,
+            path: "embedding",
+            queryVector,
+            filter: { userId: owner },
+            numCandidates: VECTOR_RESULTS * 10,
+            limit: VECTOR_RESULTS,
+          },
+        },
+        { $project: { documentId: 1, index: 1, text: 1 } },
+      ]);
+    }
+
+    //  Local scoring, bounded to KB_VECTOR_SCAN chunks
+    const rerank = lexical.slice(0, Math.floor(KB_VECTOR_SCAN / 2)).map((chunk) => chunk._id);
+    const [candidates, recent] = await Promise.all([
+      scoreChunks({ userId: owner, _id: { $in: rerank } }, queryVector, rerank.length, { _id: 1 }),
+      scoreChunks({ userId: owner, _id: { $nin: rerank } }, queryVector, KB_VECTOR_SCAN - rerank.length, { _id: -1 }),
+    ]);
+
+    return [...candidates, ...recent]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, VECTOR_RESULTS)
+      .map(({ chunk }) => chunk);
+  } catch (err) {
+    console.error("Knowledge vector search error:", err.message);
+    return [];
+  }
+};
+
+//  Reciprocal rank fusion: a chunk ranked well by either list comes first
+const fuseRankings = (rankings) => {
+  const fused = new Map();
+  for (const ranking of rankings) {
+    ranking.forEach((chunk, rank) => {
+      const id = String(chunk._id);
+      const entry = fused.get(id) || { chunk, score: 0 };
+      entry.score += 1 / (RRF_K + rank + 1);
+      fused.set(id, entry);
+    });
+  }
+  return [...fused.values()].sort((a, b) => b.score - a.score).map(({ chunk }) => chunk);
+};
+
+/**
+ *  Finds the knowledge base chunks most relevant to a question
+ * @param {object} options
+ * @param {string} options.userId - Owner of the knowledge base
+ * @param {string} options.query - Message being answered
+ * @param {object} [options.provider] - Provider used to embed the question (see providerForUser)
+ * @param {number} [options.budget] - Tokens available for the chunks
+ * @param {number} [options.limit] - Maximum chunks returned
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Array<{ n: number, chunkId: *, documentId: *, title: string, index: number, text: string }>>}
+ *   Sources numbered from 1 (best match first)
+ */
+export const retrieveKnowledge = async ({
+  userId,
+  query = "",
+  provider,
+  budget = KB_TOKEN_BUDGET,
+  limit = KB_TOP_K,
+  signal,
+}) => {
+  const [lexical, queryVector] = await Promise.all([
+    lexicalRanking(userId, query),
+    embedQuery(query, provider, signal),
+  ]);
+  const vector = await vectorRanking(userId, queryVector, lexical);
+  const ranked = vector.length ? fuseRankings([lexical, vector]) : lexical;
+
+  //  Best chunks that fit the budget
+  const picked = [];
+  let left = budget;
+  for (const chunk of ranked) {
+    if (picked.length >= limit) break;
+    const tokens = estimateTokens(chunk.text);
+    if (tokens > left) continue;
+    picked.push(chunk);
+    left -= tokens;
+  }
+  if (!picked.length) return [];
+
+  const documents = await Document.find({ _id: { $in: picked.map((c) => c.documentId) } })
+    .select("title")
+    .lean();
+  const titles = new Map(documents.map((d) => [String(d._id), d.title]));
+
+  return picked
+    .filter((chunk) => titles.has(String(chunk.documentId)))
+    .map((chunk, i) => ({
+      n: i + 1,
+      chunkId: chunk._id,
+      documentId: chunk.documentId,
+      title: titles.get(String(chunk.documentId)),
+      index: chunk.index,
+      text: chunk.text,
+    }));
+};
+
+/**
+ *  Formats retrieved chunks as a system prompt section
+ * @param {Array<object>} [sources] - Result of retrieveKnowledge
+ * @returns {string} - Empty string when there is nothing to add
+ */
+export const formatKnowledge = (sources = []) =>
+  sources.length
+    ? "Excerpts from the user's knowledge base that may help with this question. " +
+      "When you use one, cite it with its number in square brackets, e.g. [1]. " +
+      "Do not cite excerpts you did not use, and say so if they don't answer the question.\n\n" +
+      sources.map((s) => `[${s.n}] ${s.title} (part ${s.index + 1})\n${s.text}`).join("\n\n")
+    : "";
+
+//  [n] markers outside of words and links ("a[1]" and "[1](url)" are not citations)
+const CITATION_PATTERN = /(^|[^\w\]])\[(\d{1,2})\](?!\()/g;
+
+/**
+ *  Sources a reply actually cites
+ * @param {string} reply - Assistant reply
+ * @param {Array<object>} [sources] - Result of retrieveKnowledge
+ * @returns {Array<{ n: number, documentId: *, chunkId: *, title: string, excerpt: string }>}
+ *   Stored on the reply (Message.citations), in source order
+ */
+export const citationsFor = (reply = "", sources = []) => {
+  if (!sources.length) return [];
+
+  const cited = new Set([...reply.matchAll(CITATION_PATTERN)].map((match) => Number(match[2])));
+  return sources
+    .filter((source) => cited.has(source.n))
+    .map(({ n, documentId, chunkId, title, text }) => ({
+      n,
+      documentId,
+      chunkId,
+      title,
+      excerpt: text.length > EXCERPT_CHARS ? `${text.slice(0, EXCERPT_CHARS).trimEnd()}…` : text,
+    }));
+};
@@ -0,0 +1,154 @@
+
+// Long-term memory
+//   Extracting durable facts about the user from recent exchanges
+//   (every MEMORY_EVERY_TURNS user turns of a thread, not after every reply)
+//   Picking the memories worth adding to a prompt
+// Memories are always visible (and editable) in Settings → Memory.
+
+
+import "dotenv/config";
+import Memory from "../models/Memory.js";
+import { providerForUser } from "./redaction.js";
+import { normalizeUsage, estimateUsage, recordUsage } from "./usage.js";
+import { loadActivePath } from "./messageTree.js";
+import { isBlocked } from "./moderation.js";
+
+//  Maximum memories stored per user (configurable through .env)
+export const MEMORY_LIMIT = parseInt(process.env.MEMORY_LIMIT, 10) || 100;
+
+//  Maximum memories added to one prompt
+export const MEMORY_PROMPT_LIMIT = parseInt(process.env.MEMORY_PROMPT_LIMIT, 10) || 8;
+
+//  User turns of a thread between two extractions (each one covers those turns)
+export const MEMORY_EVERY_TURNS = parseInt(process.env.MEMORY_EVERY_TURNS, 10) || 3;
+
+//  Characters of each message sent to the extraction call
+const MEMORY_MESSAGE_CHARS = 2000;
+
+//  Instructions for the extraction call
+const EXTRACTION_PROMPT =
+  "You decide what to remember long-term about a user from a few recent exchanges. " +
+  "Only keep durable facts or preferences that will matter in future conversations " +
+  "(tools, stack, role, projects, preferred style). Ignore one-off requests, " +
+  "anything already known, and sensitive data (passwords, keys, health, finances). " +
+  'Reply with a JSON array of short third-person sentences, e.g. ["Uses Postgres 16"], ' +
+  "or [] if there is nothing to remember.";
+
+//  Words ignored when matching memories to a message
+const STOP_WORDS = new Set(
+  "a an and are as at be but by can do for from have how i in is it me my of on or our so that the this to we what when with you your".split(" ")
+);
+
+//  Lower-case keywords of a text (also used to rank attachment chunks)
+export const keywords = (text = "") =>
+  new Set(
+    text
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter((word) => word.length > 1 && !STOP_WORDS.has(word))
+  );
+
+//  Reads the JSON array out of a model reply (tolerates surrounding text)
+const parseMemoryList = (text = "") => {
+  const start = text.indexOf("[");
+  const end = text.lastIndexOf("]");
+  if (start === -1 || end <= start) return [];
+  try {
+    const list = JSON.parse(text.slice(start, end + 1));
+    return Array.isArray(list)
+      ? list.filter((item) => typeof item === "string" && item.trim()).map((item) => item.trim().slice(0, 500))
+      : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ *  Extracts new memories from a thread's latest turns and saves them.
+ *  Only runs once every MEMORY_EVERY_TURNS user turns (on the active branch),
+ *  covering those turns in a single call.
+ *  Never throws: a failed extraction just remembers nothing.
+ * @param {object} options
+ * @param {string} options.userId - Owner of the memories
+ * @param {string} options.threadId - Thread the exchanges belong to
+ * @param {string} [options.model] - Chat model id used for extraction
+ * @returns {Promise<Array<object>>} - Saved memories (empty between extractions)
+ */
+export const extractMemories = async ({ userId, threadId, model }) => {
+  try {
+    const path = await loadActivePath({ userId, threadId });
+    const turnStarts = path.flatMap((m, i) => (m.role === "user" ? [i] : []));
+    if (!turnStarts.length || turnStarts.length % MEMORY_EVERY_TURNS !== 0) return [];
+
+    const existing = await Memory.find({ userId }).sort({ updatedAt: -1 }).lean();
+    if (existing.length >= MEMORY_LIMIT) return [];
+
+    //  The last MEMORY_EVERY_TURNS exchanges (blocked turns never reach the model)
+    const transcript = path
+      .slice(turnStarts[turnStarts.length - MEMORY_EVERY_TURNS])
+      .filter((m) => !isBlocked(m))
+      .map((m) => `${m.role === "user" ? "User" : "Assistant"}: ${(m.content || "").slice(0, MEMORY_MESSAGE_CHARS)}`)
+      .join("\n\n");
+
+    const known = existing.map((m) => `- ${m.content}`).join("\n") || "(nothing yet)";
+    const messages = [
+      { role: "system", content: EXTRACTION_PROMPT },
+      { role: "user", content: `Already known:\n${known}\n\n${transcript}` },
+    ];
+    const provider = await providerForUser(userId); // Redacts PII if the user asked for it
+    const completion = await provider.chat({ model, maxTokens: 200, temperature: 0, messages });
+
+    const usage = normalizeUsage(completion.usage) || estimateUsage(messages, completion.content);
+    await recordUsage({ userId, threadId, model, usage, background: "memory" });
+
+    //  Skip exact duplicates the model repeated anyway
+    const seen = new Set(existing.map((m) => m.content.toLowerCase()));
+    const fresh = parseMemoryList(completion.content)
+      .filter((content) => !seen.has(content.toLowerCase()))
+      .slice(0, MEMORY_LIMIT - existing.length);
+    if (!fresh.length) return [];
+
+    return await Memory.insertMany(
+      fresh.map((content) => ({ userId, threadId, content, source: "extracted" }))
+    );
+  } catch (err) {
+    console.error("Memory extraction error:", err.message);
+    return [];
+  }
+};
+
+/**
+ *  Picks the memories to add to a prompt: those sharing keywords with
+ *  the message first, then the most recent ones up to the limit.
+ * @param {object} options
+ * @param {string} options.userId - Owner of the memories
+ * @param {string} [options.query] - Message being answered
+ * @param {number} [options.limit] - Maximum memories returned
+ * @returns {Promise<Array<object>>}
+ */
+export const retrieveMemories = async ({ userId, query = "", limit = MEMORY_PROMPT_LIMIT }) => {
+  const memories = await Memory.find({ userId }).sort({ updatedAt: -1 }).lean();
+  if (memories.length <= limit) return memories;
+
+  const words = keywords(query);
+  const scored = memories.map((memory, recency) => {
+    let score = 0;
+    for (const word of keywords(memory.content)) if (words.has(word)) score++;
+    return { memory, score, recency };
+  });
+
+  //  Most overlapping keywords first, newer memories break ties
+  scored.sort((a, b) => b.score - a.score || a.recency - b.recency);
+  return scored.slice(0, limit).map(({ memory }) => memory);
+};
+
+/**
+ *  Formats memories as a system prompt section
+ * @param {Array<object>} memories
+ * @returns {string} - Empty string when there is nothing to add
+ */
+export const formatMemories = (memories = []) =>
+  memories.length
+    ? "What you remember about the user from earlier conversations:\n" +
+      memories.map((m) => `- ${m.content}`).join("\n")
+    : "";
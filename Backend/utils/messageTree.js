@@ -0,0 +1,83 @@
+
+// Message tree helpers
+// Messages of a thread form a tree: every message points to the one it
+// follows (parentId). Messages sharing a parent are alternate versions
+// (regenerated replies, or edited user messages that fork the conversation);
+// the one flagged `selected` is shown and used as history for later turns,
+// so switching a version also switches the whole branch below it.
+//
+// Messages saved before versions existed have no parentId field at all;
+// they are treated as a simple chain in creation order.
+// Tool steps (stepOf set) hang off their final reply and are not part of the tree.
+
+
+import Message from "../models/Message.js";
+
+//  Map key for a parent id (null = thread root)
+const keyOf = (id) => (id ? String(id) : "root");
+
+/**
+ *  Resolves the active branch of a thread
+ * @param {Array<object>} messages - All messages of the thread (plain objects)
+ * @returns {Array<object>} - Active path oldest → newest; each message gets
+ *   versionIndex (1-based), versionCount and siblingIds
+ */
+export const resolveActivePath = (messages) => {
+  const sorted = [...messages].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+  //  Group messages by parent (legacy messages follow the previous one)
+  const children = new Map();
+  let previousId = null;
+  for (const msg of sorted) {
+    const parent = msg.parentId === undefined ? previousId : msg.parentId;
+    const key = keyOf(parent);
+    if (!children.has(key)) children.set(key, []);
+    children.get(key).push(msg);
+    previousId = msg._id;
+  }
+
+  //  Walk down from the root, following the selected version at each level
+  const path = [];
+  let key = "root";
+  while (children.has(key)) {
+    const siblings = children.get(key);
+    const selected = siblings.filter((m) => m.selected !== false);
+    const chosen = selected[selected.length - 1] || siblings[siblings.length - 1];
+
+    path.push({
+      ...chosen,
+      versionIndex: siblings.indexOf(chosen) + 1,
+      versionCount: siblings.length,
+      siblingIds: siblings.map((m) => m._id),
+    });
+    key = keyOf(chosen._id);
+  }
+
+  return path;
+};
+
+/**
+ *  Loads a thread's messages and returns its active path
+ * @param {object} options
+ * @param {string} options.userId
+ * @param {string} options.threadId
+ * @returns {Promise<Array<object>>}
+ */
+export const loadActivePath = async ({ userId, threadId }) => {
+  const messages = await Message.find({ userId, threadId, stepOf: null }).lean();
+  return resolveActivePath(messages);
+};
+
+/**
+ *  Makes a message the selected version among its siblings
+ * @param {object} message - Message on the active path (with siblingIds)
+ *   or any message plus an explicit list of sibling ids
+ * @param {Array} [siblingIds] - Ids of every version sharing its parent
+ */
+export const selectVersion = async (message, siblingIds = message.siblingIds || []) => {
+  const others = siblingIds.filter((id) => String(id) !== String(message._id));
+  if (others.length) {
+    await Message.updateMany({ _id: { $in: others } }, { selected: false });
+  }
+  await Message.updateOne({ _id: message._id }, { selected: true });
+};
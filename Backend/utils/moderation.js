@@ -0,0 +1,84 @@
+
+// Content moderation
+//   Checks text against the local rules and the provider's moderation check
+//   Builds the `moderation` field stored on Message
+//   Tells which messages must stay out of prompts (blocked, not cleared by an admin)
+
+
+import {
+  MODERATION_RULES,
+  MODERATION_PROVIDER,
+  MODERATION_PROVIDER_ACTION,
+} from "../config/moderation.js";
+import { getProvider } from "../providers/index.js";
+
+//  Shown instead of a reply that was withheld (the text is kept for admins)
+export const WITHHELD_REPLY = "This reply was withheld by content moderation.";
+
+/**
+ *  Moderates a piece of text.
+ *  Local rules run first; a local block skips the provider call.
+ *  Never throws: if the provider check fails, only the local result is used.
+ * @param {string} text
+ * @param {object} [provider] - Provider for the check (e.g. a redacting one, see utils/redaction.js)
+ * @returns {Promise<{ status: "ok" | "flagged" | "blocked", categories: string[], source?: string }>}
+ */
+export const moderateText = async (text, provider = getProvider()) => {
+  const local = MODERATION_RULES.filter((rule) => rule.pattern.test(text));
+  const categories = [...new Set(local.map((rule) => rule.category))];
+
+  if (local.some((rule) => rule.action === "block")) {
+    return { status: "blocked", categories, source: "local" };
+  }
+
+  //  Optional provider check (skipped when the provider has none, e.g. local servers)
+  if (MODERATION_PROVIDER && provider.moderate) {
+    try {
+      const result = await provider.moderate({ input: text });
+      if (result.flagged) {
+        return {
+          status: MODERATION_PROVIDER_ACTION === "block" ? "blocked" : "flagged",
+          categories: [...new Set([...categories, ...result.categories])],
+          source: "provider",
+        };
+      }
+    } catch (err) {
+      //  Moderation outage must not stop the chat → fall back to local rules
+      console.error("Moderation error:", err.message);
+    }
+  }
+
+  return local.length
+    ? { status: "flagged", categories, source: "local" }
+    : { status: "ok", categories: [] };
+};
+
+/**
+ *  Whether text matches a local block rule (no provider call, cheap enough
+ *  to run on every streamed chunk)
+ * @param {string} text
+ * @returns {boolean}
+ */
+export const matchesBlockRule = (text) =>
+  MODERATION_RULES.some((rule) => rule.action === "block" && rule.pattern.test(text));
+
+/**
+ *  Message field for a moderation result (undefined when the text passed)
+ * @param {object} result - Result of moderateText()
+ * @returns {object|undefined}
+ */
+export const toModerationField = ({ status, categories, source }) =>
+  status === "ok" ? undefined : { status, categories, source, checkedAt: new Date() };
+
+/**
+ *  Whether a message must be kept out of prompts and summaries
+ * @param {object} message
+ * @returns {boolean}
+ */
+export const isBlocked = (message) =>
+  message.moderation?.status === "blocked" && message.moderation.decision !== "dismissed";
+
+//  Query filter with the same meaning as !isBlocked (for Message.find)
+export const notBlockedFilter = {
+  $or: [{ "moderation.status": { $ne: "blocked" } }, { "moderation.decision": "dismissed" }],
+};
@@ -0,0 +1,99 @@
+
+// Assembles the messages sent to the model for a chat request
+//   System prompt (user's custom instructions + remembered facts + knowledge base excerpts + thread instructions)
+//   Thread history (or its running summary + recent turns) trimmed to the remaining token budget
+//   Attached files (own token budget, see utils/attachments.js)
+//   Knowledge base excerpts (retrieved beforehand within their own budget, see utils/knowledgeBase.js)
+
+
+import User from "../models/User.js";
+import { buildHistory, HISTORY_TOKEN_BUDGET } from "./history.js";
+import { estimateMessageTokens, estimateTokens } from "./tokenCounter.js";
+import { retrieveMemories, formatMemories } from "./memory.js";
+import { ATTACHMENT_TOKEN_BUDGET } from "./attachments.js";
+import { formatKnowledge } from "./knowledgeBase.js";
+
+//  Formats the account-level custom instructions
+const formatCustomInstructions = (instructions) => {
+  const about = instructions?.about?.trim();
+  const style = instructions?.responseStyle?.trim();
+
+  return [
+    about && `What the user wants you to know about them:\n${about}`,
+    style && `How the user wants you to respond:\n${style}`,
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+};
+
+/**
+ *  Loads a user's custom instructions (null if the user is missing)
+ * @param {string} userId
+ * @returns {Promise<object|null>}
+ */
+export const loadPromptUser = (userId) =>
+  User.findById(userId).select("customInstructions").lean();
+
+/**
+ *  Joins every instruction section into one system prompt
+ * @param {object} options
+ * @param {string} [options.base] - Route-specific base instructions (e.g. voice)
+ * @param {object} [options.user] - User document (uses user.customInstructions)
+ * @param {Array<object>} [options.memories] - Long-term memories to include
+ * @param {Array<object>} [options.knowledge] - Knowledge base excerpts (retrieveKnowledge)
+ * @param {object} [options.thread] - Thread document (uses thread.systemPrompt)
+ * @returns {string} - Empty string when there is nothing to send
+ */
+export const buildSystemPrompt = ({ base, user, memories, knowledge, thread } = {}) =>
+  [
+    base,
+    formatCustomInstructions(user?.customInstructions),
+    formatMemories(memories),
+    formatKnowledge(knowledge),
+    thread?.systemPrompt,
+  ]
+    .map((section) => section?.trim())
+    .filter(Boolean)
+    .join("\n\n");
+
+/**
+ *  Builds the full message list for a chat completion
+ * @param {object} options
+ * @param {string} options.userId - Owner of the thread
+ * @param {object} options.thread - Thread document
+ * @param {object} [options.model] - Registry entry; its context window caps the budget
+ * @param {string} [options.untilId] - Last message to include (defaults to the branch end)
+ * @param {string} [options.query] - Message being answered (picks relevant memories)
+ * @param {Array<object>} [options.knowledge] - Knowledge base excerpts to include
+ * @returns {Promise<Array<{ role: string, content: string }>>}
+ */
+export const buildPromptMessages = async ({ userId, thread, model, untilId, query, knowledge }) => {
+  const [user, memories] = await Promise.all([
+    loadPromptUser(userId),
+    retrieveMemories({ userId, query }),
+  ]);
+  const systemPrompt = buildSystemPrompt({ user, memories, knowledge, thread });
+  const systemMessages = systemPrompt ? [{ role: "system", content: systemPrompt }] : [];
+
+  //  System instructions always fit; attached files and knowledge base excerpts
+  //  get their own share and history gets what is left of the budget (never
+  //  more than the model can take next to its reply)
+  const room = model ? model.contextWindow - model.maxOutputTokens : Infinity;
+  const attachmentBudget = Math.min(ATTACHMENT_TOKEN_BUDGET, Math.floor(room / 2));
+  const knowledgeTokens = estimateTokens(formatKnowledge(knowledge));
+  const limit = Math.min(HISTORY_TOKEN_BUDGET, room - attachmentBudget - knowledgeTokens);
+  const systemTokens =
+    systemMessages.reduce((sum, m) => sum + estimateMessageTokens(m), 0) - knowledgeTokens;
+  const budget = Math.max(limit - systemTokens, 0);
+
+  const history = await buildHistory({
+    userId,
+    thread,
+    budget,
+    untilId,
+    attachmentBudget,
+    query,
+    vision: Boolean(model?.vision),
+  });
+  return [...systemMessages, ...history];
+};
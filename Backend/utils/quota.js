@@ -0,0 +1,84 @@
+
+// Plan quotas
+//   Today's usage of a user against the daily limits of their plan
+//   Audio length of a recording for the voice-minutes quota
+//   Changing a user's plan (admin action or billing hook)
+
+
+import User from "../models/User.js";
+import { getPlan } from "../config/plans.js";
+import { todayUsage } from "./usage.js";
+
+//  Bitrate the frontend records voice messages at (MediaRecorder audioBitsPerSecond)
+export const VOICE_BITRATE = 32000;
+
+/**
+ *  Estimates the length of a recording from its size
+ *  (a first check before transcription; a lower bitrate makes it too short)
+ * @param {number} bytes - Uploaded file size
+ * @returns {number} - Seconds (rounded up)
+ */
+export const estimateAudioSeconds = (bytes = 0) => Math.ceil((bytes * 8) / VOICE_BITRATE);
+
+/**
+ *  Seconds charged for a transcribed recording: the duration reported by the
+ *  transcription service, or the size estimate when it reports none
+ * @param {number} [duration] - Seconds from the transcription response
+ * @param {number} bytes - Uploaded file size
+ * @returns {number} - Seconds (rounded up)
+ */
+export const audioSeconds = (duration, bytes) =>
+  duration > 0 ? Math.ceil(duration) : estimateAudioSeconds(bytes);
+
+//  Next midnight UTC (when daily quotas reset)
+const nextResetAt = () => {
+  const reset = new Date();
+  reset.setUTCHours(24, 0, 0, 0);
+  return reset.toISOString();
+};
+
+/**
+ *  Returns a user's plan and today's quota usage
+ * @param {string} userId
+ * @returns {Promise<object>} - { plan, limits, used, remaining, resetAt };
+ *   limits / used / remaining have messages, tokens and voiceMinutes (null = unlimited)
+ */
+export const getQuotaStatus = async (userId) => {
+  const [user, today] = await Promise.all([
+    User.findById(userId).select("plan").lean(),
+    todayUsage(userId),
+  ]);
+  const plan = getPlan(user?.plan);
+
+  const limits = {
+    messages: plan.dailyMessages,
+    tokens: plan.dailyTokens,
+    voiceMinutes: plan.dailyVoiceMinutes,
+  };
+  const used = {
+    messages: today.messages,
+    tokens: today.totalTokens,
+    voiceMinutes: Math.round((today.voiceSeconds / 60) * 10) / 10,
+  };
+  const remaining = Object.fromEntries(
+    Object.entries(limits).map(([key, limit]) => [
+      key,
+      limit === null ? null : Math.max(Math.round((limit - used[key]) * 10) / 10, 0),
+    ])
+  );
+
+  return { plan, limits, used, remaining, resetAt: nextResetAt() };
+};
+
+/**
+ *  Moves a user to a plan and clears any pending upgrade request
+ * @param {string} userId
+ * @param {string} planId - Must exist in config/plans.js
+ * @returns {Promise<object|null>} - Updated user (null if not found)
+ */
+export const applyPlan = (userId, planId) =>
+  User.findByIdAndUpdate(
+    userId,
+    { plan: planId, planUpdatedAt: new Date(), $unset: { planRequest: 1 } },
+    { new: true }
+  ).select("name email plan planUpdatedAt");
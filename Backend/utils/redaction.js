@@ -0,0 +1,231 @@
+
+// PII redaction
+//   Swaps emails, phone numbers, API keys and card numbers for placeholders
+//   ([EMAIL_1], [PHONE_1], [API_KEY_1], [CARD_1]) before text leaves the server
+//   Restores the original values in what the model sends back (streams included)
+//   Wraps the provider so every call made for a user with the setting on
+//   (chat, tools, titles, summaries, memories, moderation, embeddings) only sends redacted text
+//
+// Messages are stored unredacted in MongoDB; each provider request gets its
+// own placeholder mapping. Audio sent for transcription and attached images
+// cannot be redacted; text-to-speech is sent the redacted text (placeholders are read out).
+
+
+import User from "../models/User.js";
+import { getProvider } from "../providers/index.js";
+
+//  Luhn checksum → tells card numbers from other long digit runs
+const passesLuhn = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) d = d * 2 > 9 ? d * 2 - 9 : d * 2;
+    sum += d;
+  }
+  return sum % 10 === 0;
+};
+
+//  Detectors, applied in this order (keys and cards before the looser phone pattern)
+//   type    → placeholder prefix
+//   pattern → global RegExp
+//   accept  → optional check on the match (false keeps the text as is)
+const DETECTORS = [
+  {
+    type: "API_KEY",
+    //  OpenAI, Stripe, AWS, GitHub, Slack, Google keys, JWTs and Bearer tokens
+    pattern: new RegExp(
+      [
+        /\bsk-(?:proj-)?[A-Za-z0-9_-]{20,}/,
+        /\b[sr]k_(?:live|test)_[A-Za-z0-9]{16,}/,
+        /\bAKIA[0-9A-Z]{16}\b/,
+        /\bgh[pousr]_[A-Za-z0-9]{36,}\b/,
+        /\bxox[abprs]-[A-Za-z0-9-]{10,}/,
+        /\bAIza[0-9A-Za-z_-]{35}/,
+        /\beyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/,
+        /(?<=\bBearer\s+)[A-Za-z0-9._~+/-]{20,}=*/,
+      ]
+        .map((p) => p.source)
+        .join("|"),
+      "g"
+    ),
+  },
+  {
+    type: "CARD",
+    pattern: /(?<!\+)\b\d(?:[ -]?\d){12,18}\b/g, // Not "+49…" phone numbers
+    accept: (match) => passesLuhn(match.replace(/\D/g, "")),
+  },
+  {
+    type: "EMAIL",
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g,
+  },
+  {
+    type: "PHONE",
+    //  +4915112345678, +49 30 1234 5678, (555) 123-4567, 555-123-4567
+    //  (not part of a longer digit run such as an IP address or a failed card number)
+    pattern: /(?<![\w.]|\d[ .-])(?:\+\d{8,15}\b|(?:\+\d{1,3}[ .-]?)?(?:\(\d{2,4}\)|\d{2,4})[ .-]?\d{3,4}[ .-]\d{4}\b)(?![ .-]?\d)/g,
+  },
+];
+
+//  Placeholder as written in redacted text
+const PLACEHOLDER = /\[(?:API_KEY|CARD|EMAIL|PHONE)_\d+\]/g;
+
+//  Longest placeholder a stream may be in the middle of ("[API_KEY_999]")
+const MAX_PLACEHOLDER_LENGTH = 16;
+
+//  Tells the model to keep placeholders intact (added to the system prompt)
+const PLACEHOLDER_NOTE =
+  "Some personal data in this conversation was replaced with placeholders such as [EMAIL_1]. " +
+  "Keep placeholders exactly as written when you refer to those values.";
+
+/**
+ *  Creates a redactor with its own placeholder mapping
+ *  (the same value always gets the same placeholder)
+ * @returns {{ redact: (text: string) => string, restore: (text: string) => string, size: number }}
+ */
+export const createRedactor = () => {
+  const placeholders = new Map(); // value → placeholder
+  const values = new Map();       // placeholder → value
+  const counts = {};
+
+  const placeholderFor = (type, value) => {
+    if (!placeholders.has(value)) {
+      counts[type] = (counts[type] || 0) + 1;
+      const placeholder = `[${type}_${counts[type]}]`;
+      placeholders.set(value, placeholder);
+      values.set(placeholder, value);
+    }
+    return placeholders.get(value);
+  };
+
+  return {
+    redact(text) {
+      if (!text) return text;
+      return DETECTORS.reduce(
+        (result, { type, pattern, accept }) =>
+          result.replace(pattern, (match) => (accept && !accept(match) ? match : placeholderFor(type, match))),
+        text
+      );
+    },
+
+    restore(text) {
+      if (!text) return text;
+      return text.replace(PLACEHOLDER, (placeholder) => values.get(placeholder) ?? placeholder);
+    },
+
+    get size() {
+      return values.size;
+    },
+  };
+};
+
+//  Restores streamed text chunk by chunk, holding back a possibly split placeholder
+const createStreamRestorer = (redactor) => {
+  let pending = "";
+
+  return {
+    push(chunk) {
+      pending += chunk;
+      const open = pending.lastIndexOf("[");
+      const held =
+        open !== -1 && !pending.includes("]", open) && pending.length - open < MAX_PLACEHOLDER_LENGTH
+          ? pending.slice(open)
+          : "";
+      const ready = pending.slice(0, pending.length - held.length);
+      pending = held;
+      return redactor.restore(ready);
+    },
+
+    flush() {
+      const rest = pending;
+      pending = "";
+      return redactor.restore(rest);
+    },
+  };
+};
+
+/**
+ *  Wraps a provider so prompts are redacted and replies restored
+ * @param {object} provider - Provider (providers/index.js)
+ * @param {object} [redactor] - Mapping to use (a new one by default)
+ * @returns {object} - Provider with the same interface
+ */
+export const withRedaction = (provider, redactor = createRedactor()) => {
+  //  Text of a message: a string, or content parts (text + images)
+  const redactContent = (content) => {
+    if (typeof content === "string") return redactor.redact(content);
+    if (!Array.isArray(content)) return content;
+    return content.map((part) => (part.type === "text" ? { ...part, text: redactor.redact(part.text) } : part));
+  };
+
+  //  Redacts message texts and tool-call arguments; notes placeholders in the system prompt
+  const redactMessages = (messages = []) => {
+    const redacted = messages.map((m) => ({
+      ...m,
+      content: redactContent(m.content),
+      ...(m.tool_calls && {
+        tool_calls: m.tool_calls.map((call) => ({
+          ...call,
+          function: { ...call.function, arguments: redactor.redact(call.function.arguments) },
+        })),
+      }),
+    }));
+    if (!redactor.size) return redacted;
+
+    return redacted[0]?.role === "system"
+      ? [{ ...redacted[0], content: `${redacted[0].content}\n\n${PLACEHOLDER_NOTE}` }, ...redacted.slice(1)]
+      : [{ role: "system", content: PLACEHOLDER_NOTE }, ...redacted];
+  };
+
+  const restoreCalls = (toolCalls) =>
+    toolCalls?.map((call) => ({ ...call, arguments: redactor.restore(call.arguments) }));
+
+  return {
+    ...provider,
+
+    async chat(options) {
+      const completion = await provider.chat({ ...options, messages: redactMessages(options.messages) });
+      return {
+        ...completion,
+        content: redactor.restore(completion.content),
+        toolCalls: restoreCalls(completion.toolCalls),
+      };
+    },
+
+    async *chatStream(options) {
+      const restorer = createStreamRestorer(redactor);
+      for await (const chunk of provider.chatStream({ ...options, messages: redactMessages(options.messages) })) {
+        if (chunk.content) {
+          const content = restorer.push(chunk.content);
+          if (content) yield { content };
+          continue;
+        }
+        const rest = restorer.flush();
+        if (rest) yield { content: rest };
+        yield chunk.toolCalls ? { toolCalls: restoreCalls(chunk.toolCalls) } : chunk;
+      }
+      const rest = restorer.flush();
+      if (rest) yield { content: rest };
+    },
+
+    speech: (options) => provider.speech({ ...options, text: redactor.redact(options.text) }),
+
+    ...(provider.moderate && {
+      moderate: (options) => provider.moderate({ ...options, input: redactor.redact(options.input) }),
+    }),
+
+    ...(provider.embed && {
+      embed: (options) => provider.embed({ ...options, input: options.input.map((text) => redactor.redact(text)) }),
+    }),
+  };
+};
+
+/**
+ *  Provider for requests made on behalf of a user:
+ *  redacting when the user turned PII redaction on, the plain provider otherwise
+ * @param {string} userId
+ * @returns {Promise<object>}
+ */
+export const providerForUser = async (userId) => {
+  const user = await User.findById(userId).select("redactPii").lean();
+  return user?.redactPii ? withRedaction(getProvider()) : getProvider();
+};
@@ -0,0 +1,203 @@
+
+// Full-text search across a user's threads and messages
+//   MongoDB text indexes on Message.content and Thread.title (models/*.js),
+//   so words match in any form ("deploying" finds "deployed") and "quoted
+//   phrases" / -excluded words work as in any MongoDB text search
+//   Filters: date range, role (user | assistant), one thread
+//   Results carry a snippet around the first match plus the ranges to highlight
+//
+// Only messages shown in a conversation are searched: tool steps, messages
+// off the thread's active branch (unselected versions and everything below
+// them) and messages blocked by moderation are left out.
+
+
+import mongoose from "mongoose";
+import Message from "../models/Message.js";
+import Thread from "../models/Thread.js";
+import { notBlockedFilter } from "./moderation.js";
+import { resolveActivePath } from "./messageTree.js";
+
+//  Result limits
+export const SEARCH_MAX_RESULTS = 50;
+const SEARCH_DEFAULT_RESULTS = 20;
+
+//  Text matches fetched per result wanted (some turn out to be off the active branch)
+const CANDIDATE_FACTOR = 4;
+
+//  Characters of context kept around the first match
+const SNIPPET_RADIUS = 80;
+
+//  Escapes user text for use inside a RegExp
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+//  Word stem used for highlighting (MongoDB stems words the same rough way)
+const stem = (word) => word.replace(/(ing|ed|es|s)$/, "").replace(/(.)\1$/, "$1");
+
+/**
+ *  Pattern matching the words of a search query (any word form, case-insensitive).
+ *  Excluded words (-word) are not highlighted.
+ * @param {string} query
+ * @returns {RegExp|null} - Global pattern, or null when nothing can be highlighted
+ */
+export const highlightPattern = (query) => {
+  const phrases = [...query.matchAll(/"([^"]+)"/g)].map((match) => match[1].trim()).filter(Boolean);
+  const words = query
+    .replace(/"[^"]*"/g, " ")
+    .split(/\s+/)
+    .filter((word) => word && !word.startsWith("-"))
+    .map((word) => word.replace(/[^\p{L}\p{N}]/gu, ""))
+    .filter((word) => word.length > 1);
+
+  const alternatives = [
+    ...phrases.map(escapeRegExp),
+    ...words.map((word) => {
+      const base = word.length > 4 ? stem(word.toLowerCase()) : word;
+      return `${escapeRegExp(base)}[\\p{L}\\p{N}]*`;
+    }),
+  ];
+  if (!alternatives.length) return null;
+
+  //  Longest first so phrases win over the words inside them
+  alternatives.sort((a, b) => b.length - a.length);
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join("|")})`, "giu");
+};
+
+/**
+ *  Cuts a snippet around the first match and lists the ranges to highlight
+ * @param {string} content
+ * @param {RegExp|null} pattern - See highlightPattern
+ * @param {number} [radius] - Characters of context on each side
+ * @returns {{ snippet: string, highlights: Array<[number, number]> }}
+ *   Ranges are [start, end) offsets into the snippet
+ */
+export const highlightSnippet = (content = "", pattern, radius = SNIPPET_RADIUS) => {
+  const text = content.replace(/\s+/g, " "); // One line (offsets refer to this text)
+  const matches = pattern ? [...text.matchAll(pattern)] : [];
+  const first = matches.length ? matches[0].index : 0;
+
+  //  Start and end on word boundaries when possible
+  let start = Math.max(first - radius, 0);
+  let end = Math.min(first + radius * 2, text.length);
+  if (start > 0) start = text.indexOf(" ", start) + 1 || start;
+  if (end < text.length) end = text.lastIndexOf(" ", end) > first ? text.lastIndexOf(" ", end) : end;
+
+  const prefix = start > 0 ? "…" : "";
+  const highlights = matches
+    .filter((match) => match.index >= start && match.index + match[0].length <= end)
+    .map((match) => [
+      match.index - start + prefix.length,
+      match.index - start + prefix.length + match[0].length,
+    ]);
+
+  return {
+    snippet: `${prefix}${text.slice(start, end)}${end < text.length ? "…" : ""}`,
+    highlights,
+  };
+};
+
+//  Ids of the messages on the active branch of each thread (see utils/messageTree.js)
+const activeMessageIds = (messages) => {
+  const byThread = new Map();
+  for (const m of messages) {
+    if (!byThread.has(m.threadId)) byThread.set(m.threadId, []);
+    byThread.get(m.threadId).push(m);
+  }
+  return new Set(
+    [...byThread.values()].flatMap((thread) => resolveActivePath(thread).map((m) => String(m._id)))
+  );
+};
+
+/**
+ *  Searches a user's messages and thread titles
+ * @param {object} options
+ * @param {string} options.userId
+ * @param {string} options.query - MongoDB text search string
+ * @param {string} [options.role] - user | assistant
+ * @param {string} [options.threadId] - Limit to one thread
+ * @param {Date} [options.from] - Created at or after
+ * @param {Date} [options.to] - Created before
+ * @param {number} [options.limit] - Messages returned (max SEARCH_MAX_RESULTS)
+ * @returns {Promise<{ messages: Array<object>, threads: Array<object> }>}
+ *   messages → { messageId, threadId, threadTitle, role, createdAt, score, snippet, highlights } (best first)
+ *   threads  → { threadId, title, updatedAt, highlights } whose title matches (no role / thread filter)
+ */
+export const searchConversations = async ({
+  userId,
+  query,
+  role,
+  threadId,
+  from,
+  to,
+  limit = SEARCH_DEFAULT_RESULTS,
+}) => {
+  const owner = new mongoose.Types.ObjectId(String(userId));
+  const text = { $search: query };
+  const createdAt = {
+    ...(from && { $gte: from }),
+    ...(to && { $lt: to }),
+  };
+  const dateFilter = Object.keys(createdAt).length ? { createdAt } : {};
+
+  const [messages, threads] = await Promise.all([
+    Message.find(
+      {
+        userId: owner,
+        $text: text,
+        role: role || { $in: ["user", "assistant"] },
+        stepOf: null,               // Tool steps are not shown as messages
+        selected: { $ne: false },   // Unselected versions (their replies are checked below)
+        ...notBlockedFilter,        // Blocked text stays out of results
+        ...(threadId && { threadId }),
+        ...dateFilter,
+      },
+      { threadId: 1, role: 1, content: 1, createdAt: 1, score: { $meta: "textScore" } }
+    )
+      .sort({ score: { $meta: "textScore" }, createdAt: -1 })
+      .limit(Math.min(limit, SEARCH_MAX_RESULTS) * CANDIDATE_FACTOR)
+      .lean(),
+
+    //  Title matches only make sense without message filters
+    role || threadId
+      ? []
+      : Thread.find(
+          { userId: owner, $text: text, ...dateFilter },
+          { threadId: 1, title: 1, updatedAt: 1, score: { $meta: "textScore" } }
+        )
+          .sort({ score: { $meta: "textScore" } })
+          .limit(10)
+          .lean(),
+  ]);
+
+  //  Thread titles and active branches of the matched messages
+  const matchedThreads = [...new Set(messages.map((m) => m.threadId))];
+  const [titled, trees] = await Promise.all([
+    Thread.find({ userId: owner, threadId: { $in: matchedThreads } }).select("threadId title").lean(),
+    Message.find({ userId: owner, threadId: { $in: matchedThreads }, stepOf: null })
+      .select("threadId parentId selected createdAt")
+      .lean(),
+  ]);
+  const titles = new Map(titled.map((t) => [t.threadId, t.title]));
+  const shown = activeMessageIds(trees);
+
+  const pattern = highlightPattern(query);
+  return {
+    messages: messages
+      .filter((m) => titles.has(m.threadId) && shown.has(String(m._id))) // Skip deleted threads / other branches
+      .slice(0, Math.min(limit, SEARCH_MAX_RESULTS))
+      .map((m) => ({
+        messageId: m._id,
+        threadId: m.threadId,
+        threadTitle: titles.get(m.threadId),
+        role: m.role,
+        createdAt: m.createdAt,
+        score: m.score,
+        ...highlightSnippet(m.content, pattern),
+      })),
+    threads: threads.map((t) => ({
+      threadId: t.threadId,
+      title: t.title,
+      updatedAt: t.updatedAt,
+      highlights: highlightSnippet(t.title, pattern, t.title.length).highlights,
+    })),
+  };
+};
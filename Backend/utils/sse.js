@@ -0,0 +1,39 @@
+
+// Server-Sent Events helpers
+//   Opening an event stream on an Express response
+//   Writing named events to the client
+
+
+/**
+ *  Checks whether the client asked for a streamed (SSE) response
+ * @param {import("express").Request} req
+ * @returns {boolean}
+ */
+export const wantsEventStream = (req) =>
+  (req.headers.accept || "").includes("text/event-stream");
+
+/**
+ *  Sends SSE headers and keeps the connection open
+ * @param {import("express").Response} res
+ */
+export const openEventStream = (res) => {
+  res.status(200);
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // Disable proxy buffering (nginx / Render)
+  });
+  res.flushHeaders();
+};
+
+/**
+ *  Writes one named event with a JSON payload
+ * @param {import("express").Response} res
+ * @param {string} event - Event name (token, done, error…)
+ * @param {object} data - JSON-serialisable payload
+ */
+export const writeEvent = (res, event, data) => {
+  if (res.writableEnded || res.destroyed) return; // Client already gone
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
@@ -0,0 +1,126 @@
+
+// Rolling conversation summaries
+// Once the unsummarised part of a thread's active branch grows past a
+// threshold, its older turns are condensed (together with any previous
+// summary) into one running summary stored on the Thread. Later prompts
+// send that summary instead of the raw turns it covers (see history.js).
+//
+// A summary records the last message it covers (upToId); it is only used
+// while that message is on the active branch, so switching versions or
+// editing an earlier message falls back to the raw history.
+
+
+import "dotenv/config";
+import Thread from "../models/Thread.js";
+import { loadActivePath } from "./messageTree.js";
+import { estimateMessageTokens } from "./tokenCounter.js";
+import { providerForUser } from "./redaction.js";
+import { normalizeUsage, estimateUsage, recordUsage } from "./usage.js";
+import { isBlocked } from "./moderation.js";
+
+//  Unsummarised history size that triggers a compaction (configurable through .env)
+export const SUMMARY_TRIGGER_TOKENS =
+  parseInt(process.env.SUMMARY_TRIGGER_TOKENS, 10) || 2000;
+
+//  Newest turns always kept verbatim after a compaction
+export const SUMMARY_KEEP_TOKENS =
+  parseInt(process.env.SUMMARY_KEEP_TOKENS, 10) || 800;
+
+//  Instructions for the summarisation call
+const SUMMARY_PROMPT =
+  "You maintain a running summary of a conversation between a user and an assistant. " +
+  "Merge the previous summary (if any) with the new messages into one concise summary. " +
+  "Keep facts, decisions, names, numbers, code identifiers and open questions; drop small talk. " +
+  "Write it in the third person, at most 250 words. Reply with the summary only.";
+
+/**
+ *  Finds where a thread's summary ends on an active path
+ * @param {object} thread - Thread document (uses thread.summary)
+ * @param {Array<object>} path - Active path (oldest → newest)
+ * @returns {number} - Index of the last covered message, or -1 if the summary is unusable
+ */
+export const summaryIndex = (thread, path) => {
+  const upToId = thread?.summary?.upToId;
+  if (!upToId || !thread.summary.content) return -1;
+  return path.findIndex((m) => String(m._id) === String(upToId));
+};
+
+/**
+ *  Flags the message after which the thread was compacted (for the UI marker)
+ * @param {object} thread - Thread document
+ * @param {Array<object>} path - Active path
+ * @returns {Array<object>} - Same path; the last summarised message gets `summarized: true`
+ */
+export const markSummary = (thread, path) => {
+  const index = summaryIndex(thread, path);
+  if (index !== -1) path[index] = { ...path[index], summarized: true };
+  return path;
+};
+
+//  Formats messages as a plain transcript for the summariser
+const toTranscript = (messages) =>
+  messages
+    .filter((m) => !isBlocked(m)) // Blocked turns never reach the model
+    .map((m) => `${m.role === "user" ? "User" : "Assistant"}: ${m.content}`)
+    .join("\n\n");
+
+/**
+ *  Compacts a thread if its unsummarised history passed the threshold.
+ *  Never throws: on failure the previous summary (or raw history) stays in use.
+ * @param {object} options
+ * @param {string} options.userId - Owner of the thread
+ * @param {object} options.thread - Thread document
+ * @param {string} [options.model] - Chat model id used for the summary
+ * @returns {Promise<object|null>} - New summary, or null if nothing changed
+ */
+export const compactThread = async ({ userId, thread, model }) => {
+  try {
+    const path = await loadActivePath({ userId, threadId: thread.threadId });
+    const start = summaryIndex(thread, path);
+    const previous = start === -1 ? "" : thread.summary.content;
+    const pending = path.slice(start + 1);
+
+    const cost = (m) => estimateMessageTokens(m);
+    const total = pending.reduce((sum, m) => sum + cost(m), 0);
+    if (total < SUMMARY_TRIGGER_TOKENS) return null;
+
+    //  Keep the newest turns verbatim; the condensed part ends on a reply
+    let split = pending.length;
+    let kept = 0;
+    while (split > 0 && kept + cost(pending[split - 1]) <= SUMMARY_KEEP_TOKENS) {
+      kept += cost(pending[--split]);
+    }
+    while (split > 0 && pending[split - 1].role !== "assistant") split--;
+    if (split === 0) return null;
+
+    const condensed = pending.slice(0, split);
+    const messages = [
+      { role: "system", content: SUMMARY_PROMPT },
+      {
+        role: "user",
+        content:
+          (previous ? `Previous summary:\n${previous}\n\n` : "") +
+          `New messages:\n${toTranscript(condensed)}`,
+      },
+    ];
+    const provider = await providerForUser(userId); // Redacts PII if the user asked for it
+    const completion = await provider.chat({ model, maxTokens: 400, temperature: 0.2, messages });
+
+    const usage = normalizeUsage(completion.usage) || estimateUsage(messages, completion.content);
+    await recordUsage({ userId, threadId: thread.threadId, model, usage, background: "summary" });
+
+    const content = completion.content?.trim();
+    if (!content) return null;
+
+    const summary = {
+      content,
+      upToId: condensed[condensed.length - 1]._id,
+      updatedAt: new Date(),
+    };
+    await Thread.updateOne({ _id: thread._id }, { summary });
+    return summary;
+  } catch (err) {
+    console.error("Summary error:", err.message);
+    return null;
+  }
+};
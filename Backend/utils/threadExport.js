@@ -0,0 +1,346 @@
+
+// Thread export
+//   Markdown → the conversation as one .md file (replies kept verbatim, so
+//              code blocks come through exactly)
+//   JSON     → every field needed to rebuild the conversation
+//   HTML     → a standalone page (styles inlined, no scripts) rendered like
+//              Chat.jsx: Markdown replies with highlight.js + github-dark
+//   Zip      → every thread of a user in one of the formats above
+//
+// Exports follow the active branch of each thread (the versions shown in the chat).
+
+
+import fs from "fs";
+import { fileURLToPath } from "url";
+import { Marked } from "marked";
+import { markedHighlight } from "marked-highlight";
+import hljs from "highlight.js";
+import { ZipArchive } from "archiver";
+import Thread from "../models/Thread.js";
+import { loadActivePath } from "./messageTree.js";
+import { attachToolSteps } from "./toolLoop.js";
+
+//  Supported formats → file extension and MIME type
+export const EXPORT_FORMATS = {
+  md: { extension: "md", mimeType: "text/markdown; charset=utf-8" },
+  json: { extension: "json", mimeType: "application/json; charset=utf-8" },
+  html: { extension: "html", mimeType: "text/html; charset=utf-8" },
+};
+
+//  Names shown for each role in Markdown and HTML
+const ROLE_LABELS = { user: "User", assistant: "Assistant" };
+
+//  File name from a thread title ("Fix the nginx config" → "fix-the-nginx-config")
+export const exportFilename = (title, extension) => {
+  const slug = (title || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "") // "é" → "e"
+    .replace(/[^\p{L}\p{N}]+/gu, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60);
+  return `${slug || "conversation"}.${extension}`;
+};
+
+//  HTML-escapes text
+const escapeHtml = (text = "") =>
+  String(text).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+
+//  LOADING
+
+/**
+ *  Loads a thread and the messages of its active branch (with tool steps)
+ * @param {object} options
+ * @param {string} options.userId
+ * @param {string} options.threadId
+ * @returns {Promise<{ thread: object, messages: Array<object> }|null>} - null when the thread is missing
+ */
+export const loadThreadExport = async ({ userId, threadId }) => {
+  const thread = await Thread.findOne({ threadId, userId }).lean();
+  if (!thread) return null;
+
+  const path = await loadActivePath({ userId, threadId });
+  const messages = await attachToolSteps(path.filter((m) => m.role === "user" || m.role === "assistant"));
+  return { thread, messages };
+};
+
+
+//  MARKDOWN
+
+//  "Attachments: a.pdf, b.png" / "Sources: [1] Handbook" lines under a message
+const markdownNotes = (message) =>
+  [
+    message.attachments?.length && `*Attachments: ${message.attachments.map((a) => a.name).join(", ")}*`,
+    message.citations?.length &&
+      `*Sources: ${message.citations.map((c) => `[${c.n}] ${c.title}`).join(", ")}*`,
+    message.interrupted && "*(Stopped before the reply finished)*",
+  ].filter(Boolean);
+
+//  Closes a code block left open (reply stopped mid-code) so it can't swallow the next turns
+const closeFences = (content = "") => {
+  const fences = content.match(/^ {0,3}(`{3,}|~{3,})/gm) || [];
+  let open = null;
+  for (const fence of fences.map((f) => f.trim())) {
+    if (!open) open = fence;
+    else if (fence[0] === open[0] && fence.length >= open.length) open = null;
+  }
+  return open ? `${content}\n${open}` : content;
+};
+
+/**
+ *  Renders a thread as Markdown
+ * @param {{ thread: object, messages: Array<object> }} data - See loadThreadExport
+ * @returns {string}
+ */
+export const toMarkdown = ({ thread, messages }) => {
+  const header = [
+    `# ${thread.title}\n`,
+    `- Exported: ${new Date().toISOString()}`,
+    `- Created: ${new Date(thread.createdAt).toISOString()}`,
+    thread.model && `- Model: ${thread.model}`,
+    thread.systemPrompt && `\n**Thread instructions**\n\n${thread.systemPrompt.replace(/^/gm, "> ")}`,
+  ].filter(Boolean);
+
+  const turns = messages.map((message) =>
+    [
+      `## ${ROLE_LABELS[message.role]}`,
+      `*${new Date(message.createdAt).toISOString()}${message.model ? ` · ${message.model}` : ""}*`,
+      closeFences(message.content),
+      ...markdownNotes(message),
+    ]
+      .filter(Boolean)
+      .join("\n\n")
+  );
+
+  return `${[header.join("\n"), ...turns].join("\n\n---\n\n")}\n`;
+};
+
+
+//  JSON
+
+/**
+ *  Renders a thread as JSON (pretty-printed)
+ * @param {{ thread: object, messages: Array<object> }} data - See loadThreadExport
+ * @returns {string}
+ */
+export const toJson = ({ thread, messages }) =>
+  JSON.stringify(
+    {
+      format: "sigmagpt-thread",
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      thread: {
+        threadId: thread.threadId,
+        title: thread.title,
+        model: thread.model || null,
+        systemPrompt: thread.systemPrompt || "",
+        createdAt: thread.createdAt,
+        updatedAt: thread.updatedAt,
+      },
+      messages: messages.map((m) => ({
+        id: m._id,
+        parentId: m.parentId || null,
+        role: m.role,
+        content: m.content || "",
+        createdAt: m.createdAt,
+        ...(m.model && { model: m.model }),
+        ...(m.interrupted && { interrupted: true }),
+        ...(m.attachments?.length && {
+          attachments: m.attachments.map(({ name, mimeType, size, kind }) => ({ name, mimeType, size, kind })),
+        }),
+        ...(m.citations?.length && {
+          citations: m.citations.map(({ n, title, excerpt }) => ({ n, title, excerpt })),
+        }),
+        ...(m.steps?.length && { steps: m.steps }),
+      })),
+    },
+    null,
+    2
+  );
+
+
+//  HTML
+
+//  Entities a browser decodes inside an href attribute ("jav&#x61;script:")
+const NAMED_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", colon: ":", tab: "\t", newline: "\n" };
+const decodeEntities = (text) =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);?/gi, (entity, name) => {
+    if (name[0] === "#") {
+      const code = name[1].toLowerCase() === "x" ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : "";
+    }
+    return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+  });
+
+//  Link target as written into the page: an absolute http(s) / mailto URL, else "#"
+//  (checked after decoding, and emitted in its parsed form so the browser sees the same URL)
+const safeHref = (href = "") => {
+  try {
+    const url = new URL(decodeEntities(href).trim());
+    return ["http:", "https:", "mailto:"].includes(url.protocol) ? url.href : "#";
+  } catch {
+    return "#";
+  }
+};
+
+//  Markdown → HTML like react-markdown + rehype-highlight in Chat.jsx:
+//  raw HTML shown as text, code highlighted only when its language is known,
+//  links limited to absolute http(s) / mailto URLs
+const markdown = new Marked(
+  markedHighlight({
+    emptyLangClass: "hljs",
+    langPrefix: "hljs language-",
+    highlight: (code, lang) =>
+      hljs.getLanguage(lang) ? hljs.highlight(code, { language: lang }).value : escapeHtml(code),
+  }),
+  {
+    renderer: {
+      html: ({ text }) => escapeHtml(text),
+    },
+    walkTokens: (token) => {
+      if (token.type === "link" || token.type === "image") token.href = safeHref(token.href);
+    },
+  }
+);
+
+//  Code theme used by Chat.jsx (read once, inlined into every page)
+let codeTheme = null;
+const loadCodeTheme = () => {
+  codeTheme ??= fs.readFileSync(
+    fileURLToPath(import.meta.resolve("highlight.js/styles/github-dark.css")),
+    "utf8"
+  );
+  return codeTheme;
+};
+
+//  Page layout (dark chat look of the app)
+const PAGE_STYLE = `
+body { margin: 0; background: #212121; color: #e0e0e0; font: 15px/1.6 system-ui, -apple-system, "Segoe UI", sans-serif; }
+main { max-width: 820px; margin: 0 auto; padding: 32px 20px 64px; }
+header h1 { margin: 0 0 4px; font-size: 1.6rem; }
+header p, .meta, .notes { color: #9a9a9a; font-size: 0.8rem; }
+.instructions { margin: 16px 0; padding: 10px 14px; border-left: 3px solid #339cff; background: #2a2a2a; white-space: pre-wrap; }
+.message { margin: 28px 0; }
+.message.user { display: flex; flex-direction: column; align-items: flex-end; }
+.message.user .bubble { max-width: 500px; padding: 10px 20px; border-radius: 14px; background: #323232; white-space: pre-wrap; word-break: break-word; }
+.message .role { font-weight: 600; font-size: 0.85rem; }
+pre { overflow-x: auto; }
+pre code.hljs { border-radius: 14px; }
+:not(pre) > code { padding: 1px 5px; border-radius: 5px; background: #2f2f2f; }
+a { color: #339cff; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #3a3a3a; padding: 4px 8px; }
+`;
+
+//  One message as HTML (user text as written, replies as Markdown)
+const htmlMessage = (message) => {
+  const body =
+    message.role === "user"
+      ? `<div class="bubble">${escapeHtml(message.content)}</div>`
+      : markdown.parse(message.content || "");
+  const notes = markdownNotes(message).map((note) => escapeHtml(note.replace(/^\*|\*$/g, "")));
+
+  return `<section class="message ${message.role}">
+<div class="role">${ROLE_LABELS[message.role]}</div>
+<div class="meta">${escapeHtml(new Date(message.createdAt).toLocaleString("en-US"))}${message.model ? ` · ${escapeHtml(message.model)}` : ""}</div>
+${body}
+${notes.map((note) => `<p class="notes">${note}</p>`).join("\n")}
+</section>`;
+};
+
+/**
+ *  Renders a thread as a standalone HTML page
+ * @param {{ thread: object, messages: Array<object> }} data - See loadThreadExport
+ * @returns {string}
+ */
+export const toHtml = ({ thread, messages }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(thread.title)}</title>
+<style>${loadCodeTheme()}${PAGE_STYLE}</style>
+</head>
+<body>
+<main>
+<header>
+<h1>${escapeHtml(thread.title)}</h1>
+<p>Exported from SigmaGPT on ${escapeHtml(new Date().toLocaleString("en-US"))}${thread.model ? ` · ${escapeHtml(thread.model)}` : ""}</p>
+${thread.systemPrompt ? `<div class="instructions">${escapeHtml(thread.systemPrompt)}</div>` : ""}
+</header>
+${messages.map(htmlMessage).join("\n")}
+</main>
+</body>
+</html>
+`;
+
+//  Format → renderer
+const RENDERERS = { md: toMarkdown, json: toJson, html: toHtml };
+
+/**
+ *  Renders a loaded thread in one of the EXPORT_FORMATS
+ * @param {{ thread: object, messages: Array<object> }} data - See loadThreadExport
+ * @param {string} format - md | json | html
+ * @returns {string}
+ */
+export const renderExport = (data, format) => RENDERERS[format](data);
+
+
+//  ZIP
+
+/**
+ *  Streams every thread of a user as a zip (one file per thread, newest first)
+ * @param {object} options
+ * @param {string} options.userId
+ * @param {string} options.format - md | json | html
+ * @param {import("stream").Writable} options.output - e.g. the Express response
+ * @param {AbortSignal} [options.signal] - Aborts the zip (client left)
+ * @returns {Promise<number|null>} - Threads exported (null when aborted)
+ */
+export const streamThreadsZip = async ({ userId, format, output, signal }) => {
+  const archive = new ZipArchive({ zlib: { level: 6 } });
+  archive.pipe(output);
+
+  //  Settles when the zip fails or is aborted (finalize() never resolves after abort())
+  let stop;
+  const stopped = new Promise((resolve, reject) => {
+    stop = { resolve, reject };
+  });
+  archive.on("error", (err) => stop.reject(err));
+  const onAbort = () => {
+    archive.abort();
+    stop.resolve(null);
+  };
+  if (signal?.aborted) onAbort();
+  else signal?.addEventListener("abort", onAbort, { once: true });
+
+  const work = async () => {
+    const threads = await Thread.find({ userId }).sort({ createdAt: -1 }).select("threadId").lean();
+    const used = new Set();
+    let count = 0;
+
+    for (const { threadId } of threads) {
+      if (signal?.aborted) return null;
+      const data = await loadThreadExport({ userId, threadId });
+      if (!data) continue; // Deleted meanwhile
+
+      //  Unique names ("notes.md", "notes-2.md"…)
+      const base = exportFilename(data.thread.title, EXPORT_FORMATS[format].extension);
+      let name = base;
+      for (let n = 2; used.has(name); n++) name = base.replace(/(\.\w+)$/, `-${n}$1`);
+      used.add(name);
+
+      archive.append(renderExport(data, format), { name, date: data.thread.updatedAt });
+      count++;
+    }
+    await archive.finalize();
+    return count;
+  };
+
+  try {
+    return await Promise.race([work(), stopped]);
+  } finally {
+    signal?.removeEventListener("abort", onAbort);
+  }
+};
@@ -0,0 +1,91 @@
+
+// Thread title generation
+// Summarises the first exchange of a thread into a short title
+// with a small completion call, so the sidebar shows what a chat
+// is about instead of its first five words.
+
+
+import Thread from "../models/Thread.js";
+import { providerForUser } from "./redaction.js";
+import { DEFAULT_MODEL_ID } from "../config/models.js";
+import { normalizeUsage, estimateUsage, recordUsage } from "./usage.js";
+
+//  Instructions for the summarisation call
+const TITLE_PROMPT =
+  "Write a short title (max 6 words) for the conversation below. " +
+  "Reply with the title only: no quotes, no trailing punctuation.";
+
+//  Longest title we store
+const MAX_TITLE_LENGTH = 60;
+
+//  Removes quotes / "Title:" prefixes the model sometimes adds
+const cleanTitle = (text = "") =>
+  text
+    .split("\n")[0]
+    .replace(/^title:\s*/i, "")
+    .replace(/^["'`*\s]+|["'`*.\s]+$/g, "")
+    .slice(0, MAX_TITLE_LENGTH)
+    .trim();
+
+/**
+ *  Generates a title from the first user message and reply
+ * @param {object} options
+ * @param {string} options.userText - First user message
+ * @param {string} options.reply - First assistant reply
+ * @param {string} options.userId - User charged for the tokens
+ * @param {string} options.threadId - Thread being titled
+ * @returns {Promise<string>} - Cleaned title ("" if the model gave nothing usable)
+ */
+export const generateTitle = async ({ userText, reply, userId, threadId }) => {
+  const messages = [
+    { role: "system", content: TITLE_PROMPT },
+    {
+      role: "user",
+      content: `User: ${userText.slice(0, 1000)}\n\nAssistant: ${reply.slice(0, 1000)}`,
+    },
+  ];
+  const provider = await providerForUser(userId); // Redacts PII if the user asked for it
+  const completion = await provider.chat({
+    model: DEFAULT_MODEL_ID,
+    maxTokens: 20,
+    temperature: 0.3,
+    messages,
+  });
+
+  const usage = normalizeUsage(completion.usage) || estimateUsage(messages, completion.content);
+  await recordUsage({ userId, threadId, model: DEFAULT_MODEL_ID, usage, background: "title" });
+
+  return cleanTitle(completion.content);
+};
+
+/**
+ *  Titles a thread after its first exchange, unless it was renamed meanwhile.
+ *  Never throws: a failed title call just keeps the placeholder title.
+ * @param {object} options
+ * @param {object} options.thread - Thread document
+ * @param {string} options.userText - First user message
+ * @param {string} options.reply - First assistant reply
+ * @returns {Promise<string|null>} - New title, or null if unchanged
+ */
+export const autoTitleThread = async ({ thread, userText, reply }) => {
+  try {
+    const title = await generateTitle({
+      userText,
+      reply,
+      userId: thread.userId,
+      threadId: thread.threadId,
+    });
+    if (!title) return null;
+
+    //  Only replace the placeholder (a user rename always wins)
+    const updated = await Thread.findOneAndUpdate(
+      { _id: thread._id, titleSource: "message" },
+      { title, titleSource: "generated" },
+      { new: true }
+    );
+    return updated ? title : null;
+  } catch (err) {
+    console.error("Title generation error:", err.message);
+    return null;
+  }
+};
@@ -0,0 +1,46 @@
+
+// Lightweight token estimation helpers
+// Used to keep prompts inside the model's context window
+// without pulling in a full tokenizer.
+
+
+//  Rough average for English text with GPT-style tokenizers
+const CHARS_PER_TOKEN = 4;
+
+//  Fixed cost the chat format adds around every message (role, separators)
+const MESSAGE_OVERHEAD = 4;
+
+/**
+ *  Estimates how many tokens a piece of text will use
+ * @param {string} text - Any text content
+ * @returns {number} - Approximate token count
+ */
+export const estimateTokens = (text = "") => {
+  if (!text) return 0;
+  return Math.ceil(String(text).length / CHARS_PER_TOKEN);
+};
+
+//  Flat cost of an image part (a high-detail image of about 1024×1024)
+const IMAGE_TOKENS = 800;
+
+/**
+ *  Estimates the tokens of message content: text, or content parts
+ *  (text + images) as sent to vision models
+ * @param {string|Array<object>} content
+ * @returns {number}
+ */
+export const estimateContentTokens = (content) => {
+  if (!Array.isArray(content)) return estimateTokens(content);
+  return content.reduce(
+    (sum, part) => sum + (part.type === "text" ? estimateTokens(part.text) : IMAGE_TOKENS),
+    0
+  );
+};
+
+/**
+ *  Estimates the tokens used by a single chat message ({ role, content })
+ * @param {{ role: string, content: string|Array<object> }} message
+ * @returns {number}
+ */
+export const estimateMessageTokens = (message) =>
+  estimateContentTokens(message?.content) + MESSAGE_OVERHEAD;
@@ -0,0 +1,171 @@
+
+// Tool-calling loop
+//   Advertises the registry's tools to the model
+//   Runs the tool calls it requests and feeds the results back, round after round,
+//   until the model answers in plain text
+//   Saves every round as "step" messages attached to the final reply
+
+
+import Message from "../models/Message.js";
+import { toolDefinitions, runToolCall } from "../tools/index.js";
+import { normalizeUsage, estimateUsage, addUsage } from "./usage.js";
+
+//  Tool rounds allowed before the model must answer without tools
+export const MAX_TOOL_ROUNDS = 5;
+
+/**
+ *  Runs a completion, executing tool calls until the model replies with text
+ * @param {object} options
+ * @param {object} options.provider - LLM provider (providers/index.js)
+ * @param {object} options.options - Completion options (messages, model, signal…)
+ * @param {{ userId: string, threadId: string }} options.context - Passed to every tool
+ * @param {boolean} [options.stream] - Stream tokens (reported through onEvent)
+ * @param {boolean} [options.useTools] - Advertise tools (false for models without tool support)
+ * @param {Function} [options.onEvent] - (event, data) for "token", "tool" and "tool_result"
+ * @param {object} [options.state] - Progress { reply, steps, usage, requests }; still readable if the request is aborted
+ * @returns {Promise<object>} - The state: reply, steps ([{ content, calls: [{ id, name, arguments, result }] }]),
+ *   usage summed over every round (estimated where the provider reported none) and requests (rounds run)
+ */
+export const completeWithTools = async ({
+  provider,
+  options,
+  context,
+  stream = false,
+  useTools = true,
+  onEvent = () => {},
+  state = { reply: "", steps: [], usage: null, requests: 0 },
+}) => {
+  const messages = [...options.messages];
+  const tools = useTools ? toolDefinitions() : [];
+
+  for (let round = 0; ; round++) {
+    //  Out of rounds → no tools offered, so the model has to answer
+    const roundTools = round < MAX_TOOL_ROUNDS ? tools : [];
+    let toolCalls = [];
+    let reported = null;
+    state.reply = "";
+    state.requests++;
+
+    //  Usage of this round (estimated if the provider did not report it, e.g. when aborted)
+    const countRound = () => {
+      const output = state.reply + toolCalls.map((call) => call.name + call.arguments).join("");
+      state.usage = addUsage(state.usage, normalizeUsage(reported) || estimateUsage(messages, output));
+    };
+
+    try {
+      if (stream) {
+        for await (const chunk of provider.chatStream({ ...options, messages, tools: roundTools })) {
+          if (chunk.content) {
+            state.reply += chunk.content;
+            onEvent("token", { content: chunk.content });
+          }
+          if (chunk.toolCalls) toolCalls = chunk.toolCalls;
+          if (chunk.usage) reported = chunk.usage;
+        }
+      } else {
+        const completion = await provider.chat({ ...options, messages, tools: roundTools });
+        state.reply = completion.content || "";
+        toolCalls = completion.toolCalls || [];
+        reported = completion.usage;
+      }
+    } finally {
+      countRound();
+    }
+
+    if (!toolCalls.length) return state;
+
+    //  Run the requested tools, then let the model continue with their results
+    const step = { content: state.reply.trim(), calls: [] };
+    state.steps.push(step);
+    messages.push({
+      role: "assistant",
+      content: step.content || null,
+      tool_calls: toolCalls.map((call) => ({
+        id: call.id,
+        type: "function",
+        function: { name: call.name, arguments: call.arguments },
+      })),
+    });
+
+    for (const call of toolCalls) {
+      onEvent("tool", { id: call.id, name: call.name, arguments: call.arguments });
+      const result = await runToolCall(call, context);
+      step.calls.push({ ...call, result });
+      onEvent("tool_result", { id: call.id, result });
+      messages.push({ role: "tool", tool_call_id: call.id, content: result });
+    }
+  }
+};
+
+/**
+ *  Saves tool rounds as messages attached to the final reply
+ * @param {object} options
+ * @param {object} options.reply - Saved final assistant message
+ * @param {Array<object>} options.steps - Steps from completeWithTools
+ * @returns {Promise<Array<object>>} - Steps in the shape sent to the UI (see toViewSteps)
+ */
+export const saveToolSteps = async ({ reply, steps }) => {
+  if (!steps.length) return [];
+
+  const base = { userId: reply.userId, threadId: reply.threadId, stepOf: reply._id };
+  const docs = steps.flatMap((step) => [
+    {
+      ...base,
+      role: "assistant",
+      content: step.content,
+      toolCalls: step.calls.map(({ id, name, arguments: args }) => ({ id, name, arguments: args })),
+    },
+    ...step.calls.map((call) => ({
+      ...base,
+      role: "tool",
+      content: call.result,
+      toolCallId: call.id,
+      toolName: call.name,
+    })),
+  ]);
+
+  //  insertMany keeps order (ids increase), which is how steps are read back
+  const saved = await Message.insertMany(docs);
+  return toViewSteps(saved);
+};
+
+//  Flattens step messages into [{ id, name, arguments, result }] for the UI
+const toViewSteps = (messages) => {
+  const results = new Map(
+    messages.filter((m) => m.role === "tool").map((m) => [m.toolCallId, m.content])
+  );
+  return messages
+    .filter((m) => m.toolCalls?.length)
+    .flatMap((m) =>
+      m.toolCalls.map((call) => ({
+        id: call.id,
+        name: call.name,
+        arguments: call.arguments,
+        result: results.get(call.id) ?? null,
+      }))
+    );
+};
+
+/**
+ *  Adds `steps` (tool calls + results) to replies on a path that used tools
+ * @param {Array<object>} path - Active path (plain objects)
+ * @returns {Promise<Array<object>>}
+ */
+export const attachToolSteps = async (path) => {
+  const replyIds = path.filter((m) => m.role === "assistant").map((m) => m._id);
+  if (!replyIds.length) return path;
+
+  const stepMessages = await Message.find({ stepOf: { $in: replyIds } }).sort({ _id: 1 }).lean();
+  if (!stepMessages.length) return path;
+
+  const byReply = new Map();
+  for (const m of stepMessages) {
+    const key = String(m.stepOf);
+    if (!byReply.has(key)) byReply.set(key, []);
+    byReply.get(key).push(m);
+  }
+
+  return path.map((m) =>
+    byReply.has(String(m._id)) ? { ...m, steps: toViewSteps(byReply.get(String(m._id))) } : m
+  );
+};
@@ -0,0 +1,124 @@
+
+// Token usage accounting
+//   Normalising the usage reported by providers (or estimating it when missing)
+//   Recording it per thread and per user per day (models/Usage.js)
+// Per-message usage is saved on the assistant Message by the chat controller.
+
+
+import Thread from "../models/Thread.js";
+import Usage from "../models/Usage.js";
+import { estimateTokens, estimateMessageTokens } from "./tokenCounter.js";
+
+/**
+ *  Converts a provider usage object to our shape
+ * @param {object} [raw] - OpenAI-style { prompt_tokens, completion_tokens, total_tokens }
+ * @returns {object|null} - { promptTokens, completionTokens, totalTokens } or null if not reported
+ */
+export const normalizeUsage = (raw) => {
+  if (!raw || raw.prompt_tokens === undefined) return null;
+  const promptTokens = raw.prompt_tokens || 0;
+  const completionTokens = raw.completion_tokens || 0;
+  return { promptTokens, completionTokens, totalTokens: raw.total_tokens || promptTokens + completionTokens };
+};
+
+/**
+ *  Estimates usage for a call whose provider did not report it
+ * @param {Array<object>} messages - Messages sent to the model
+ * @param {string} output - Text the model produced
+ * @returns {object} - Usage with `estimated: true`
+ */
+export const estimateUsage = (messages, output) => {
+  const promptTokens = messages.reduce((sum, m) => sum + estimateMessageTokens(m), 0);
+  const completionTokens = estimateTokens(output);
+  return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens, estimated: true };
+};
+
+/**
+ *  Adds two usage objects (estimated if either one is)
+ * @param {object} [a]
+ * @param {object} [b]
+ * @returns {object}
+ */
+export const addUsage = (a, b) => ({
+  promptTokens: (a?.promptTokens || 0) + (b?.promptTokens || 0),
+  completionTokens: (a?.completionTokens || 0) + (b?.completionTokens || 0),
+  totalTokens: (a?.totalTokens || 0) + (b?.totalTokens || 0),
+  estimated: Boolean(a?.estimated || b?.estimated),
+});
+
+//  UTC day key ("2024-05-31")
+export const dayKey = (date = new Date()) => date.toISOString().slice(0, 10);
+
+/**
+ *  Sums a user's usage for today (UTC), across models
+ * @param {string} userId
+ * @returns {Promise<{ messages: number, totalTokens: number, voiceSeconds: number }>}
+ */
+export const todayUsage = async (userId) => {
+  const docs = await Usage.find({ userId, date: dayKey() }).lean();
+  return docs.reduce(
+    (sum, doc) => ({
+      messages: sum.messages + (doc.messages || 0),
+      totalTokens: sum.totalTokens + (doc.totalTokens || 0),
+      voiceSeconds: sum.voiceSeconds + (doc.voiceSeconds || 0),
+    }),
+    { messages: 0, totalTokens: 0, voiceSeconds: 0 }
+  );
+};
+
+/**
+ *  Adds one call's usage to the thread and daily user totals.
+ *  Never throws: accounting must not break a chat.
+ * @param {object} options
+ * @param {string} options.userId - User the tokens were spent for
+ * @param {string} [options.threadId] - Thread to charge (none for e.g. voice without a thread)
+ * @param {string} options.model - Model id
+ * @param {object} options.usage - { promptTokens, completionTokens, totalTokens }
+ * @param {number} [options.requests] - Model calls covered by this usage (tool loops make several)
+ * @param {number} [options.messages] - Replies delivered to the user (1 for chat / voice answers)
+ * @param {number} [options.voiceSeconds] - Audio transcribed for this call
+ * @param {string} [options.background] - title | summary | memory | knowledge for upkeep calls
+ *   (also counted under Usage.background, so the usage panel can list them apart)
+ */
+export const recordUsage = async ({
+  userId,
+  threadId,
+  model,
+  usage,
+  requests = 1,
+  messages = 0,
+  voiceSeconds = 0,
+  background,
+}) => {
+  if (!usage) return;
+  const inc = {
+    promptTokens: usage.promptTokens,
+    completionTokens: usage.completionTokens,
+    totalTokens: usage.totalTokens,
+  };
+
+  try {
+    await Promise.all([
+      Usage.updateOne(
+        { userId, date: dayKey(), model },
+        {
+          $inc: {
+            ...inc,
+            requests,
+            messages,
+            voiceSeconds,
+            ...(background && { [`background.${background}`]: usage.totalTokens }),
+          },
+        },
+        { upsert: true }
+      ),
+      threadId &&
+        Thread.updateOne(
+          { threadId, userId },
+          { $inc: Object.fromEntries(Object.entries(inc).map(([k, v]) => [`usage.${k}`, v])) }
+        ),
+    ]);
+  } catch (err) {
+    console.error("Usage accounting error:", err.message);
+  }
+};
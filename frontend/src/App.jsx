@@ -60,6 +60,7 @@ function App() {
   const [newChat, setNewChat] = useState(true); // flag for new conversation
   const [allThreads, setAllThreads] = useState([]); // list of all user threads
   const [refreshThreads, setRefreshThreads] = useState(null); // used to refresh sidebar threads
+  const [focusMessageId, setFocusMessageId] = useState(null); // message to scroll to (search result)
 
   //  Get user data from authentication context
   const { user } = useAuth();
@@ -101,6 +102,8 @@ function App() {
     setAllThreads,
     refreshThreads,
     setRefreshThreads,
+    focusMessageId,
+    setFocusMessageId,
   };
 
   
@@ -3,6 +3,18 @@
 // Renders the complete chat interface for SigmaGPT.
 // Handles message history display, Markdown rendering,
 // syntax highlighting for code blocks, and the typing effect.
+// Text chat replies are streamed into the last message by ChatWindow;
+// the typing effect is only used for replies set through `reply` (voice).
+// Messages with several versions get "< 2/3 >" controls, the last
+// assistant reply can be regenerated and earlier user messages can be
+// edited (which forks the conversation into a new branch).
+// A divider marks where older turns were compacted into the thread summary.
+// Tool calls made for a reply are shown above it as collapsible steps.
+// Files attached to a user message are shown as chips (click to download),
+// images as thumbnails (click to open).
+// Knowledge base citations ([1], [2]…) link to their source document,
+// listed under the reply.
+// A message opened from search is scrolled into view and briefly highlighted.
 
 
 import "./Chat.css";
@@ -11,6 +23,10 @@ import { MyContext } from "./MyContext.jsx";
 import ReactMarkdown from "react-markdown";
 import rehypeHighlight from "rehype-highlight";
 import "highlight.js/styles/github-dark.css";
+import { attachmentIcon, formatFileSize, downloadAttachment } from "./utils/attachments.js";
+import AttachmentThumbnail from "./components/AttachmentThumbnail.jsx";
+import { linkCitations, openKnowledgeDocument } from "./utils/knowledge.js";
+import { toast } from "react-toastify";
 
 
 //  Chat Component
@@ -19,14 +35,68 @@ import "highlight.js/styles/github-dark.css";
 //  All previous chat messages (user + assistant)
 // Typing animation for the latest AI reply
 // - Markdown-rendered responses with syntax highlighting
+// - Version switcher, regenerate + edit buttons (actions handled by ChatWindow)
+// - Tool steps (calculator, date/time, thread search…) with input and result
+// - Failed replies with the error and a Retry button
+// - Moderation labels (flagged, blocked, withheld)
+// - Attached files as download chips, images as thumbnails
+// - Numbered knowledge base citations with their sources
+//
+// Props:
+//  busy             → a reply is streaming (actions disabled)
+//  onRegenerate()   → regenerate the last assistant reply
+//  onRetry()        → retry the failed last reply
+//  onSelectVersion(messageId) → switch to another version of a message
+//  onEdit(index, messageId, text) → edit a user message (new branch)
 
-function Chat() {
+//  Friendly names for built-in tools (unknown tools show their raw name)
+const TOOL_LABELS = {
+  calculator: "Calculator",
+  current_datetime: "Date & time",
+  search_threads: "Searched your chats",
+};
+
+//  Pretty-prints a JSON string (falls back to the raw text)
+const formatJson = (text) => {
+  try {
+    return JSON.stringify(JSON.parse(text), null, 2);
+  } catch {
+    return text;
+  }
+};
+
+function Chat({ busy, onRegenerate, onRetry, onSelectVersion, onEdit }) {
   //  Access shared chat data from context
-  const { newChat, prevChats, reply } = useContext(MyContext);
+  const { newChat, prevChats, reply, focusMessageId, setFocusMessageId } = useContext(MyContext);
 
   // Stores the typing-effect portion of the AI's latest reply
   const [latestReply, setLatestReply] = useState(null);
 
+  // User message being edited: { index, text } or null
+  const [editing, setEditing] = useState(null);
+
+  //  Search result → scroll to the message and highlight it for a moment
+  useEffect(() => {
+    if (!focusMessageId || !prevChats?.length) return;
+
+    const target = document.getElementById(`message-${focusMessageId}`);
+    if (!target) {
+      toast.info("That message is in another version of this conversation.");
+      setFocusMessageId(null);
+      return;
+    }
+
+    target.scrollIntoView({ behavior: "smooth", block: "center" });
+    const timer = setTimeout(() => setFocusMessageId(null), 2500);
+    return () => clearTimeout(timer);
+  }, [focusMessageId, prevChats, setFocusMessageId]);
+
+  //  Anchor id + highlight class of a message bubble
+  const messageProps = (chat, className) => ({
+    id: chat._id ? `message-${chat._id}` : undefined,
+    className: `${className}${chat._id && chat._id === focusMessageId ? " focused" : ""}`,
+  });
+
   
   //  Typing Effect for Assistant Reply
 
@@ -51,12 +121,199 @@ function Chat() {
     return () => clearInterval(interval); // cleanup on component unmount
   }, [reply]);
 
+
+  //  Version switcher ("< 2/3 >") for messages with alternate versions
+  const renderVersionControls = (chat) => {
+    if (!(chat.versionCount > 1)) return null;
+    const prevId = chat.siblingIds[chat.versionIndex - 2];
+    const nextId = chat.siblingIds[chat.versionIndex];
+
+    return (
+      <span className="versionControls">
+        <i
+          className={`fa-solid fa-chevron-left ${busy || !prevId ? "disabled" : ""}`}
+          onClick={() => !busy && prevId && onSelectVersion(prevId)}
+          role="button"
+          aria-label="Previous version"
+        />
+        {chat.versionIndex}/{chat.versionCount}
+        <i
+          className={`fa-solid fa-chevron-right ${busy || !nextId ? "disabled" : ""}`}
+          onClick={() => !busy && nextId && onSelectVersion(nextId)}
+          role="button"
+          aria-label="Next version"
+        />
+      </span>
+    );
+  };
+
+  //  Tool calls made while producing a reply (collapsed by default)
+  const renderToolSteps = (chat) => {
+    if (!chat.steps?.length) return null;
+
+    return (
+      <div className="toolSteps">
+        {chat.steps.map((step) => (
+          <details key={step.id} className="toolStep">
+            <summary>
+              <i className="fa-solid fa-screwdriver-wrench" />
+              {TOOL_LABELS[step.name] || step.name}
+              {step.result == null && <span className="toolRunning">running...</span>}
+            </summary>
+            <p>Input</p>
+            <pre>{formatJson(step.arguments)}</pre>
+            {step.result != null && (
+              <>
+                <p>Result</p>
+                <pre>{formatJson(step.result)}</pre>
+              </>
+            )}
+          </details>
+        ))}
+      </div>
+    );
+  };
+
+  //  Files sent with a user message (downloadable once the message is saved);
+  //  images not saved yet are previewed from the picked file
+  const renderAttachments = (chat) =>
+    chat.attachments?.length > 0 && (
+      <div className="attachmentChips">
+        {chat.attachments.map((file, i) =>
+          file.kind === "image" ? (
+            <AttachmentThumbnail key={file._id || i} attachment={file} file={file.file} />
+          ) : (
+            <button
+              key={file._id || i}
+              className="attachmentChip"
+              onClick={() => downloadAttachment(file)}
+              disabled={!file._id}
+              title={file._id ? `Download ${file.name}` : file.name}
+            >
+              <i className={`fa-solid ${attachmentIcon(file.kind)}`} />
+              <span className="attachmentName">{file.name}</span>
+              <span className="attachmentSize">{formatFileSize(file.size)}</span>
+            </button>
+          )
+        )}
+      </div>
+    );
+
+  //  Reply Markdown; cited [n] markers open their source document
+  const renderReply = (chat, content) => {
+    const sources = new Map((chat.citations || []).map((c) => [`#citation-${c.n}`, c]));
+    const components = {
+      a: ({ href, title, children }) => {
+        const source = sources.get(href);
+        if (!source) return <a href={href} title={title}>{children}</a>;
+        return (
+          <sup className="citationRef">
+            <a
+              href={href}
+              title={source.title}
+              onClick={(e) => {
+                e.preventDefault();
+                openKnowledgeDocument(source);
+              }}
+            >
+              {children}
+            </a>
+          </sup>
+        );
+      },
+    };
+
+    return (
+      <ReactMarkdown rehypePlugins={[rehypeHighlight]} components={components}>
+        {linkCitations(content, chat.citations)}
+      </ReactMarkdown>
+    );
+  };
+
+  //  Sources cited by a reply (click to open the document)
+  const renderCitations = (chat) =>
+    chat.citations?.length > 0 && (
+      <ol className="citationList">
+        {chat.citations.map((source) => (
+          <li key={source.n} value={source.n}>
+            <button onClick={() => openKnowledgeDocument(source)} title={source.excerpt}>
+              <i className="fa-solid fa-book" />
+              <span>{source.title}</span>
+            </button>
+          </li>
+        ))}
+      </ol>
+    );
+
+  //  Moderation label (gone once an admin dismissed it)
+  const renderModeration = (chat) =>
+    chat.moderation &&
+    chat.moderation.decision !== "dismissed" && (
+      <p className={`moderationLabel ${chat.moderation.status}`} title={chat.moderation.categories?.join(", ")}>
+        <i className="fa-solid fa-shield-halved" />{" "}
+        {chat.moderation.status === "flagged"
+          ? "Flagged for review"
+          : chat.role === "user"
+          ? "Blocked by moderation — not sent to the model"
+          : "Withheld by moderation"}
+      </p>
+    );
+
+  //  Error of a failed reply (Retry only on the last message)
+  const renderFailure = (chat, isLast) =>
+    chat.failed && (
+      <div className="failedReply" role="alert">
+        <p>
+          <i className="fa-solid fa-triangle-exclamation" /> {chat.failed.message}
+        </p>
+        {isLast && chat.failed.retryable && (
+          <button onClick={onRetry} disabled={busy}>
+            <i className="fa-solid fa-rotate-right" /> Retry
+          </button>
+        )}
+      </div>
+    );
+
+  //  Actions under a message (versions, edit, regenerate on the last reply)
+  const renderActions = (chat, idx, isLast) => {
+    if (!chat._id && !chat.interrupted) return null; // Not saved yet (still streaming)
+    const canRegenerate = isLast && chat.role === "assistant";
+    const canEdit = chat.role === "user";
+
+    return (
+      <div className="messageActions">
+        {renderVersionControls(chat)}
+        {canEdit && (
+          <i
+            className={`fa-solid fa-pen ${busy ? "disabled" : ""}`}
+            onClick={() => !busy && setEditing({ index: idx, text: chat.content })}
+            title="Edit message"
+            role="button"
+            aria-label="Edit message"
+          />
+        )}
+        {canRegenerate && (
+          <i
+            className={`fa-solid fa-rotate-right ${busy ? "disabled" : ""}`}
+            onClick={() => !busy && onRegenerate()}
+            title="Regenerate reply"
+            role="button"
+            aria-label="Regenerate reply"
+          />
+        )}
+      </div>
+    );
+  };
+
   
   //  Render Section
   
   //  If it's a new chat, show a “Start a New Chat!” message
   //  Then show all previous messages and the latest GPT reply
-  
+  //  (a thread can also end on a user message, e.g. one blocked by moderation)
+
+  const lastIsReply = prevChats?.at(-1)?.role === "assistant";
+
   return (
     <>
       {/*  Show greeting when a new chat starts */}
@@ -64,30 +321,70 @@ function Chat() {
 
       {/*  Main chat container */}
       <div className="chats">
-        {/*  Display all previous messages except the last one */}
-        {prevChats?.slice(0, -1).map((chat, idx) => (
-          <div
-            key={idx}
-            className={chat.role === "user" ? "userDiv" : "gptDiv"}
-          >
-            {/*  User message bubble */}
-            {chat.role === "user" ? (
-              <p className="userMessage">{chat.content}</p>
-            ) : (
-              /* Assistant reply rendered with Markdown + code highlighting */
-              <ReactMarkdown rehypePlugins={[rehypeHighlight]}>
-                {chat.content}
-              </ReactMarkdown>
+        {/*  Display all previous messages except the last reply */}
+        {(lastIsReply ? prevChats.slice(0, -1) : prevChats || []).map((chat, idx) => (
+          <React.Fragment key={idx}>
+            <div {...messageProps(chat, chat.role === "user" ? "userDiv" : "gptDiv")}>
+              {/*  User message bubble (or its inline editor) */}
+              {chat.role === "user" && editing?.index === idx ? (
+                <div className="editMessage">
+                  <textarea
+                    value={editing.text}
+                    onChange={(e) => setEditing({ ...editing, text: e.target.value })}
+                    rows={3}
+                    autoFocus
+                  />
+                  <div className="editActions">
+                    <button onClick={() => setEditing(null)}>Cancel</button>
+                    <button
+                      disabled={busy || !editing.text.trim()}
+                      onClick={() => {
+                        onEdit(idx, chat._id, editing.text);
+                        setEditing(null);
+                      }}
+                    >
+                      Send
+                    </button>
+                  </div>
+                </div>
+              ) : chat.role === "user" ? (
+                <>
+                  {renderAttachments(chat)}
+                  {chat.content && <p className="userMessage">{chat.content}</p>}
+                </>
+              ) : (
+                /* Assistant reply (after its tool steps) rendered with Markdown + code highlighting */
+                <>
+                  {renderToolSteps(chat)}
+                  {renderReply(chat, chat.content)}
+                  {renderCitations(chat)}
+                </>
+              )}
+              {chat.interrupted && <p className="interrupted">Stopped</p>}
+              {renderModeration(chat)}
+              {renderFailure(chat, false)}
+              {editing?.index !== idx && renderActions(chat, idx, false)}
+            </div>
+
+            {/*  Older turns above this point are sent as a summary */}
+            {chat.summarized && (
+              <div className="summaryMarker" title="Messages above are sent to the model as a summary">
+                <span>Earlier messages summarized</span>
+              </div>
             )}
-          </div>
+          </React.Fragment>
         ))}
 
         {/* Show typing effect for the latest assistant reply */}
-        {prevChats.length > 0 && (
-          <div className="gptDiv" key="last-msg">
-            <ReactMarkdown rehypePlugins={[rehypeHighlight]}>
-              {latestReply ?? prevChats[prevChats.length - 1].content}
-            </ReactMarkdown>
+        {lastIsReply && (
+          <div {...messageProps(prevChats[prevChats.length - 1], "gptDiv")} key="last-msg">
+            {renderToolSteps(prevChats[prevChats.length - 1])}
+            {renderReply(prevChats[prevChats.length - 1], latestReply ?? prevChats[prevChats.length - 1].content)}
+            {renderCitations(prevChats[prevChats.length - 1])}
+            {prevChats[prevChats.length - 1].interrupted && <p className="interrupted">Stopped</p>}
+            {renderModeration(prevChats[prevChats.length - 1])}
+            {renderFailure(prevChats[prevChats.length - 1], true)}
+            {renderActions(prevChats[prevChats.length - 1], prevChats.length - 1, true)}
           </div>
         )}
       </div>
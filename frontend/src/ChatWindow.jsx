@@ -5,6 +5,10 @@
 // - Voice-to-Text (Whisper), AI Reply (GPT), Text-to-Speech (TTS)
 // - Authenticated chat threads
 // - Theme Switcher, Toast Alerts, Smooth UI
+// - Slash-command prompt templates ("/" in the input)
+// - File attachments (text, Markdown, code, CSV, PDF, images) sent with a message
+//   (paperclip picker, paste or drag-and-drop)
+// - Per-thread "use my knowledge base" toggle (answers cite uploaded documents)
 // - Fully deployable (localhost + Render compatible)
 
 
@@ -17,7 +21,26 @@ import { useAuth } from "./context/AuthContext.jsx";
 import { ToastContainer, toast } from "react-toastify";
 import "react-toastify/dist/ReactToastify.css";
 import AuthForm from "./components/AuthForm.jsx";
+import SystemPromptModal from "./components/SystemPromptModal.jsx";
+import SettingsModal from "./components/SettingsModal.jsx";
+import ModelPicker from "./components/ModelPicker.jsx";
+import UpgradeModal from "./components/UpgradeModal.jsx";
+import TemplateMenu from "./components/TemplateMenu.jsx";
+import TemplateVariablesModal from "./components/TemplateVariablesModal.jsx";
+import ExportMenu from "./components/ExportMenu.jsx";
 import { v1 as uuidv1 } from "uuid";
+import { readEventStream } from "./utils/readEventStream.js";
+import { apiFetch, notifyRateLimit } from "./utils/api.js";
+import { slashQuery } from "./utils/templates.js";
+import {
+  ACCEPTED_FILES,
+  MAX_ATTACHMENTS,
+  isAcceptedFile,
+  attachmentKind,
+  attachmentIcon,
+  formatFileSize,
+} from "./utils/attachments.js";
+import AttachmentThumbnail from "./components/AttachmentThumbnail.jsx";
 
 function ChatWindow() {
   //  Context values — shared across the app
@@ -25,8 +48,8 @@ function ChatWindow() {
     prompt, setPrompt,
     reply, setReply,
     currThreadId, setCurrThreadId,
-    setPrevChats, setNewChat,
-    setAllThreads, theme, setTheme,
+    prevChats, setPrevChats, newChat, setNewChat,
+    allThreads, setAllThreads, theme, setTheme,
     refreshThreads
   } = useContext(MyContext);
 
@@ -34,17 +57,38 @@ function ChatWindow() {
 
   //  Local component states
   const [loading, setLoading] = useState(false);
+  const [streaming, setStreaming] = useState(false); // A reply is being streamed
   const [isOpen, setIsOpen] = useState(false);
   const [isRecording, setIsRecording] = useState(false);
   const [showLogin, setShowLogin] = useState(false);
   const [showRegister, setShowRegister] = useState(false);
   const [showSettings, setShowSettings] = useState(false);
   const [showUpgrade, setShowUpgrade] = useState(false);
+  const [quotaMessage, setQuotaMessage] = useState(null); // Why the Upgrade modal opened
   const [showConfirmModal, setShowConfirmModal] = useState(false);
   const [isClearing, setIsClearing] = useState(false);
+  const [showSystemPrompt, setShowSystemPrompt] = useState(false);
+  const [threadDraft, setThreadDraft] = useState({}); // Settings for a thread not saved yet
+  const [templates, setTemplates] = useState([]); // Slash-command prompt templates
+  const [templateIndex, setTemplateIndex] = useState(0); // Highlighted autocomplete entry
+  const [templateMenuDismissed, setTemplateMenuDismissed] = useState(false);
+  const [pickedTemplate, setPickedTemplate] = useState(null); // Template waiting for its variables
+  const [files, setFiles] = useState([]); // Files attached to the next message
+  const [dragging, setDragging] = useState(false); // Files dragged over the chat
+
+  //  Current thread (undefined until its first message is saved)
+  const currThread = allThreads?.find((t) => t.threadId === currThreadId);
+  const threadSettings = currThread || threadDraft;
+
+  //  Slash-command autocomplete ("/tes" → templates starting with "tes")
+  const templateQuery = user && !templateMenuDismissed ? slashQuery(prompt) : null;
+  const templateMatches =
+    templateQuery === null ? [] : templates.filter((t) => t.name.startsWith(templateQuery.toLowerCase()));
 
   const mediaRecorderRef = useRef(null);
+  const abortRef = useRef(null); // AbortController of the reply being streamed
   const audioChunksRef = useRef([]);
+  const fileInputRef = useRef(null); // Hidden file picker (paperclip button)
 
   //  Auto-detect backend URL (works both local + deployed)
   const BACKEND_URL =
@@ -52,6 +96,14 @@ function ChatWindow() {
       ? "http://localhost:8080"
       : import.meta.env.VITE_BACKEND_URL;
 
+  //  Plan limit reached / model not in plan → explain it in the Upgrade modal
+  const showQuotaError = (err) => {
+    if (err?.code !== "QUOTA_EXCEEDED" && err?.code !== "MODEL_NOT_ALLOWED") return false;
+    setQuotaMessage(err.message);
+    setShowUpgrade(true);
+    return true;
+  };
+
   //  Voice Recording + AI Processing Flow
 
   const startRecording = async () => {
@@ -63,7 +115,9 @@ function ChatWindow() {
     try {
       //  Step 1: Request mic access
       const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-      mediaRecorderRef.current = new MediaRecorder(stream);
+      //  Fixed bitrate: the server pre-checks voice minutes from the file size
+      //  (and charges the length reported by the transcription)
+      mediaRecorderRef.current = new MediaRecorder(stream, { audioBitsPerSecond: 32000 });
       mediaRecorderRef.current.start();
       setIsRecording(true);
       setReply("Listening...");
@@ -80,6 +134,7 @@ function ChatWindow() {
         const audioBlob = new Blob(audioChunksRef.current, { type: "audio/webm" });
         const formData = new FormData();
         formData.append("audio", audioBlob, "voice.webm");
+        formData.append("threadId", currThreadId); // Applies the thread's system prompt
 
         try {
           // Send recorded voice to backend
@@ -89,7 +144,22 @@ function ChatWindow() {
             credentials: "include",
           });
 
-          if (!response.ok) throw new Error(`HTTP Error: ${response.status}`);
+          if (!response.ok) {
+            const err = await response.json().catch(() => ({}));
+            if (showQuotaError(err) || notifyRateLimit(response)) {
+              setReply(null);
+              return;
+            }
+            if (err.code === "CONTENT_BLOCKED") {
+              //  Saved for review but never answered → show the blocked turn only
+              if (err.userMsg) setPrevChats((prev) => [...prev, err.userMsg]);
+              setReply(err.message);
+              setNewChat(false);
+              if (typeof refreshThreads === "function") refreshThreads();
+              return;
+            }
+            throw new Error(`HTTP Error: ${response.status}`);
+          }
           const data = await response.json();
 
           //  If AI couldn’t transcribe properly
@@ -100,23 +170,16 @@ function ChatWindow() {
 
           console.log(" Detected Language:", data.language || "en");
 
-          //  Update UI chat messages
-          if (data.userText)
-            setPrevChats((prev) => [...prev, { role: "user", content: data.userText }]);
-
-          setPrevChats((prev) => [...prev, { role: "assistant", content: data.text }]);
+          //  Update UI chat messages (saved to the thread by /api/voice itself)
+          if (data.history) {
+            setPrevChats((prev) => [...prev, ...data.history]);
+          } else {
+            if (data.userText)
+              setPrevChats((prev) => [...prev, { role: "user", content: data.userText }]);
+            setPrevChats((prev) => [...prev, { role: "assistant", content: data.text }]);
+          }
           setReply(data.text);
-
-          //  Save chat to backend database
-          await fetch(`${BACKEND_URL}/api/chat`, {
-            method: "POST",
-            credentials: "include",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({
-              message: data.userText || "Voice Input",
-              threadId: currThreadId,
-            }),
-          });
+          setNewChat(false);
 
           //  Refresh thread list in sidebar
           if (typeof refreshThreads === "function") refreshThreads();
@@ -213,7 +276,7 @@ function ChatWindow() {
 
         const data = await res.json();
         if (Array.isArray(data))
-          setAllThreads(data.map((t) => ({ threadId: t.threadId, title: t.title })));
+          setAllThreads(data.map((t) => ({ threadId: t.threadId, title: t.title, systemPrompt: t.systemPrompt, model: t.model, useKnowledge: t.useKnowledge })));
       } catch (err) {
         console.warn("Thread fetch error:", err);
         setPrevChats([]);
@@ -223,61 +286,367 @@ function ChatWindow() {
     fetchThreads();
   }, [user]);
 
-  //  Text Chat Flow (AI conversation)
-  const getReply = async () => {
-    if (!user) {
-      toast.warn("Please login first!");
-      return;
-    }
-    if (!prompt.trim()) return;
-
-    //  Add user message to UI instantly
-    setPrevChats((prev) => [...prev, { role: "user", content: prompt }]);
-    const userPrompt = prompt;
-    setPrompt("");
+  //  Streamed Completion (shared by send + regenerate)
+  // POSTs to a chat endpoint with "Accept: text/event-stream" and renders
+  // tokens into the last message of prevChats (an empty assistant bubble
+  // added by the caller). When the stream ends, the last `replaceCount`
+  // entries are swapped for the saved messages (ids + version info).
+  // Stop (abortRef) cancels the request; the partial reply stays on screen
+  // and the backend saves it as interrupted. Once "done" arrives the reply is
+  // saved: streaming ends there, and the connection only stays open for the
+  // generated title (Stop can no longer touch that reply).
+  // A failure keeps the bubble with the error ({ code, message, retryable })
+  // and what a Retry should send: the same request, or a regenerate once
+  // the user message was saved ("start" event).
+  // Returns false only when the request was refused up front (plan quota,
+  // rate limit, expired session) — the caller restores the previous messages.
+  // `body` is sent as JSON, or as multipart when it is FormData (attachments).
+  const streamCompletion = async (path, body, replaceCount) => {
+    const controller = new AbortController();
+    abortRef.current = controller;
     setLoading(true);
-    setNewChat(false);
+    setStreaming(true);
+    setReply(null);
+
+    //  Update the assistant bubble that is currently streaming (last message)
+    const updateStreamingReply = (changes) =>
+      setPrevChats((prev) => [...prev.slice(0, -1), { ...prev[prev.length - 1], role: "assistant", ...changes }]);
 
+    let started = false;
+    let finished = false; // "done" received → this request no longer owns the streaming state
     try {
-      // Send user query to backend
-      let response = await fetch(`${BACKEND_URL}/api/chat`, {
+      const isForm = body instanceof FormData; // Browser sets the multipart boundary
+      const response = await apiFetch(path, {
         method: "POST",
-        credentials: "include",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ message: userPrompt, threadId: currThreadId }),
+        headers: isForm
+          ? { Accept: "text/event-stream" }
+          : { "Content-Type": "application/json", Accept: "text/event-stream" },
+        body: isForm ? body : JSON.stringify(body),
+        signal: controller.signal,
       });
 
-      //  Refresh session if expired
+      //  Refresh already failed → session is gone
       if (response.status === 401) {
-        const refresh = await fetch(`${BACKEND_URL}/api/auth/refresh`, {
-          method: "POST",
-          credentials: "include",
+        toast.warn(" Session expired. Please log in again.");
+        logout();
+        return false;
+      }
+
+      if (!response.ok) {
+        const err = await response.json().catch(() => ({}));
+        if (showQuotaError(err)) return false;
+        if (err.code === "RATE_LIMITED") return false; // apiFetch already showed the wait time
+        if (err.code === "CONTENT_BLOCKED") {
+          //  Saved but never sent → show the blocked message, drop the reply bubble
+          setPrevChats((prev) => [...prev.slice(0, -replaceCount), ...(replaceCount === 2 ? [err.userMsg] : [])]);
+          if (typeof refreshThreads === "function") refreshThreads();
+          return true;
+        }
+        throw Object.assign(new Error(err.message || `HTTP Error: ${response.status}`), {
+          code: err.code,
+          retryable: err.retryable,
         });
-        if (refresh.ok) {
-          response = await fetch(`${BACKEND_URL}/api/chat`, {
-            method: "POST",
-            credentials: "include",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ message: userPrompt, threadId: currThreadId }),
+      }
+
+      let streamed = "";
+      for await (const { event, data } of readEventStream(response)) {
+        if (event === "start") {
+          started = true;
+          //  Saved user message (id needed to edit it later)
+          if (replaceCount === 2) setPrevChats((prev) => [...prev.slice(0, -2), data.userMsg, prev[prev.length - 1]]);
+        } else if (event === "token") {
+          streamed += data.content;
+          updateStreamingReply({ content: streamed });
+          setLoading(false); // First tokens are on screen, hide the loader
+        } else if (event === "tool") {
+          //  Tool step started (text so far belonged to that step)
+          streamed = "";
+          setLoading(false);
+          setPrevChats((prev) => {
+            const last = prev[prev.length - 1];
+            return [...prev.slice(0, -1), { ...last, content: "", steps: [...(last.steps || []), data] }];
+          });
+        } else if (event === "tool_result") {
+          setPrevChats((prev) => {
+            const last = prev[prev.length - 1];
+            const steps = last.steps?.map((step) => (step.id === data.id ? { ...step, result: data.result } : step));
+            return [...prev.slice(0, -1), { ...last, steps }];
           });
-        } else {
-          toast.warn(" Session expired. Please log in again.");
-          logout();
+        } else if (event === "withheld") {
+          //  Moderation stopped the reply mid-stream → hide what was shown
+          updateStreamingReply({ content: data.message });
+        } else if (event === "done") {
+          //  Saved messages replace the streamed ones (a withheld reply arrives
+          //  as its placeholder, so text streamed before the check disappears)
+          setPrevChats((prev) => [...prev.slice(0, -replaceCount), ...data.history.slice(-replaceCount)]);
+          if (data.withheld) toast.info("This reply was withheld by content moderation.");
+          finished = true;
+          if (abortRef.current === controller) abortRef.current = null;
           setLoading(false);
-          return;
+          setStreaming(false);
+        } else if (event === "title") {
+          //  Generated title for a new thread
+          setAllThreads((prev) =>
+            prev.map((t) => (t.threadId === data.threadId ? { ...t, title: data.title } : t))
+          );
+        } else if (event === "error") {
+          throw Object.assign(new Error(data.message), { code: data.code, retryable: data.retryable });
         }
       }
 
-      const res = await response.json();
-      //  Display AI reply in chat window
-      setPrevChats((prev) => [...prev, { role: "assistant", content: res.reply }]);
-      setReply(res.reply);
       if (typeof refreshThreads === "function") refreshThreads();
+      return true;
     } catch (err) {
+      //  Lost while waiting for the title → the reply is already saved and shown
+      if (finished) {
+        console.error("Title stream error:", err);
+        return true;
+      }
+      //  Stopped by the user → mark the partial reply
+      if (controller.signal.aborted) {
+        setPrevChats((prev) => {
+          const last = prev[prev.length - 1];
+          return last?.content ? [...prev.slice(0, -1), { ...last, interrupted: true }] : prev.slice(0, -1);
+        });
+        if (typeof refreshThreads === "function") refreshThreads();
+        return true;
+      }
       console.error("Chat error:", err);
+      updateStreamingReply({
+        failed: {
+          code: err.code || "NETWORK_ERROR",
+          message: err.code ? err.message : "Couldn't reach the server. Check your connection.",
+          retryable: err.retryable ?? true,
+          retry: started
+            ? { path: "/api/chat/regenerate", body: { threadId: currThreadId }, replaceCount: 1 }
+            : { path, body, replaceCount },
+        },
+      });
+      if (typeof refreshThreads === "function") refreshThreads();
+      return true;
+    } finally {
+      if (!finished) {
+        abortRef.current = null;
+        setLoading(false);
+        setStreaming(false);
+      }
+    }
+  };
+
+  //  Stop the reply currently being generated
+  const stopGenerating = () => abortRef.current?.abort();
+
+  //  Load templates whenever a slash command starts (picks up edits made in Settings)
+  useEffect(() => {
+    if (!user || prompt !== "/") return;
+    apiFetch("/api/templates")
+      .then((response) => (response.ok ? response.json() : []))
+      .then(setTemplates)
+      .catch((err) => console.error("Templates load error:", err));
+  }, [prompt, user]);
+
+  //  Insert a template (asks for its variables first, if it has any)
+  const pickTemplate = (template) => {
+    if (template.variables?.length) {
+      setPickedTemplate(template);
+    } else {
+      setPrompt(template.content);
+    }
+  };
+
+  //  Input keys: autocomplete navigation while the menu is open, Enter sends otherwise
+  const handleInputKeyDown = (e) => {
+    if (templateQuery !== null) {
+      const count = templateMatches.length;
+      if (e.key === "Escape") {
+        setTemplateMenuDismissed(true);
+        return;
+      }
+      if (count && (e.key === "ArrowDown" || e.key === "ArrowUp")) {
+        e.preventDefault();
+        setTemplateIndex((i) => (i + (e.key === "ArrowDown" ? 1 : count - 1)) % count);
+        return;
+      }
+      if (count && (e.key === "Enter" || e.key === "Tab")) {
+        e.preventDefault();
+        pickTemplate(templateMatches[Math.min(templateIndex, count - 1)]);
+        return;
+      }
+    }
+    if (e.key === "Enter") getReply();
+  };
+
+  //  Attach picked, pasted or dropped files to the next message (up to MAX_ATTACHMENTS)
+  const addFiles = (picked) => {
+    if (!user) {
+      toast.warn("Please login first!");
+      return;
+    }
+    const rejected = picked.filter((file) => !isAcceptedFile(file.name));
+    if (rejected.length) {
+      toast.error(`${rejected[0].name} can't be attached. Use text, Markdown, code, CSV, PDF or image files.`);
+    }
+    const added = [...files, ...picked.filter((file) => isAcceptedFile(file.name))];
+    if (added.length > MAX_ATTACHMENTS) {
+      toast.warn(`You can attach up to ${MAX_ATTACHMENTS} files to a message.`);
+    }
+    setFiles(added.slice(0, MAX_ATTACHMENTS));
+  };
+
+  //  Text Chat Flow (AI conversation)
+  // Reply is streamed over Server-Sent Events and rendered token by token.
+  // With attached files the message is sent as multipart form data.
+  const getReply = async () => {
+    if (!user) {
+      toast.warn("Please login first!");
+      return;
+    }
+    if ((!prompt.trim() && !files.length) || streaming) return;
+
+    //  Restored if the request is refused (quota, rate limit, expired session)
+    const previous = { chats: prevChats, prompt, files, newChat };
+
+    //  Add user message + empty assistant bubble to UI instantly
+    setPrevChats((prev) => [
+      ...prev,
+      {
+        role: "user",
+        content: prompt,
+        attachments: files.map((file) => ({
+          name: file.name,
+          size: file.size,
+          kind: attachmentKind(file.name),
+          file, // Local preview until the saved message arrives
+        })),
+      },
+      { role: "assistant", content: "" },
+    ]);
+    const fields = {
+      message: prompt,
+      threadId: currThreadId,
+      ...(currThread ? {} : threadDraft), // systemPrompt / model / useKnowledge used when the thread is created
+    };
+    let body = fields;
+    if (files.length) {
+      body = new FormData();
+      for (const [key, value] of Object.entries(fields)) {
+        if (value != null) body.append(key, value);
+      }
+      for (const file of files) body.append("files", file);
+    }
+    setPrompt("");
+    setFiles([]);
+    setNewChat(false);
+
+    const accepted = await streamCompletion("/api/chat", body, 2); // user + assistant
+
+    //  Refused → nothing was saved: back to the chat and input as they were
+    if (!accepted) {
+      setPrevChats(previous.chats);
+      setPrompt(previous.prompt);
+      setFiles(previous.files);
+      setNewChat(previous.newChat);
     }
+  };
+
+  //  Retry a failed reply (the failed bubble is always the last message)
+  const retryReply = async () => {
+    const failedReply = prevChats[prevChats.length - 1];
+    if (!user || streaming || !failedReply?.failed) return;
+
+    setPrevChats((prev) => [...prev.slice(0, -1), { role: "assistant", content: "" }]);
+    const { path, body, replaceCount } = failedReply.failed.retry;
+    const accepted = await streamCompletion(path, body, replaceCount);
+    if (!accepted) setPrevChats((prev) => [...prev.slice(0, -1), failedReply]);
+  };
+
+  //  Regenerate the last reply (old reply is kept as another version)
+  const regenerateReply = async () => {
+    if (!user || streaming) return;
+
+    const previous = prevChats[prevChats.length - 1];
+    setPrevChats((prev) => [...prev.slice(0, -1), { role: "assistant", content: "" }]);
 
-    setLoading(false);
+    const accepted = await streamCompletion("/api/chat/regenerate", { threadId: currThreadId }, 1);
+    if (!accepted) setPrevChats((prev) => [...prev.slice(0, -1), previous]);
+  };
+
+  //  Edit an earlier user message → new branch with a fresh reply
+  // (the original branch is kept as another version)
+  const editMessage = async (index, messageId, text) => {
+    if (!user || streaming || !text.trim()) return;
+
+    const previous = prevChats;
+    setPrevChats((prev) => [
+      ...prev.slice(0, index),
+      { role: "user", content: text },
+      { role: "assistant", content: "" },
+    ]);
+
+    const accepted = await streamCompletion(`/api/message/${messageId}/edit`, { message: text }, 2);
+    if (!accepted) setPrevChats(previous);
+  };
+
+  //  Switch between versions of a message ("< 2/3 >")
+  const selectVersion = async (messageId) => {
+    try {
+      const response = await apiFetch(`/api/message/${messageId}/select`, { method: "POST" });
+      if (!response.ok) throw new Error("Failed to switch version");
+      setReply(null);
+      setPrevChats(await response.json());
+    } catch (err) {
+      console.error("Select version error:", err);
+      toast.error("Failed to switch version!");
+    }
+  };
+
+  //  Thread Settings (system prompt, model, knowledge base)
+  // Saved threads are updated on the backend right away;
+  // new chats keep a draft that is sent with their first message.
+  useEffect(() => {
+    setThreadDraft({});
+  }, [currThreadId]);
+
+  const updateThreadSettings = async (updates) => {
+    if (!currThread) {
+      setThreadDraft((prev) => ({ ...prev, ...updates }));
+      return true;
+    }
+
+    try {
+      const response = await apiFetch(`/api/thread/${currThreadId}`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(updates),
+      });
+      if (!response.ok) throw new Error("Failed to update thread");
+
+      setAllThreads((prev) =>
+        prev.map((t) => (t.threadId === currThreadId ? { ...t, ...updates } : t))
+      );
+      return true;
+    } catch (err) {
+      console.error("Thread settings error:", err);
+      return false;
+    }
+  };
+
+  const saveSystemPrompt = async (value) => {
+    const saved = await updateThreadSettings({ systemPrompt: value });
+    if (saved) toast.success("Thread instructions saved!");
+    else toast.error("Failed to save thread instructions!");
+  };
+
+  const selectModel = async (model) => {
+    const saved = await updateThreadSettings({ model });
+    if (!saved) toast.error("Failed to switch model!");
+  };
+
+  const toggleKnowledge = async () => {
+    const useKnowledge = !threadSettings.useKnowledge;
+    const saved = await updateThreadSettings({ useKnowledge });
+    if (!saved) toast.error("Failed to update knowledge base setting!");
+    else toast.info(useKnowledge ? "This chat now answers from your knowledge base" : "Knowledge base off for this chat");
   };
 
   // Chat History Management
@@ -320,53 +689,68 @@ function ChatWindow() {
     }
   };
 
-  //  Settings and Upgrade Modals
-  const SettingsModal = () => (
-    <div className="modal">
-      <div className="modal-content">
-        <h3>Settings ⚙️</h3>
-        {user ? (
-          <>
-            <p>Name: {user?.name}</p>
-            <p>Email: {user?.email}</p>
-          </>
-        ) : (
-          <p>Please login to view your profile.</p>
-        )}
-        <button onClick={toggleTheme}>
-          {document.body.classList.contains("dark-mode")
-            ? "Switch to Light Mode"
-            : "Switch to Dark Mode"}
-        </button>
-        <button onClick={() => setShowSettings(false)}>Close</button>
-      </div>
-    </div>
-  );
-
-  const UpgradeModal = () => (
-    <div className="modal">
-      <div className="modal-content">
-        <h3>💎 Upgrade Plan</h3>
-        <p><strong>Free:</strong> Limited usage.</p>
-        <p><strong>Pro:</strong> Unlimited, faster responses.</p>
-        <button onClick={() => toast.info("Upgrade feature coming soon!")}>
-          Upgrade to Pro
-        </button>
-        <button onClick={() => setShowUpgrade(false)}>Close</button>
-      </div>
-    </div>
-  );
-
-  
   //  Frontend UI Section
   
   return (
-    <div className="chatWindow">
+    <div
+      className="chatWindow"
+      onDragOver={(e) => {
+        if (!e.dataTransfer.types.includes("Files")) return;
+        e.preventDefault();
+        setDragging(true);
+      }}
+      onDragLeave={(e) => {
+        if (!e.currentTarget.contains(e.relatedTarget)) setDragging(false);
+      }}
+      onDrop={(e) => {
+        if (!e.dataTransfer.files.length) return;
+        e.preventDefault();
+        setDragging(false);
+        addFiles([...e.dataTransfer.files]);
+      }}
+    >
+      {/*  Drag-and-drop target */}
+      {dragging && (
+        <div className="dropOverlay">
+          <i className="fa-solid fa-paperclip" /> Drop files to attach
+        </div>
+      )}
+
       {/*  Navbar */}
       <div className="navbar">
-        <span>SigmaGPT <i className="fa-solid fa-chevron-down"></i></span>
-        <div className="userIconDiv" onClick={() => setIsOpen(!isOpen)}>
-          <span className="userIcon"><i className="fa-solid fa-user"></i></span>
+        <ModelPicker
+          enabled={!!user}
+          value={threadSettings.model}
+          onChange={selectModel}
+          onLocked={(model) => {
+            setQuotaMessage(`${model.name} is not included in your plan.`);
+            setShowUpgrade(true);
+          }}
+        />
+        <div className="navActions">
+          {user && <ExportMenu threadId={currThread ? currThreadId : null} />}
+          {user && (
+            <i
+              className={`fa-solid fa-book threadSettings knowledgeToggle ${threadSettings.useKnowledge ? "active" : ""}`}
+              onClick={toggleKnowledge}
+              title={threadSettings.useKnowledge ? "Using your knowledge base" : "Use my knowledge base"}
+              role="button"
+              aria-label="Use my knowledge base"
+              aria-pressed={Boolean(threadSettings.useKnowledge)}
+            />
+          )}
+          {user && (
+            <i
+              className={`fa-solid fa-sliders threadSettings ${threadSettings.systemPrompt ? "active" : ""}`}
+              onClick={() => setShowSystemPrompt(true)}
+              title="Thread instructions"
+              role="button"
+              aria-label="Edit thread instructions"
+            />
+          )}
+          <div className="userIconDiv" onClick={() => setIsOpen(!isOpen)}>
+            <span className="userIcon"><i className="fa-solid fa-user"></i></span>
+          </div>
         </div>
       </div>
 
@@ -379,7 +763,7 @@ function ChatWindow() {
               <div className="dropDownItem" onClick={() => { setShowSettings(true); setIsOpen(false); }}>
                 <i className="fa-solid fa-gear" /> Settings
               </div>
-              <div className="dropDownItem" onClick={() => { setShowUpgrade(true); setIsOpen(false); }}>
+              <div className="dropDownItem" onClick={() => { setQuotaMessage(null); setShowUpgrade(true); setIsOpen(false); }}>
                 <i className="fa-solid fa-gem" /> Upgrade Plan
               </div>
               <div className="dropDownItem" onClick={() => { handleClearHistory(); setIsOpen(false); }}>
@@ -403,7 +787,13 @@ function ChatWindow() {
       )}
 
       {/*  Chat Component */}
-      <Chat />
+      <Chat
+        busy={streaming}
+        onRegenerate={regenerateReply}
+        onRetry={retryReply}
+        onSelectVersion={selectVersion}
+        onEdit={editMessage}
+      />
 
       {/*  Loading Animation */}
       {loading && (
@@ -419,14 +809,75 @@ function ChatWindow() {
 
       {/*  Chat Input Section */}
       <div className="chatInput">
+        {/*  Files waiting to be sent with the next message */}
+        {files.length > 0 && (
+          <div className="pendingAttachments">
+            {files.map((file, i) => (
+              <span key={`${file.name}-${i}`} className="attachmentChip">
+                {attachmentKind(file.name) === "image" ? (
+                  <AttachmentThumbnail file={file} />
+                ) : (
+                  <i className={`fa-solid ${attachmentIcon(attachmentKind(file.name))}`} />
+                )}
+                <span className="attachmentName">{file.name}</span>
+                <span className="attachmentSize">{formatFileSize(file.size)}</span>
+                <i
+                  className="fa-solid fa-xmark removeAttachment"
+                  onClick={() => setFiles((prev) => prev.filter((_, j) => j !== i))}
+                  role="button"
+                  aria-label={`Remove ${file.name}`}
+                />
+              </span>
+            ))}
+          </div>
+        )}
         <div className="inputBox">
+          {/*  Slash-command autocomplete */}
+          {templateQuery !== null && (
+            <TemplateMenu
+              templates={templateMatches}
+              activeIndex={Math.min(templateIndex, templateMatches.length - 1)}
+              onPick={pickTemplate}
+            />
+          )}
           <input
-            placeholder={user ? "Ask or speak..." : "Login to start chatting..."}
+            placeholder={user ? "Ask or speak... (/ for templates)" : "Login to start chatting..."}
             value={prompt}
-            onChange={(e) => setPrompt(e.target.value)}
-            onKeyDown={(e) => e.key === "Enter" && getReply()}
+            onChange={(e) => {
+              setPrompt(e.target.value);
+              setTemplateIndex(0);
+              setTemplateMenuDismissed(false);
+            }}
+            onKeyDown={handleInputKeyDown}
+            onPaste={(e) => {
+              //  Pasted screenshots / files are attached; text pastes as usual
+              const pasted = [...e.clipboardData.files];
+              if (!pasted.length) return;
+              e.preventDefault();
+              addFiles(pasted);
+            }}
             disabled={!user}
           />
+          {/* 📎 Attach files */}
+          <input
+            ref={fileInputRef}
+            type="file"
+            multiple
+            accept={ACCEPTED_FILES}
+            hidden
+            onChange={(e) => {
+              addFiles([...e.target.files]);
+              e.target.value = ""; // Picking the same file again still fires onChange
+            }}
+          />
+          <div
+            id="attach"
+            onClick={() => (user ? fileInputRef.current?.click() : toast.warn("Please login first!"))}
+            style={{ opacity: user ? 1 : 0.4 }}
+            title="Attach files"
+          >
+            <i className="fa-solid fa-paperclip" />
+          </div>
           {/* 🎤 Mic Control */}
           <div
             id="mic"
@@ -443,9 +894,15 @@ function ChatWindow() {
             />
           </div>
           {/*  Send Button */}
-          <div id="submit" onClick={getReply} style={{ opacity: user ? 1 : 0.4 }}>
-            <i className="fa-solid fa-paper-plane"></i>
-          </div>
+          {streaming ? (
+            <div id="submit" onClick={stopGenerating} title="Stop generating">
+              <i className="fa-solid fa-stop"></i>
+            </div>
+          ) : (
+            <div id="submit" onClick={getReply} style={{ opacity: user ? 1 : 0.4 }}>
+              <i className="fa-solid fa-paper-plane"></i>
+            </div>
+          )}
         </div>
 
         {isRecording && <p className="info"> SigmaGPT is listening...</p>}
@@ -453,8 +910,39 @@ function ChatWindow() {
       </div>
 
       {/*  Modals */}
-      {showSettings && <SettingsModal />}
-      {showUpgrade && <UpgradeModal />}
+      {showSettings && (
+        <SettingsModal
+          user={user}
+          onToggleTheme={toggleTheme}
+          onClose={() => setShowSettings(false)}
+        />
+      )}
+      {showUpgrade && (
+        <UpgradeModal
+          reason={quotaMessage}
+          onClose={() => {
+            setShowUpgrade(false);
+            setQuotaMessage(null);
+          }}
+        />
+      )}
+      {pickedTemplate && (
+        <TemplateVariablesModal
+          template={pickedTemplate}
+          onSubmit={(text) => {
+            setPrompt(text);
+            setPickedTemplate(null);
+          }}
+          onClose={() => setPickedTemplate(null)}
+        />
+      )}
+      {showSystemPrompt && (
+        <SystemPromptModal
+          initialValue={threadSettings.systemPrompt}
+          onSave={saveSystemPrompt}
+          onClose={() => setShowSystemPrompt(false)}
+        />
+      )}
 
       {/*  Login/Register */}
       {showLogin && (
@@ -5,13 +5,17 @@
 //   Switching between threads
 //   Creating new chats
 //   Deleting old threads
+//   Renaming threads inline (or regenerating the title)
+//   Searching every conversation (results jump to the message)
 //   Auto-refresh (connected to ChatWindow)
 
 import "./Sidebar.css";
-import { useContext, useEffect } from "react";
+import { useContext, useEffect, useState } from "react";
 import { MyContext } from "./MyContext.jsx";
 import { useAuth } from "./context/AuthContext.jsx";
 import { v1 as uuidv1 } from "uuid";
+import { apiFetch } from "./utils/api.js";
+import SearchPanel from "./components/SearchPanel.jsx";
 
 function Sidebar() {
   //  Access global chat context variables
@@ -24,12 +28,19 @@ function Sidebar() {
     setReply,
     setCurrThreadId,
     setPrevChats,
-    setRefreshThreads //  function injected for sidebar auto-refresh
+    setRefreshThreads, //  function injected for sidebar auto-refresh
+    setFocusMessageId  //  message to scroll to after opening a search result
   } = useContext(MyContext);
 
   //  Authentication context
   const { user, logout } = useAuth();
 
+  //  Inline rename state ({ threadId, title } while editing)
+  const [renaming, setRenaming] = useState(null);
+
+  //  Search text (the thread list is replaced by results while set)
+  const [search, setSearch] = useState("");
+
   // ✅ Auto-detect correct backend URL
   const BACKEND_URL =
     window.location.hostname === "localhost"
@@ -76,7 +87,7 @@ function Sidebar() {
 
       const res = await response.json();
       // Save thread IDs & titles globally
-      setAllThreads(res.map((t) => ({ threadId: t.threadId, title: t.title })));
+      setAllThreads(res.map((t) => ({ threadId: t.threadId, title: t.title, systemPrompt: t.systemPrompt, model: t.model, useKnowledge: t.useKnowledge })));
     } catch (err) {
       console.error("Thread fetch error:", err);
     }
@@ -148,6 +159,12 @@ function Sidebar() {
     }
   };
 
+  //  OPEN SEARCH RESULT (thread, then scroll to the message)
+  const openSearchResult = async (threadId, messageId = null) => {
+    await changeThread(threadId);
+    setFocusMessageId(messageId);
+  };
+
   //  DELETE THREAD (with token refresh handling)
   const deleteThread = async (threadId) => {
     if (!user) return;
@@ -193,6 +210,41 @@ function Sidebar() {
     }
   };
 
+  //  RENAME / REGENERATE TITLE (PATCH /api/thread/:threadId)
+  const updateTitle = async (threadId, body) => {
+    try {
+      const response = await apiFetch(`/api/thread/${threadId}`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+
+      if (response.status === 401) {
+        logout();
+        return;
+      }
+      if (!response.ok) throw new Error("Failed to update title");
+
+      const thread = await response.json();
+      setAllThreads((prev) =>
+        prev.map((t) => (t.threadId === threadId ? { ...t, title: thread.title } : t))
+      );
+      setRenaming(null);
+    } catch (err) {
+      console.error("Rename thread error:", err);
+    }
+  };
+
+  //  Save the typed title (empty or unchanged → just close the editor)
+  const saveRename = (thread) => {
+    const title = renaming?.title.trim();
+    if (!title || title === thread.title) {
+      setRenaming(null);
+      return;
+    }
+    updateTitle(thread.threadId, { title });
+  };
+
   //  RENDER SIDEBAR UI
   return (
     <section className="sidebar" aria-label="Sidebar">
@@ -205,8 +257,18 @@ function Sidebar() {
         </span>
       </button>
 
+      {/*  Search (results replace the thread list) */}
+      {user && (
+        <SearchPanel
+          query={search}
+          onQueryChange={setSearch}
+          currThreadId={allThreads?.some((t) => t.threadId === currThreadId) ? currThreadId : null}
+          onOpen={openSearchResult}
+        />
+      )}
+
       {/*  Chat Threads List */}
-      <ul className="history" aria-label="Conversation history">
+      <ul className="history" aria-label="Conversation history" hidden={Boolean(search.trim())}>
         {allThreads?.length > 0 ? (
           allThreads.map((thread) => (
             <li
@@ -217,6 +279,7 @@ function Sidebar() {
               tabIndex={0}
               onKeyDown={(e) => {
                 if (e.key === "Enter") changeThread(thread.threadId);
+                if (e.key === "F2") setRenaming({ threadId: thread.threadId, title: thread.title || "" });
                 if (e.key === "Delete") {
                   e.stopPropagation();
                   deleteThread(thread.threadId);
@@ -225,18 +288,64 @@ function Sidebar() {
               title={thread.title || "Conversation"}
               aria-current={thread.threadId === currThreadId ? "true" : "false"}
             >
-              {/* Thread Title */}
-              <span
-                style={{
-                  display: "inline-block",
-                  overflow: "hidden",
-                  textOverflow: "ellipsis",
-                  whiteSpace: "nowrap",
-                  maxWidth: "75%",
-                }}
-              >
-                {thread.title || "Untitled"}
-              </span>
+              {/* Thread Title (input while renaming) */}
+              {renaming?.threadId === thread.threadId ? (
+                <div className="renameThread" onClick={(e) => e.stopPropagation()}>
+                  <input
+                    value={renaming.title}
+                    onChange={(e) => setRenaming({ ...renaming, title: e.target.value })}
+                    onKeyDown={(e) => {
+                      e.stopPropagation();
+                      if (e.key === "Enter") saveRename(thread);
+                      if (e.key === "Escape") setRenaming(null);
+                    }}
+                    onBlur={() => saveRename(thread)}
+                    maxLength={100}
+                    aria-label="Thread title"
+                    autoFocus
+                  />
+                  <i
+                    className="fa-solid fa-wand-magic-sparkles"
+                    onMouseDown={(e) => {
+                      e.preventDefault(); // keep focus so blur doesn't save first
+                      updateTitle(thread.threadId, { regenerateTitle: true });
+                    }}
+                    title="Generate a title"
+                    role="button"
+                    aria-label="Generate a title"
+                  />
+                </div>
+              ) : (
+                <span
+                  style={{
+                    display: "inline-block",
+                    overflow: "hidden",
+                    textOverflow: "ellipsis",
+                    whiteSpace: "nowrap",
+                    maxWidth: "75%",
+                  }}
+                  onDoubleClick={(e) => {
+                    e.stopPropagation();
+                    setRenaming({ threadId: thread.threadId, title: thread.title || "" });
+                  }}
+                >
+                  {thread.title || "Untitled"}
+                </span>
+              )}
+
+              {/*  Rename Button */}
+              {renaming?.threadId !== thread.threadId && (
+                <i
+                  className="fa-solid fa-pen"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    setRenaming({ threadId: thread.threadId, title: thread.title || "" });
+                  }}
+                  title="Rename thread"
+                  role="button"
+                  aria-label={`Rename thread ${thread.title || ""}`}
+                />
+              )}
 
               {/*  Delete Button */}
               <i
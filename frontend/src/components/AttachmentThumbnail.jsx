@@ -0,0 +1,65 @@
+// Image attachment thumbnail
+// Shows a picked File right away (object URL), or loads a saved attachment
+// through the authenticated download endpoint. Clicking opens the full image.
+
+
+import { useEffect, useState } from "react";
+import { apiFetch } from "../utils/api.js";
+
+function AttachmentThumbnail({ attachment, file }) {
+  const [url, setUrl] = useState(null);
+  const [failed, setFailed] = useState(false);
+  const attachmentId = attachment?._id;
+
+  useEffect(() => {
+    let objectUrl = null;
+    let cancelled = false;
+
+    const load = async () => {
+      if (file) {
+        objectUrl = URL.createObjectURL(file);
+      } else if (attachmentId) {
+        const response = await apiFetch(`/api/attachments/${attachmentId}/download`);
+        if (!response.ok) throw new Error(`HTTP Error: ${response.status}`);
+        const blob = await response.blob();
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+      }
+      if (objectUrl && !cancelled) setUrl(objectUrl);
+    };
+
+    load().catch((err) => {
+      console.error("Thumbnail load error:", err);
+      if (!cancelled) setFailed(true);
+    });
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [file, attachmentId]);
+
+  const name = attachment?.name || file?.name;
+
+  if (failed) {
+    return (
+      <span className="attachmentThumbnail missing" title={name}>
+        <i className="fa-solid fa-image" />
+      </span>
+    );
+  }
+
+  return (
+    <button
+      type="button"
+      className="attachmentThumbnail"
+      onClick={() => url && window.open(url, "_blank", "noopener")}
+      disabled={!url}
+      title={name}
+    >
+      {url ? <img src={url} alt={name} /> : <i className="fa-solid fa-image" />}
+    </button>
+  );
+}
+
+export default AttachmentThumbnail;
@@ -6,6 +6,7 @@
 
 import { useState } from "react";
 import { useAuth } from "../context/AuthContext";
+import { notifyRateLimit } from "../utils/api.js";
 
 function AuthForm({ mode, onClose }) {
   //  Access login() from global AuthContext
@@ -47,6 +48,9 @@ function AuthForm({ mode, onClose }) {
         body: JSON.stringify(body),
       });
 
+      //  Too many attempts → toast with the wait time
+      if (notifyRateLimit(res)) return;
+
       //  Handle invalid response
       if (!res.ok) {
         const err = await res.json().catch(() => ({}));
@@ -0,0 +1,82 @@
+
+// Custom instructions editor (shown inside the Settings modal)
+// Lets the user tell SigmaGPT about themselves and how to respond.
+// Saved on the User profile and applied to every chat & voice request.
+
+
+import { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import { apiFetch } from "../utils/api.js";
+
+function CustomInstructions() {
+  const [about, setAbout] = useState("");
+  const [responseStyle, setResponseStyle] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  //  Load saved instructions once
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const response = await apiFetch("/api/user/instructions");
+        if (!response.ok) throw new Error("Failed to load instructions");
+        const data = await response.json();
+        setAbout(data.about);
+        setResponseStyle(data.responseStyle);
+      } catch (err) {
+        console.error("Instructions load error:", err);
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, []);
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const response = await apiFetch("/api/user/instructions", {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ about, responseStyle }),
+      });
+      if (!response.ok) {
+        const err = await response.json().catch(() => ({}));
+        throw new Error(err.message || "Failed to save instructions");
+      }
+      toast.success("Custom instructions saved!");
+    } catch (err) {
+      console.error("Instructions save error:", err);
+      toast.error(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="settingsSection">
+      <p><strong>Custom Instructions</strong></p>
+      <textarea
+        rows={3}
+        maxLength={1500}
+        placeholder="What should SigmaGPT know about you?"
+        value={about}
+        onChange={(e) => setAbout(e.target.value)}
+        disabled={loading}
+      />
+      <textarea
+        rows={3}
+        maxLength={1500}
+        placeholder="How should SigmaGPT respond?"
+        value={responseStyle}
+        onChange={(e) => setResponseStyle(e.target.value)}
+        disabled={loading}
+      />
+      <button onClick={handleSave} disabled={loading || saving}>
+        {saving ? "Saving..." : "Save Instructions"}
+      </button>
+    </div>
+  );
+}
+
+export default CustomInstructions;
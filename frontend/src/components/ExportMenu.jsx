@@ -0,0 +1,61 @@
+
+// Export menu (navbar download icon)
+// Saves the open chat, or every chat as a zip, as Markdown, JSON or a
+// standalone HTML page. Chats that aren't saved yet can only use "All chats".
+
+
+import { useState } from "react";
+import { downloadExport, EXPORT_FORMATS } from "../utils/exports.js";
+
+// Props:
+//  threadId → open chat (null when it isn't saved yet)
+function ExportMenu({ threadId }) {
+  const [open, setOpen] = useState(false);
+  const [pending, setPending] = useState(null); // "<scope>-<format>" being downloaded
+
+  const handleExport = async (scope, format) => {
+    setPending(`${scope}-${format}`);
+    const saved = await downloadExport({ threadId: scope === "thread" ? threadId : undefined, format });
+    setPending(null);
+    if (saved) setOpen(false);
+  };
+
+  const renderFormats = (scope, disabled) =>
+    EXPORT_FORMATS.map((format) => (
+      <li
+        key={format.id}
+        role="menuitem"
+        aria-disabled={disabled || Boolean(pending)}
+        className={disabled ? "disabled" : ""}
+        onClick={() => !disabled && !pending && handleExport(scope, format.id)}
+      >
+        {format.label}
+        {pending === `${scope}-${format.id}` && <i className="fa-solid fa-spinner fa-spin" />}
+      </li>
+    ));
+
+  return (
+    <div className="exportMenu">
+      <i
+        className="fa-solid fa-file-export threadSettings"
+        onClick={() => setOpen(!open)}
+        title="Export chats"
+        role="button"
+        aria-label="Export chats"
+        aria-haspopup="menu"
+        aria-expanded={open}
+      />
+
+      {open && (
+        <ul className="exportOptions" role="menu">
+          <li className="exportHeading" title={threadId ? undefined : "Send a message first"}>This chat</li>
+          {renderFormats("thread", !threadId)}
+          <li className="exportHeading">All chats (.zip)</li>
+          {renderFormats("all", false)}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default ExportMenu;
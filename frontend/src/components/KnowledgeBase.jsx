@@ -0,0 +1,135 @@
+
+// Knowledge base manager (shown inside the Settings modal)
+// Lists the documents the user uploaded for SigmaGPT to answer from and lets
+// them add, open or delete documents. Each thread opts in with the book
+// toggle in the navbar; replies then cite the documents they used.
+
+
+import { useEffect, useRef, useState } from "react";
+import { toast } from "react-toastify";
+import { apiFetch } from "../utils/api.js";
+import { attachmentIcon, formatFileSize } from "../utils/attachments.js";
+import { ACCEPTED_DOCUMENTS, openKnowledgeDocument } from "../utils/knowledge.js";
+
+//  Indexing status shown next to a document
+const EMBEDDING_LABELS = {
+  pending: "indexing…",
+  failed: "keyword search only",
+};
+
+function KnowledgeBase() {
+  const [documents, setDocuments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [uploading, setUploading] = useState(false);
+  const fileInputRef = useRef(null); // Hidden file picker
+
+  //  Load documents once
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const response = await apiFetch("/api/knowledge");
+        if (!response.ok) throw new Error("Failed to load documents");
+        setDocuments(await response.json());
+      } catch (err) {
+        console.error("Knowledge base load error:", err);
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, []);
+
+  const handleUpload = async (fileList) => {
+    const files = [...fileList];
+    if (!files.length) return;
+
+    setUploading(true);
+    try {
+      const body = new FormData();
+      for (const file of files) body.append("files", file);
+
+      const response = await apiFetch("/api/knowledge", { method: "POST", body });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.message || "Upload failed");
+
+      setDocuments((prev) => [...data, ...prev]);
+      toast.success(files.length > 1 ? `${files.length} documents added` : "Document added");
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleDelete = async (document) => {
+    if (!window.confirm(`Remove ${document.title} from your knowledge base?`)) return;
+    try {
+      const response = await apiFetch(`/api/knowledge/${document._id}`, { method: "DELETE" });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.message || "Failed to delete document");
+
+      setDocuments((prev) => prev.filter((d) => d._id !== document._id));
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  return (
+    <div className="settingsSection">
+      <p><strong>Knowledge Base</strong></p>
+      <p className="settingsHint">
+        Documents chats can answer from. Turn it on per chat with the <i className="fa-solid fa-book" /> button.
+      </p>
+
+      {loading ? (
+        <p className="settingsHint">Loading...</p>
+      ) : documents.length === 0 ? (
+        <p className="settingsHint">No documents yet.</p>
+      ) : (
+        <ul className="memoryList">
+          {documents.map((document) => (
+            <li key={document._id}>
+              <i className={`fa-solid ${attachmentIcon(document.kind)}`} />
+              <span
+                className="documentTitle"
+                onClick={() => openKnowledgeDocument({ documentId: document._id, title: document.title })}
+                role="button"
+                title={`Open ${document.filename}`}
+              >
+                {document.title}
+              </span>
+              <small className="documentMeta">
+                {formatFileSize(document.size)}
+                {EMBEDDING_LABELS[document.embeddings] && ` · ${EMBEDDING_LABELS[document.embeddings]}`}
+                {document.truncated && " · partly indexed"}
+              </small>
+              <i
+                className="fa-solid fa-trash"
+                onClick={() => handleDelete(document)}
+                role="button"
+                aria-label={`Delete ${document.title}`}
+              />
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept={ACCEPTED_DOCUMENTS}
+        multiple
+        hidden
+        onChange={(e) => {
+          handleUpload(e.target.files);
+          e.target.value = ""; // Same file can be picked again
+        }}
+      />
+      <button onClick={() => fileInputRef.current?.click()} disabled={loading || uploading}>
+        {uploading ? "Indexing..." : "Add Documents"}
+      </button>
+    </div>
+  );
+}
+
+export default KnowledgeBase;
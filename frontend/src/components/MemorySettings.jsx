@@ -0,0 +1,154 @@
+
+// Memory manager (shown inside the Settings modal)
+// Lists what SigmaGPT remembers about the user across threads and lets
+// them add, edit, delete or clear memories, so nothing is kept silently.
+
+
+import { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import { apiFetch } from "../utils/api.js";
+
+function MemorySettings() {
+  const [memories, setMemories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [draft, setDraft] = useState("");           // New memory text
+  const [editing, setEditing] = useState(null);     // { id, content } while editing
+
+  //  Load memories once
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const response = await apiFetch("/api/memory");
+        if (!response.ok) throw new Error("Failed to load memories");
+        setMemories(await response.json());
+      } catch (err) {
+        console.error("Memory load error:", err);
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, []);
+
+  //  Shared request helper (throws the server's message on failure)
+  const request = async (path, method, body) => {
+    const response = await apiFetch(path, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: body && JSON.stringify(body),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.message || "Memory request failed");
+    return data;
+  };
+
+  const handleAdd = async () => {
+    try {
+      const memory = await request("/api/memory", "POST", { content: draft });
+      setMemories((prev) => [memory, ...prev]);
+      setDraft("");
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleSave = async () => {
+    try {
+      const memory = await request(`/api/memory/${editing.id}`, "PUT", { content: editing.content });
+      setMemories((prev) => prev.map((m) => (m._id === memory._id ? memory : m)));
+      setEditing(null);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      await request(`/api/memory/${id}`, "DELETE");
+      setMemories((prev) => prev.filter((m) => m._id !== id));
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleClear = async () => {
+    if (!window.confirm("Forget everything SigmaGPT remembers about you?")) return;
+    try {
+      await request("/api/memory", "DELETE");
+      setMemories([]);
+      toast.success("All memories deleted");
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  return (
+    <div className="settingsSection">
+      <p><strong>Memory</strong></p>
+      <p className="settingsHint">
+        Facts SigmaGPT picked up from your chats and uses in every thread.
+      </p>
+
+      {loading ? (
+        <p className="settingsHint">Loading...</p>
+      ) : memories.length === 0 ? (
+        <p className="settingsHint">Nothing remembered yet.</p>
+      ) : (
+        <ul className="memoryList">
+          {memories.map((memory) =>
+            editing?.id === memory._id ? (
+              <li key={memory._id}>
+                <input
+                  value={editing.content}
+                  maxLength={500}
+                  onChange={(e) => setEditing({ ...editing, content: e.target.value })}
+                  onKeyDown={(e) => {
+                    if (e.key === "Enter") handleSave();
+                    if (e.key === "Escape") setEditing(null);
+                  }}
+                  aria-label="Memory text"
+                  autoFocus
+                />
+                <i className="fa-solid fa-check" onClick={handleSave} role="button" aria-label="Save memory" />
+                <i className="fa-solid fa-xmark" onClick={() => setEditing(null)} role="button" aria-label="Cancel" />
+              </li>
+            ) : (
+              <li key={memory._id}>
+                <span>{memory.content}</span>
+                <i
+                  className="fa-solid fa-pen"
+                  onClick={() => setEditing({ id: memory._id, content: memory.content })}
+                  role="button"
+                  aria-label="Edit memory"
+                />
+                <i
+                  className="fa-solid fa-trash"
+                  onClick={() => handleDelete(memory._id)}
+                  role="button"
+                  aria-label="Delete memory"
+                />
+              </li>
+            )
+          )}
+        </ul>
+      )}
+
+      <div className="memoryAdd">
+        <input
+          value={draft}
+          maxLength={500}
+          placeholder="Add something to remember"
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && draft.trim() && handleAdd()}
+          disabled={loading}
+        />
+        <button onClick={handleAdd} disabled={loading || !draft.trim()}>Add</button>
+      </div>
+      {memories.length > 0 && (
+        <button onClick={handleClear}>Forget Everything</button>
+      )}
+    </div>
+  );
+}
+
+export default MemorySettings;
@@ -0,0 +1,88 @@
+
+// Model picker (navbar "SigmaGPT ▾")
+// Loads the allowed models from GET /api/models and lets the user
+// switch the chat model of the current thread. Models outside the
+// user's plan are shown locked and open the Upgrade modal instead.
+// Models that can read attached images are marked with an image icon.
+
+
+import { useEffect, useState } from "react";
+import { apiFetch } from "../utils/api.js";
+
+function ModelPicker({ enabled, value, onChange, onLocked }) {
+  const [models, setModels] = useState([]);
+  const [defaultModel, setDefaultModel] = useState(null);
+  const [open, setOpen] = useState(false);
+
+  //  Fetch the registry once the user is logged in
+  //  (refreshed whenever the menu opens → picks up plan changes)
+  useEffect(() => {
+    if (!enabled) return;
+
+    const load = async () => {
+      try {
+        const response = await apiFetch("/api/models");
+        if (!response.ok) throw new Error("Failed to load models");
+        const data = await response.json();
+        setModels(data.models);
+        setDefaultModel(data.default);
+      } catch (err) {
+        console.error("Models fetch error:", err);
+      }
+    };
+    load();
+  }, [enabled, open]);
+
+  const selectedId = value || defaultModel;
+  const selected = models.find((m) => m.id === selectedId);
+
+  const handleSelect = (model) => {
+    setOpen(false);
+    if (model.allowed === false) return onLocked?.(model);
+    if (model.id !== selectedId) onChange(model.id);
+  };
+
+  return (
+    <div className="modelPicker">
+      <span
+        onClick={() => enabled && setOpen(!open)}
+        role="button"
+        aria-haspopup="listbox"
+        aria-expanded={open}
+      >
+        SigmaGPT {selected && <small className="modelName">{selected.name}</small>}{" "}
+        <i className="fa-solid fa-chevron-down"></i>
+      </span>
+
+      {open && (
+        <ul className="modelMenu" role="listbox">
+          {models.map((m) => (
+            <li
+              key={m.id}
+              role="option"
+              aria-selected={m.id === selectedId}
+              aria-disabled={m.allowed === false}
+              className={`${m.id === selectedId ? "selected" : ""} ${m.allowed === false ? "locked" : ""}`}
+              onClick={() => handleSelect(m)}
+            >
+              <div>
+                <strong>
+                  {m.name}
+                  {m.vision && <i className="fa-regular fa-image visionBadge" title="Can read images" />}
+                </strong>
+                {m.description && <p>{m.description}</p>}
+              </div>
+              {m.allowed === false ? (
+                <i className="fa-solid fa-lock" title="Not included in your plan" />
+              ) : (
+                m.id === selectedId && <i className="fa-solid fa-check" />
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default ModelPicker;
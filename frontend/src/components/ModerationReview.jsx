@@ -0,0 +1,82 @@
+
+// Moderation review (admins only, shown inside the Settings modal)
+// Lists messages flagged or blocked by content moderation that
+// nobody has reviewed yet (GET /api/admin/moderation). Dismissing a
+// withheld reply gives the user its text back.
+
+
+import { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import { apiFetch } from "../utils/api.js";
+
+function ModerationReview() {
+  const [status, setStatus] = useState("");
+  const [messages, setMessages] = useState(null);
+
+  //  Reload whenever the status filter changes
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const response = await apiFetch(`/api/admin/moderation${status ? `?status=${status}` : ""}`);
+        if (!response.ok) throw new Error("Failed to load moderation queue");
+        setMessages(await response.json());
+      } catch (err) {
+        console.error("Moderation queue error:", err);
+        setMessages([]);
+      }
+    };
+    load();
+  }, [status]);
+
+  const review = async (messageId, decision) => {
+    try {
+      const response = await apiFetch(`/api/admin/moderation/${messageId}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ decision }),
+      });
+      if (!response.ok) throw new Error("Failed to save review");
+      setMessages((prev) => prev.filter((m) => m._id !== messageId));
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  return (
+    <div className="settingsSection">
+      <p><strong>Moderation review</strong></p>
+      <div className="usageRange">
+        {[["", "All"], ["flagged", "Flagged"], ["blocked", "Blocked"]].map(([value, label]) => (
+          <button key={label} className={value === status ? "active" : ""} onClick={() => setStatus(value)}>
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {!messages ? (
+        <p className="settingsHint">Loading...</p>
+      ) : !messages.length ? (
+        <p className="settingsHint">Nothing waiting for review.</p>
+      ) : (
+        <ul className="moderationList">
+          {messages.map((m) => (
+            <li key={m._id}>
+              <p className="settingsHint">
+                {m.moderation.status} · {m.role} · {m.userId?.email || "deleted user"} ·{" "}
+                {new Date(m.createdAt).toLocaleString()}
+                {m.moderation.categories?.length > 0 && ` · ${m.moderation.categories.join(", ")}`}
+              </p>
+              <p>{m.moderation.original || m.content}</p>
+              <div className="moderationActions">
+                <button onClick={() => review(m._id, "dismissed")}>Dismiss</button>
+                <button onClick={() => review(m._id, "confirmed")}>Confirm</button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default ModerationReview;
@@ -0,0 +1,69 @@
+// Privacy settings (shown inside the Settings modal)
+// Toggles PII redaction: emails, phone numbers, API keys and card numbers
+// are replaced with placeholders before messages are sent to the AI
+// provider, and put back in the replies shown here.
+
+
+import { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import { apiFetch } from "../utils/api.js";
+
+function PrivacySettings() {
+  const [redactPii, setRedactPii] = useState(false);
+  const [loading, setLoading] = useState(true);
+
+  //  Load the saved setting once
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const response = await apiFetch("/api/user/privacy");
+        if (!response.ok) throw new Error("Failed to load privacy settings");
+        const data = await response.json();
+        setRedactPii(data.redactPii);
+      } catch (err) {
+        console.error("Privacy load error:", err);
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, []);
+
+  //  Saved as soon as the box is toggled
+  const handleToggle = async (e) => {
+    const value = e.target.checked;
+    setRedactPii(value);
+    try {
+      const response = await apiFetch("/api/user/privacy", {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ redactPii: value }),
+      });
+      if (!response.ok) {
+        const err = await response.json().catch(() => ({}));
+        throw new Error(err.message || "Failed to save privacy settings");
+      }
+      toast.success(value ? "PII redaction turned on" : "PII redaction turned off");
+    } catch (err) {
+      console.error("Privacy save error:", err);
+      setRedactPii(!value);
+      toast.error(err.message);
+    }
+  };
+
+  return (
+    <div className="settingsSection">
+      <p><strong>Privacy</strong></p>
+      <label className="settingsToggle">
+        <input type="checkbox" checked={redactPii} onChange={handleToggle} disabled={loading} />
+        Redact personal data before it is sent to the AI
+      </label>
+      <p className="settingsHint">
+        Emails, phone numbers, API keys and card numbers are replaced with placeholders like [EMAIL_1]
+        and restored in replies. Voice recordings are still transcribed as spoken.
+      </p>
+    </div>
+  );
+}
+
+export default PrivacySettings;
@@ -0,0 +1,181 @@
+
+// Conversation search (top of the sidebar)
+// Searches every thread through GET /api/search as the user types, with
+// filters for role, date and the current chat. Matching words are
+// highlighted; picking a result opens its thread and scrolls to the message.
+
+
+import { useEffect, useState } from "react";
+import { apiFetch } from "../utils/api.js";
+
+//  Date filter → days back (null → any time)
+const DATE_RANGES = {
+  any: null,
+  week: 7,
+  month: 30,
+  year: 365,
+};
+
+//  Wait after the last keystroke before searching (ms)
+const SEARCH_DELAY = 300;
+
+//  Snippet with its matched words wrapped in <mark>
+const renderHighlights = (text, ranges = []) => {
+  const parts = [];
+  let last = 0;
+  ranges.forEach(([start, end], i) => {
+    if (start > last) parts.push(text.slice(last, start));
+    parts.push(<mark key={i}>{text.slice(start, end)}</mark>);
+    last = end;
+  });
+  parts.push(text.slice(last));
+  return parts;
+};
+
+//  "Mar 4" (this year) / "Mar 4, 2024"
+const formatDate = (value) => {
+  const date = new Date(value);
+  return date.toLocaleDateString(undefined, {
+    month: "short",
+    day: "numeric",
+    ...(date.getFullYear() !== new Date().getFullYear() && { year: "numeric" }),
+  });
+};
+
+// Props:
+//  query / onQueryChange(text) → search text (the sidebar hides its thread list while set)
+//  currThreadId → thread for the "This chat" filter (null when it isn't saved yet)
+//  onOpen(threadId, messageId?) → open a result
+function SearchPanel({ query, onQueryChange, currThreadId, onOpen }) {
+  const [role, setRole] = useState("");
+  const [range, setRange] = useState("any");
+  const [thisChat, setThisChat] = useState(false);
+  const [results, setResults] = useState(null); // { messages, threads } of the last search
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const text = query.trim();
+  const threadFilter = thisChat && currThreadId ? currThreadId : null;
+
+  //  Search once typing pauses (older requests are cancelled)
+  useEffect(() => {
+    if (!text) return;
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      const params = new URLSearchParams({ q: text });
+      if (role) params.set("role", role);
+      if (threadFilter) params.set("threadId", threadFilter);
+      if (DATE_RANGES[range]) {
+        params.set("from", new Date(Date.now() - DATE_RANGES[range] * 24 * 60 * 60 * 1000).toISOString());
+      }
+
+      setLoading(true);
+      try {
+        const response = await apiFetch(`/api/search?${params}`, { signal: controller.signal });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(data.message || "Search failed");
+        setResults(data);
+        setError(null);
+      } catch (err) {
+        if (controller.signal.aborted) return;
+        console.error("Search error:", err);
+        setError(err.message);
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    }, SEARCH_DELAY);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [text, role, range, threadFilter]);
+
+  const hasResults = results && (results.messages.length > 0 || results.threads.length > 0);
+
+  return (
+    <div className="searchPanel">
+      <div className="searchBox">
+        <i className="fa-solid fa-magnifying-glass" />
+        <input
+          type="search"
+          value={query}
+          placeholder="Search chats"
+          maxLength={200}
+          onChange={(e) => onQueryChange(e.target.value)}
+          onKeyDown={(e) => e.key === "Escape" && onQueryChange("")}
+          aria-label="Search chats"
+        />
+      </div>
+
+      {text && (
+        <>
+          <div className="searchFilters">
+            <select value={role} onChange={(e) => setRole(e.target.value)} aria-label="Sender">
+              <option value="">Everyone</option>
+              <option value="user">You</option>
+              <option value="assistant">SigmaGPT</option>
+            </select>
+            <select value={range} onChange={(e) => setRange(e.target.value)} aria-label="Date">
+              <option value="any">Any time</option>
+              <option value="week">Past week</option>
+              <option value="month">Past month</option>
+              <option value="year">Past year</option>
+            </select>
+            <label title={currThreadId ? "Only search the open chat" : "Open a saved chat first"}>
+              <input
+                type="checkbox"
+                checked={Boolean(threadFilter)}
+                disabled={!currThreadId}
+                onChange={(e) => setThisChat(e.target.checked)}
+              />
+              This chat
+            </label>
+          </div>
+
+          <ul className="searchResults" aria-label="Search results" aria-busy={loading}>
+            {error ? (
+              <li className="searchEmpty">{error}</li>
+            ) : !hasResults ? (
+              <li className="searchEmpty">{loading || !results ? "Searching..." : "No matches"}</li>
+            ) : (
+              <>
+                {results.threads.map((thread) => (
+                  <li
+                    key={`thread-${thread.threadId}`}
+                    onClick={() => onOpen(thread.threadId)}
+                    onKeyDown={(e) => e.key === "Enter" && onOpen(thread.threadId)}
+                    role="button"
+                    tabIndex={0}
+                  >
+                    <span className="searchTitle">
+                      <i className="fa-regular fa-comments" /> {renderHighlights(thread.title, thread.highlights)}
+                    </span>
+                  </li>
+                ))}
+                {results.messages.map((message) => (
+                  <li
+                    key={message.messageId}
+                    onClick={() => onOpen(message.threadId, message.messageId)}
+                    onKeyDown={(e) => e.key === "Enter" && onOpen(message.threadId, message.messageId)}
+                    role="button"
+                    tabIndex={0}
+                  >
+                    <span className="searchTitle">{message.threadTitle}</span>
+                    <span className="searchMeta">
+                      {message.role === "user" ? "You" : "SigmaGPT"} · {formatDate(message.createdAt)}
+                    </span>
+                    <span className="searchSnippet">{renderHighlights(message.snippet, message.highlights)}</span>
+                  </li>
+                ))}
+              </>
+            )}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default SearchPanel;
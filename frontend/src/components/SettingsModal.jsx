@@ -0,0 +1,48 @@
+
+// Settings modal
+// Shows the profile, theme switch, the user's custom instructions,
+// privacy setting, long-term memories, knowledge base documents, prompt templates
+// and token usage
+// (plus the moderation review queue for admins).
+
+
+import CustomInstructions from "./CustomInstructions.jsx";
+import PrivacySettings from "./PrivacySettings.jsx";
+import MemorySettings from "./MemorySettings.jsx";
+import KnowledgeBase from "./KnowledgeBase.jsx";
+import TemplateSettings from "./TemplateSettings.jsx";
+import UsagePanel from "./UsagePanel.jsx";
+import ModerationReview from "./ModerationReview.jsx";
+
+function SettingsModal({ user, onToggleTheme, onClose }) {
+  return (
+    <div className="modal">
+      <div className="modal-content">
+        <h3>Settings ⚙️</h3>
+        {user ? (
+          <>
+            <p>Name: {user?.name}</p>
+            <p>Email: {user?.email}</p>
+            <CustomInstructions />
+            <PrivacySettings />
+            <MemorySettings />
+            <KnowledgeBase />
+            <TemplateSettings />
+            <UsagePanel />
+            {user.role === "admin" && <ModerationReview />}
+          </>
+        ) : (
+          <p>Please login to view your profile.</p>
+        )}
+        <button onClick={onToggleTheme}>
+          {document.body.classList.contains("dark-mode")
+            ? "Switch to Light Mode"
+            : "Switch to Dark Mode"}
+        </button>
+        <button onClick={onClose}>Close</button>
+      </div>
+    </div>
+  );
+}
+
+export default SettingsModal;
@@ -0,0 +1,45 @@
+
+// Modal editor for a thread's system prompt
+// (instructions the model receives before every message in the thread)
+
+
+import { useState } from "react";
+
+function SystemPromptModal({ initialValue = "", onSave, onClose }) {
+  //  Local draft so typing doesn't re-render the whole chat window
+  const [value, setValue] = useState(initialValue);
+  const [saving, setSaving] = useState(false);
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await onSave(value.trim());
+      onClose();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal">
+      <div className="modal-content">
+        <h3>Thread Instructions</h3>
+        <p>How should SigmaGPT behave in this chat? (e.g. "You are a strict code reviewer")</p>
+        <textarea
+          className="systemPromptInput"
+          rows={6}
+          maxLength={4000}
+          placeholder="System prompt for this thread..."
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+        />
+        <button onClick={handleSave} disabled={saving}>
+          {saving ? "Saving..." : "Save"}
+        </button>
+        <button onClick={onClose} disabled={saving}>Cancel</button>
+      </div>
+    </div>
+  );
+}
+
+export default SystemPromptModal;
@@ -0,0 +1,35 @@
+
+// Slash-command autocomplete (shown above the chat input)
+// Lists the user's templates matching what was typed after "/".
+// Keyboard navigation is handled by ChatWindow (↑ ↓ Enter Tab Esc).
+
+
+function TemplateMenu({ templates, activeIndex, onPick }) {
+  return (
+    <ul className="templateMenu" role="listbox" aria-label="Prompt templates">
+      {templates.length === 0 ? (
+        <li className="templateEmpty">No matching templates. Add some in Settings.</li>
+      ) : (
+        templates.map((template, index) => (
+          <li
+            key={template._id}
+            role="option"
+            aria-selected={index === activeIndex}
+            className={index === activeIndex ? "active" : ""}
+            onMouseDown={(e) => {
+              e.preventDefault(); // keep focus in the input
+              onPick(template);
+            }}
+          >
+            <span className="templateName">/{template.name}</span>
+            <span className="templateDescription">
+              {template.description || template.content}
+            </span>
+          </li>
+        ))
+      )}
+    </ul>
+  );
+}
+
+export default TemplateMenu;
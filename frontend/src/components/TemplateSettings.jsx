@@ -0,0 +1,135 @@
+
+// Prompt template manager (shown inside the Settings modal)
+// Create, edit and delete the slash-command templates used in the chat input.
+// Use {{variable}} in the text for parts to fill in each time.
+
+
+import { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import { apiFetch } from "../utils/api.js";
+
+//  Empty form state (new template)
+const EMPTY_FORM = { id: null, name: "", description: "", content: "" };
+
+function TemplateSettings() {
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  //  Load templates once
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const response = await apiFetch("/api/templates");
+        if (!response.ok) throw new Error("Failed to load templates");
+        setTemplates(await response.json());
+      } catch (err) {
+        console.error("Templates load error:", err);
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, []);
+
+  const handleSave = async () => {
+    const { id, name, description, content } = form;
+    try {
+      const response = await apiFetch(id ? `/api/templates/${id}` : "/api/templates", {
+        method: id ? "PUT" : "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ name, description, content }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.message || "Failed to save template");
+
+      setTemplates((prev) =>
+        (id ? prev.map((t) => (t._id === id ? data : t)) : [...prev, data]).sort((a, b) =>
+          a.name.localeCompare(b.name)
+        )
+      );
+      setForm(EMPTY_FORM);
+      toast.success(`Template /${data.name} saved!`);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      const response = await apiFetch(`/api/templates/${id}`, { method: "DELETE" });
+      if (!response.ok) throw new Error("Failed to delete template");
+      setTemplates((prev) => prev.filter((t) => t._id !== id));
+      if (form.id === id) setForm(EMPTY_FORM);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  return (
+    <div className="settingsSection">
+      <p><strong>Prompt Templates</strong></p>
+      <p className="settingsHint">Type / in the chat box to use them.</p>
+
+      {!loading && templates.length > 0 && (
+        <ul className="memoryList">
+          {templates.map((template) => (
+            <li key={template._id}>
+              <span>/{template.name}</span>
+              <i
+                className="fa-solid fa-pen"
+                onClick={() =>
+                  setForm({
+                    id: template._id,
+                    name: template.name,
+                    description: template.description,
+                    content: template.content,
+                  })
+                }
+                role="button"
+                aria-label={`Edit template ${template.name}`}
+              />
+              <i
+                className="fa-solid fa-trash"
+                onClick={() => handleDelete(template._id)}
+                role="button"
+                aria-label={`Delete template ${template.name}`}
+              />
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="memoryAdd">
+        <input
+          value={form.name}
+          maxLength={40}
+          placeholder="name (e.g. tests)"
+          onChange={(e) => setForm({ ...form, name: e.target.value })}
+          disabled={loading}
+        />
+        <input
+          value={form.description}
+          maxLength={200}
+          placeholder="Description (optional)"
+          onChange={(e) => setForm({ ...form, description: e.target.value })}
+          disabled={loading}
+        />
+      </div>
+      <textarea
+        rows={3}
+        maxLength={4000}
+        placeholder="Write unit tests for {{code}} using {{framework}}"
+        value={form.content}
+        onChange={(e) => setForm({ ...form, content: e.target.value })}
+        disabled={loading}
+      />
+      <button onClick={handleSave} disabled={loading || !form.name.trim() || !form.content.trim()}>
+        {form.id ? "Update Template" : "Add Template"}
+      </button>
+      {form.id && <button onClick={() => setForm(EMPTY_FORM)}>Cancel Edit</button>}
+    </div>
+  );
+}
+
+export default TemplateSettings;
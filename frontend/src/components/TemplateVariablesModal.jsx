@@ -0,0 +1,43 @@
+
+// Template variables form
+// Asks for every {{variable}} of the picked template, then hands
+// the expanded prompt back to the chat input.
+
+
+import { useState } from "react";
+import { expandTemplate } from "../utils/templates.js";
+
+function TemplateVariablesModal({ template, onSubmit, onClose }) {
+  const [values, setValues] = useState(() =>
+    Object.fromEntries(template.variables.map((name) => [name, ""]))
+  );
+  const complete = template.variables.every((name) => values[name].trim());
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (complete) onSubmit(expandTemplate(template.content, values));
+  };
+
+  return (
+    <div className="modal">
+      <form className="modal-content" onSubmit={handleSubmit}>
+        <h3>/{template.name}</h3>
+        {template.variables.map((name, index) => (
+          <label key={name} className="templateVariable">
+            {name}
+            <textarea
+              rows={2}
+              value={values[name]}
+              onChange={(e) => setValues({ ...values, [name]: e.target.value })}
+              autoFocus={index === 0}
+            />
+          </label>
+        ))}
+        <button type="submit" disabled={!complete}>Insert</button>
+        <button type="button" onClick={onClose}>Cancel</button>
+      </form>
+    </div>
+  );
+}
+
+export default TemplateVariablesModal;
@@ -0,0 +1,136 @@
+
+// Upgrade Plan modal
+// Shows today's remaining quota of the user's plan and the available
+// plan tiers (GET /api/plans). Changing plan goes through the server's
+// billing hook: applied at once, left pending for an admin, or
+// redirected to a checkout page.
+
+
+import { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import { apiFetch } from "../utils/api.js";
+
+//  Quota rows (keys of limits / used / remaining)
+const QUOTAS = [
+  { key: "messages", label: "Messages" },
+  { key: "tokens", label: "Tokens" },
+  { key: "voiceMinutes", label: "Voice minutes" },
+];
+
+//  Short plan summary ("50 messages · 100k tokens · 5 voice min / day")
+const describePlan = (plan) =>
+  [
+    plan.dailyMessages === null ? "Unlimited messages" : `${plan.dailyMessages} messages`,
+    plan.dailyTokens === null ? "unlimited tokens" : `${plan.dailyTokens.toLocaleString()} tokens`,
+    plan.dailyVoiceMinutes === null ? "unlimited voice" : `${plan.dailyVoiceMinutes} voice min`,
+  ].join(" · ") + " per day";
+
+function UpgradeModal({ reason, onClose, onPlanChange }) {
+  const [data, setData] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const load = async () => {
+    try {
+      const response = await apiFetch("/api/plans");
+      if (!response.ok) throw new Error("Failed to load plans");
+      setData(await response.json());
+    } catch (err) {
+      console.error("Plans load error:", err);
+      toast.error(err.message);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const changePlan = async (planId) => {
+    setBusy(true);
+    try {
+      const response = await apiFetch("/api/plans/upgrade", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ plan: planId }),
+      });
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(result.message || "Failed to change plan");
+
+      //  Checkout page of the billing provider
+      if (result.status === "redirect" && result.url) {
+        window.location.href = result.url;
+        return;
+      }
+
+      toast[result.status === "approved" ? "success" : "info"](result.message);
+      if (result.status === "approved") onPlanChange?.(result.current);
+      await load();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="modal">
+      <div className="modal-content">
+        <h3>💎 Upgrade Plan</h3>
+        {reason && <p className="quotaReason">{reason}</p>}
+
+        {!data ? (
+          <p className="settingsHint">Loading...</p>
+        ) : (
+          <>
+            {/*  Today's quota */}
+            <div className="settingsSection">
+              <p>
+                <strong>Today</strong> — resets at {new Date(data.resetAt).toLocaleTimeString()}
+              </p>
+              {QUOTAS.map(({ key, label }) => (
+                <div key={key} className="quotaRow">
+                  <span>{label}</span>
+                  <span>
+                    {data.limits[key] === null
+                      ? `${data.used[key].toLocaleString()} used · unlimited`
+                      : `${data.remaining[key].toLocaleString()} of ${data.limits[key].toLocaleString()} left`}
+                  </span>
+                  {data.limits[key] !== null && (
+                    <div className="quotaBar">
+                      <div style={{ width: `${Math.min((data.used[key] / data.limits[key]) * 100, 100)}%` }} />
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+
+            {/*  Plan tiers */}
+            {data.plans.map((plan) => (
+              <div key={plan.id} className={`planCard ${plan.id === data.current ? "current" : ""}`}>
+                <p>
+                  <strong>{plan.name}</strong> {plan.price && <span>{plan.price}</span>}
+                </p>
+                <p className="settingsHint">{describePlan(plan)}</p>
+                <p className="settingsHint">
+                  {plan.models === "*" ? "All models" : `Models: ${plan.models.join(", ")}`}
+                </p>
+                {plan.id === data.current ? (
+                  <button disabled>Current Plan</button>
+                ) : plan.id === data.pendingPlan ? (
+                  <button disabled>Requested</button>
+                ) : (
+                  <button onClick={() => changePlan(plan.id)} disabled={busy}>
+                    Switch to {plan.name}
+                  </button>
+                )}
+              </div>
+            ))}
+          </>
+        )}
+
+        <button onClick={onClose}>Close</button>
+      </div>
+    </div>
+  );
+}
+
+export default UpgradeModal;
@@ -0,0 +1,112 @@
+
+// Token usage panel (shown inside the Settings modal)
+// Daily tokens for the last 14 or 30 days as a small bar chart,
+// plus totals per model and the threads that used the most.
+// Tokens spent on upkeep (titles, summaries, memory, knowledge base) are listed apart.
+
+
+import { useEffect, useState } from "react";
+import { apiFetch } from "../utils/api.js";
+
+//  1234567 → "1.2M"
+const formatTokens = (n) =>
+  n >= 1e6 ? `${(n / 1e6).toFixed(1)}M` : n >= 1e3 ? `${(n / 1e3).toFixed(1)}k` : String(n);
+
+function UsagePanel() {
+  const [days, setDays] = useState(14);
+  const [usage, setUsage] = useState(null);
+
+  //  Reload whenever the range changes
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const response = await apiFetch(`/api/usage?days=${days}`);
+        if (!response.ok) throw new Error("Failed to load usage");
+        setUsage(await response.json());
+      } catch (err) {
+        console.error("Usage load error:", err);
+      }
+    };
+    load();
+  }, [days]);
+
+  const peak = Math.max(1, ...(usage?.days || []).map((d) => d.totalTokens));
+  const background = usage?.totals.background || {};
+  const backgroundTokens =
+    (background.title || 0) + (background.summary || 0) + (background.memory || 0) + (background.knowledge || 0);
+
+  return (
+    <div className="settingsSection">
+      <p><strong>Usage</strong></p>
+      <div className="usageRange">
+        {[14, 30].map((n) => (
+          <button key={n} className={n === days ? "active" : ""} onClick={() => setDays(n)}>
+            {n} days
+          </button>
+        ))}
+      </div>
+
+      {!usage ? (
+        <p className="settingsHint">Loading...</p>
+      ) : (
+        <>
+          <p className="settingsHint">
+            {formatTokens(usage.totals.totalTokens)} tokens ({formatTokens(usage.totals.promptTokens)} prompt,{" "}
+            {formatTokens(usage.totals.completionTokens)} completion) in {usage.totals.requests} requests
+          </p>
+          {backgroundTokens > 0 && (
+            <p className="settingsHint">
+              Of which background upkeep: {formatTokens(background.memory || 0)} memory,{" "}
+              {formatTokens(background.summary || 0)} summaries, {formatTokens(background.title || 0)} titles,{" "}
+              {formatTokens(background.knowledge || 0)} knowledge base
+              (counted in your daily tokens)
+            </p>
+          )}
+
+          {/*  Daily bars (hover for exact numbers) */}
+          <div className="usageChart" aria-label="Tokens per day">
+            {usage.days.map((day) => (
+              <div
+                key={day.date}
+                className="usageBar"
+                style={{ height: `${(day.totalTokens / peak) * 100}%` }}
+                title={`${day.date}: ${day.totalTokens} tokens, ${day.requests} requests`}
+              />
+            ))}
+          </div>
+
+          {usage.models.length > 0 && (
+            <table className="usageTable">
+              <tbody>
+                {usage.models.map((m) => (
+                  <tr key={m.model}>
+                    <td>{m.model}</td>
+                    <td>{formatTokens(m.totalTokens)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {usage.threads.length > 0 && (
+            <>
+              <p className="settingsHint">Top threads (all time)</p>
+              <table className="usageTable">
+                <tbody>
+                  {usage.threads.map((t) => (
+                    <tr key={t.threadId}>
+                      <td>{t.title}</td>
+                      <td>{formatTokens(t.totalTokens)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default UsagePanel;
@@ -0,0 +1,52 @@
+
+//  Purpose:
+// Small fetch wrapper for authenticated backend calls.
+// Sends cookies, and on a 401 refreshes the session once
+// (POST /api/auth/refresh) before retrying the request.
+// Rate limited responses (429 + Retry-After) show a toast with the wait time.
+
+import { toast } from "react-toastify";
+
+//  Auto-detect backend URL (works both local + deployed)
+export const BACKEND_URL =
+  window.location.hostname === "localhost"
+    ? "http://localhost:8080"
+    : import.meta.env.VITE_BACKEND_URL;
+
+//  "45s" / "3 min"
+const formatWait = (seconds) => (seconds < 60 ? `${seconds}s` : `${Math.ceil(seconds / 60)} min`);
+
+/**
+ *  Shows a toast when the server rate limited a request
+ * @param {Response} response
+ * @returns {boolean} true if the response was rate limited
+ */
+export function notifyRateLimit(response) {
+  const retryAfter = parseInt(response.headers.get("Retry-After"), 10);
+  if (response.status !== 429 || Number.isNaN(retryAfter)) return false;
+
+  toast.warn(`Too many requests — try again in ${formatWait(retryAfter)}.`, {
+    toastId: "rate-limit", // One toast, even when several requests are refused
+  });
+  return true;
+}
+
+export async function apiFetch(path, options = {}) {
+  const send = () =>
+    fetch(`${BACKEND_URL}${path}`, { credentials: "include", ...options });
+
+  let response = await send();
+
+  //  Token expired → refresh session and retry once
+  if (response.status === 401) {
+    const refresh = await fetch(`${BACKEND_URL}/api/auth/refresh`, {
+      method: "POST",
+      credentials: "include",
+    });
+    if (refresh.ok) response = await send();
+  }
+
+  notifyRateLimit(response);
+
+  return response;
+}
@@ -0,0 +1,86 @@
+// File attachment helpers
+// Files picked, pasted or dropped in the chat input are sent with the message
+// (multipart POST /api/chat); saved attachments can be downloaded by their owner.
+
+import { toast } from "react-toastify";
+import { apiFetch } from "./api.js";
+
+//  Same limits as the backend defaults (utils/attachments.js there)
+export const MAX_ATTACHMENTS = 5;
+
+//  File picker filter: text, Markdown, source code, CSV, PDF and images
+export const ACCEPTED_FILES = [
+  ".txt", ".log", ".md", ".markdown", ".csv", ".tsv", ".pdf", ".png", ".jpg", ".jpeg", ".gif", ".webp",
+  ".js", ".jsx", ".mjs", ".cjs", ".ts", ".tsx", ".py", ".rb", ".php", ".java", ".kt", ".kts",
+  ".scala", ".go", ".rs", ".c", ".h", ".cc", ".cpp", ".hpp", ".cs", ".swift", ".m", ".sh",
+  ".bash", ".zsh", ".ps1", ".sql", ".r", ".lua", ".pl", ".dart", ".vue", ".svelte", ".html",
+  ".htm", ".css", ".scss", ".less", ".json", ".yaml", ".yml", ".toml", ".ini", ".cfg", ".xml",
+  ".graphql", ".proto",
+].join(",");
+
+/**
+ *  Whether a file (picked, pasted or dropped) can be attached
+ * @param {string} name
+ * @returns {boolean}
+ */
+export const isAcceptedFile = (name = "") =>
+  ACCEPTED_FILES.split(",").includes(`.${name.toLowerCase().split(".").pop()}`);
+
+/**
+ *  File kind from its name (the backend decides the stored kind)
+ * @param {string} name
+ * @returns {string} - text | markdown | code | csv | pdf | image
+ */
+export const attachmentKind = (name = "") => {
+  const ext = name.toLowerCase().split(".").pop();
+  if (ext === "pdf") return "pdf";
+  if (["png", "jpg", "jpeg", "gif", "webp"].includes(ext)) return "image";
+  if (ext === "csv" || ext === "tsv") return "csv";
+  if (ext === "md" || ext === "markdown") return "markdown";
+  if (ext === "txt" || ext === "log") return "text";
+  return "code";
+};
+
+/**
+ *  Font Awesome icon for a file kind (text | markdown | code | csv | pdf | image)
+ * @param {string} [kind]
+ * @returns {string}
+ */
+export const attachmentIcon = (kind) =>
+  ({ pdf: "fa-file-pdf", code: "fa-file-code", csv: "fa-file-csv", image: "fa-file-image" })[kind] ||
+  "fa-file-lines";
+
+/**
+ *  "532 B" / "12 KB" / "1.4 MB"
+ * @param {number} bytes
+ * @returns {string}
+ */
+export const formatFileSize = (bytes = 0) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+/**
+ *  Downloads a saved attachment under its original name
+ * @param {{ _id: string, name: string }} attachment
+ */
+export async function downloadAttachment(attachment) {
+  try {
+    const response = await apiFetch(`/api/attachments/${attachment._id}/download`);
+    if (!response.ok) {
+      const err = await response.json().catch(() => ({}));
+      throw new Error(err.message || "Download failed");
+    }
+
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = attachment.name;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000); // After the browser picked it up
+  } catch (err) {
+    console.error("Attachment download error:", err);
+    toast.error(err.message || "Download failed");
+  }
+}
@@ -0,0 +1,53 @@
+// Thread export downloads
+// GET /api/thread/:threadId/export (one chat) and GET /api/thread/export (all chats
+// as a zip) in Markdown, JSON or standalone HTML.
+
+import { toast } from "react-toastify";
+import { apiFetch } from "./api.js";
+
+//  Formats offered in the export menu
+export const EXPORT_FORMATS = [
+  { id: "md", label: "Markdown" },
+  { id: "json", label: "JSON" },
+  { id: "html", label: "HTML page" },
+];
+
+//  File name from Content-Disposition (falls back to the given one)
+const filenameFrom = (response, fallback) => {
+  const header = response.headers.get("Content-Disposition") || "";
+  const encoded = header.match(/filename\*=UTF-8''([^;]+)/i);
+  if (encoded) return decodeURIComponent(encoded[1]);
+  return header.match(/filename="?([^";]+)"?/i)?.[1] || fallback;
+};
+
+/**
+ *  Downloads an export and saves it under the name chosen by the server
+ * @param {object} options
+ * @param {string} [options.threadId] - One chat; omitted → every chat as a zip
+ * @param {string} options.format - md | json | html
+ * @returns {Promise<boolean>} - Whether the file was saved
+ */
+export async function downloadExport({ threadId, format }) {
+  const path = threadId ? `/api/thread/${threadId}/export` : "/api/thread/export";
+  try {
+    const response = await apiFetch(`${path}?format=${format}`);
+    if (!response.ok) {
+      const err = await response.json().catch(() => ({}));
+      throw new Error(err.message || "Export failed");
+    }
+
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filenameFrom(response, threadId ? `conversation.${format}` : "sigmagpt-export.zip");
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+    return true;
+  } catch (err) {
+    console.error("Export error:", err);
+    toast.error(err.message || "Export failed");
+    return false;
+  }
+}
@@ -0,0 +1,71 @@
+// Knowledge base helpers
+// Threads with "use my knowledge base" on get replies citing uploaded
+// documents as [1], [2]…; the reply carries those sources (message.citations).
+
+import { toast } from "react-toastify";
+import { apiFetch } from "./api.js";
+
+//  Same formats as attachments, minus images
+export const ACCEPTED_DOCUMENTS = [
+  ".txt", ".log", ".md", ".markdown", ".csv", ".tsv", ".pdf",
+  ".js", ".jsx", ".mjs", ".cjs", ".ts", ".tsx", ".py", ".rb", ".php", ".java", ".kt", ".kts",
+  ".scala", ".go", ".rs", ".c", ".h", ".cc", ".cpp", ".hpp", ".cs", ".swift", ".m", ".sh",
+  ".bash", ".zsh", ".ps1", ".sql", ".r", ".lua", ".pl", ".dart", ".vue", ".svelte", ".html",
+  ".htm", ".css", ".scss", ".less", ".json", ".yaml", ".yml", ".toml", ".ini", ".cfg", ".xml",
+  ".graphql", ".proto",
+].join(",");
+
+//  [n] markers outside of words and links (same rule as the backend)
+const CITATION_PATTERN = /(^|[^\w\]])\[(\d{1,2})\](?!\()/g;
+
+//  Inline and fenced code (never linked)
+const CODE_PATTERN = /(```[\s\S]*?(?:```|$)|`[^`\n]*`)/;
+
+/**
+ *  Turns the [n] markers a reply cites into "#citation-n" Markdown links
+ *  (markers without a matching source and code are left alone)
+ * @param {string} content - Reply Markdown
+ * @param {Array<{ n: number }>} [citations]
+ * @returns {string}
+ */
+export const linkCitations = (content = "", citations = []) => {
+  if (!citations?.length || !content) return content;
+
+  const cited = new Set(citations.map((c) => c.n));
+  return content
+    .split(CODE_PATTERN)
+    .map((part, i) =>
+      i % 2
+        ? part
+        : part.replace(CITATION_PATTERN, (match, before, n) =>
+            cited.has(Number(n)) ? `${before}[\\[${n}\\]](#citation-${n})` : match
+          )
+    )
+    .join("");
+};
+
+/**
+ *  Opens a knowledge base document in a new tab (downloads formats the browser can't show)
+ * @param {{ documentId: string, title: string }} source
+ */
+export async function openKnowledgeDocument({ documentId, title }) {
+  const tab = window.open("", "_blank"); // Opened right away so pop-up blockers allow it
+  try {
+    const response = await apiFetch(`/api/knowledge/${documentId}/download`);
+    if (!response.ok) {
+      const err = await response.json().catch(() => ({}));
+      throw new Error(
+        response.status === 404 ? `${title} was removed from your knowledge base` : err.message || "Could not open document"
+      );
+    }
+
+    const url = URL.createObjectURL(await response.blob());
+    if (tab) tab.location.href = url;
+    else window.location.assign(url);
+    setTimeout(() => URL.revokeObjectURL(url), 60000); // After the tab loaded it
+  } catch (err) {
+    tab?.close();
+    console.error("Knowledge document error:", err);
+    toast.error(err.message || "Could not open document");
+  }
+}
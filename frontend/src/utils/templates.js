@@ -0,0 +1,24 @@
+
+// Prompt template helpers
+// Templates are stored per user (/api/templates) and inserted by typing
+// "/name" in the chat input; {{variables}} are filled in before sending.
+
+
+//  {{variable}} placeholders (same syntax as the backend model)
+const VARIABLE_PATTERN = /{{\s*([\w-]+)\s*}}/g;
+
+/**
+ *  Replaces every {{variable}} with its value
+ * @param {string} content - Template text
+ * @param {Object<string, string>} values - Values by variable name
+ * @returns {string}
+ */
+export const expandTemplate = (content, values = {}) =>
+  content.replace(VARIABLE_PATTERN, (match, name) => values[name] ?? match);
+
+/**
+ *  Reads the slash command being typed ("/tes" → "tes")
+ * @param {string} text - Current input value
+ * @returns {string|null} - Partial command, or null if not typing one
+ */
+export const slashQuery = (text) => text.match(/^\/([\w-]*)$/)?.[1] ?? null;